@@ -1,8 +1,11 @@
+import { createHash } from 'crypto';
+
 /**
  * CiBuildIdGenerator - Generates random CI build identifiers
  * 
  * This module provides functionality to generate random lowercase alphabetic strings
- * for CI build identification purposes.
+ * for CI build identification purposes, or stable ones derived from the run context
+ * so that re-runs of a job target the same stack.
  */
 export class CiBuildIdGenerator {
   /**
@@ -12,17 +15,7 @@ export class CiBuildIdGenerator {
    */
   generateRandomId(length = 8) {
     // Validate input parameter
-    if (typeof length !== 'number') {
-      throw new Error(`Random ID length must be a number, got ${typeof length}`);
-    }
-
-    if (!Number.isInteger(length)) {
-      throw new Error('Random ID length must be an integer');
-    }
-
-    if (length < 6 || length > 10) {
-      throw new Error(`Random ID length must be between 6 and 10 characters, got ${length}`);
-    }
+    this.validateLength(length, 'Random');
 
     const alphabet = 'abcdefghijklmnopqrstuvwxyz';
     let result = '';
@@ -44,6 +37,62 @@ export class CiBuildIdGenerator {
     return result;
   }
 
+  /**
+   * Generates a stable ID from the run context: the same repository, branch, pull request
+   * and salt always produce the same ID
+   * @param {Object} context - Run context
+   * @param {string} [context.repository] - Repository in owner/name form (GITHUB_REPOSITORY)
+   * @param {string} [context.branch] - Branch name
+   * @param {string|number} [context.pullRequest] - Pull request number
+   * @param {string} [context.salt] - Optional salt to derive a different ID for the same context
+   * @param {number} length - Length of the ID (default: 8, range: 6-10)
+   * @returns {string} Lowercase alphabetic string derived from a SHA-256 hash of the context
+   */
+  generateDeterministicId(context, length = 8) {
+    this.validateLength(length, 'Deterministic');
+
+    if (!context || typeof context !== 'object') {
+      throw new Error('Deterministic ID context must be an object');
+    }
+
+    const { repository = '', branch = '', pullRequest = '', salt = '' } = context;
+    if (!repository && !branch && !pullRequest) {
+      throw new Error('Deterministic ID requires at least one of repository, branch or pull request');
+    }
+
+    const alphabet = 'abcdefghijklmnopqrstuvwxyz';
+    const digest = createHash('sha256')
+      .update([repository, branch, pullRequest, salt].map(String).join('\n'))
+      .digest();
+    const result = Array.from(digest.subarray(0, length), (byte) => alphabet[byte % alphabet.length]).join('');
+
+    if (!this.validateIdFormat(result)) {
+      throw new Error(`Generated ID failed validation: ${result}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validates a requested ID length
+   * @param {number} length - Requested length
+   * @param {string} kind - Kind of ID (for error messages)
+   * @throws {Error} If length is not an integer between 6 and 10
+   */
+  validateLength(length, kind) {
+    if (typeof length !== 'number') {
+      throw new Error(`${kind} ID length must be a number, got ${typeof length}`);
+    }
+
+    if (!Number.isInteger(length)) {
+      throw new Error(`${kind} ID length must be an integer`);
+    }
+
+    if (length < 6 || length > 10) {
+      throw new Error(`${kind} ID length must be between 6 and 10 characters, got ${length}`);
+    }
+  }
+
   /**
    * Validates that an ID string meets the format requirements
    * @param {string} id - The ID string to validate
@@ -0,0 +1,332 @@
+import ConfigurationReader from './configuration-reader.js';
+import { ParameterMerger } from './parameter-merger.js';
+import { StackNameGenerator } from './stack-name-generator.js';
+import { CiBuildIdGenerator } from './ci-build-id-generator.js';
+import { TemplateValidator } from './template-validator.js';
+import { PlaceholderResolver } from './placeholder-resolver.js';
+import { TagPolicyValidator } from './tag-policy-validator.js';
+import { ValueSourceResolver } from './value-source-resolver.js';
+import { SecretMasker } from './secret-masker.js';
+import { MatrixBuilder } from './matrix-builder.js';
+import { ParameterDiffer } from './parameter-differ.js';
+import {
+  processStacks,
+  buildMatrix,
+  buildDiff,
+  buildGitHubMetadataTags,
+  buildStackNameTokens,
+  loadTagPolicies,
+  resolveCiBuildId,
+  parseCiBuildIdMode,
+  parseValueSourceMode,
+  validateInputs,
+  validateTargetInputs,
+  validateDiffInputs
+} from './main.js';
+
+const USAGE = `Usage: cfn-stack-params render --env <environment> [options]
+
+Render the stack name, parameters and tags the action would produce.
+
+Options:
+  --dir <path>             Configuration directory (default: cfn)
+  --env <environment>      Target environment (required unless --ci-build)
+  --account <account>      AWS account ID or alias; adds the <account> parameter and tag layer
+  --region <region>        AWS region; adds the <region> and <environment>.<region> layers
+  --ci-build               Render a CI build (random CI build ID, branch-based stack name)
+  --ci-build-id <id>       Use an explicit CI build ID (6-10 lowercase letters)
+  --ci-build-id-mode <m>   CI build ID mode: random or deterministic (default: random)
+  --ci-build-id-salt <s>   Salt mixed into deterministic CI build IDs
+  --account-alias <alias>  AWS account alias for the {account-alias} stack name token
+  --pr-stack-naming        Name CI build stacks pr-<number> when GITHUB_REF is a pull request ref
+  --value-source-mode <m>  resolve or dynamic-reference for $ssm/$secretsmanager values (default: resolve)
+  --show-sensitive         Print sensitive parameter values instead of ****
+  --matrix                 Print the deployment matrix of every environment and region (JSON only, --env not needed)
+  --diff-env <environment> Print the parameter and tag changes from this environment to --env
+  --diff-ref <ref>         Print the parameter and tag changes from the configuration at this git ref
+  --format <json|table>    Output format (default: json)
+  --strict-placeholders    Fail on placeholders that refer to undefined variables
+  --verbose                Print progress messages to stderr
+  -h, --help               Show this help`;
+
+const OUTPUT_FORMATS = ['json', 'table'];
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the executable name
+ * @returns {Object} Parsed options: {command, folder, environment, account, region, isCiBuild, ciBuildId, ciBuildIdMode, ciBuildIdSalt,
+ *   accountAlias, usePullRequestNumber, valueSourceMode, showSensitive, matrix, diffEnvironment, diffBaseRef, format, strictPlaceholders, verbose, help}
+ * @throws {Error} If an argument is unknown or missing its value
+ */
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    folder: 'cfn',
+    environment: '',
+    account: '',
+    region: '',
+    isCiBuild: false,
+    ciBuildId: '',
+    ciBuildIdMode: 'random',
+    ciBuildIdSalt: '',
+    accountAlias: '',
+    usePullRequestNumber: false,
+    valueSourceMode: 'resolve',
+    showSensitive: false,
+    matrix: false,
+    diffEnvironment: '',
+    diffBaseRef: '',
+    format: 'json',
+    strictPlaceholders: false,
+    verbose: false,
+    help: false
+  };
+
+  const readValue = (flag, index) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    return value;
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    switch (arg) {
+      case '--dir':
+        options.folder = readValue(arg, index++);
+        break;
+      case '--env':
+        options.environment = readValue(arg, index++);
+        break;
+      case '--account':
+        options.account = readValue(arg, index++);
+        break;
+      case '--region':
+        options.region = readValue(arg, index++);
+        break;
+      case '--account-alias':
+        options.accountAlias = readValue(arg, index++);
+        break;
+      case '--format':
+        options.format = readValue(arg, index++).toLowerCase();
+        break;
+      case '--ci-build':
+        options.isCiBuild = true;
+        break;
+      case '--ci-build-id':
+        options.ciBuildId = readValue(arg, index++);
+        break;
+      case '--ci-build-id-mode':
+        options.ciBuildIdMode = parseCiBuildIdMode(readValue(arg, index++));
+        break;
+      case '--ci-build-id-salt':
+        options.ciBuildIdSalt = readValue(arg, index++);
+        break;
+      case '--pr-stack-naming':
+        options.usePullRequestNumber = true;
+        break;
+      case '--value-source-mode':
+        options.valueSourceMode = parseValueSourceMode(readValue(arg, index++));
+        break;
+      case '--show-sensitive':
+        options.showSensitive = true;
+        break;
+      case '--matrix':
+        options.matrix = true;
+        break;
+      case '--diff-env':
+        options.diffEnvironment = readValue(arg, index++);
+        break;
+      case '--diff-ref':
+        options.diffBaseRef = readValue(arg, index++);
+        break;
+      case '--strict-placeholders':
+        options.strictPlaceholders = true;
+        break;
+      case '--verbose':
+        options.verbose = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-') || options.command) {
+          throw new Error(`Unknown argument: ${arg}`);
+        }
+        options.command = arg;
+    }
+  }
+
+  if (!options.help) {
+    if (options.command !== 'render') {
+      throw new Error(options.command ? `Unknown command: ${options.command}` : 'Missing command');
+    }
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+      throw new Error(`Invalid format: ${options.format}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (options.matrix && (options.isCiBuild || options.format !== 'json')) {
+      throw new Error('--matrix cannot be combined with --ci-build or --format table');
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Render every stack in a configuration directory
+ * @param {Object} options - Parsed options from parseArgs
+ * @param {Object} logger - Logger with info/warning methods
+ * @returns {Promise<Array<{stackName: string, baseStackName: string, template: string, parameters: Array, tags: Array}>|Object>}
+ *   Rendered stacks, sensitive parameter values shown as **** unless options.showSensitive is set,
+ *   the deployment matrix when options.matrix is set, or the diff when options.diffEnvironment or options.diffBaseRef
+ *   is set (both always redacted)
+ * @throws {Error} On the same configuration and validation errors the action raises
+ */
+async function render(options, logger) {
+  const { folder, environment, account, region, isCiBuild, strictPlaceholders, usePullRequestNumber } = options;
+  validateInputs(folder, isCiBuild || options.matrix, options.matrix ? '' : environment, logger);
+  validateTargetInputs(account, region);
+  validateDiffInputs(options.diffEnvironment, options.diffBaseRef, { isCiBuild, isMatrix: options.matrix });
+
+  const configReader = new ConfigurationReader();
+  const config = await configReader.readCloudFormationConfig(folder);
+  const stacks = configReader.getStackDefinitions(config);
+  const tagPolicyValidator = new TagPolicyValidator();
+  const secretMasker = new SecretMasker();
+  const tagPolicies = await loadTagPolicies(folder, config, stacks, configReader, tagPolicyValidator, logger);
+  const ciBuildId = resolveCiBuildId({
+    isCiBuild,
+    explicitId: options.ciBuildId,
+    mode: options.ciBuildIdMode,
+    salt: options.ciBuildIdSalt
+  }, new CiBuildIdGenerator(), process.env, logger);
+
+  const context = {
+    folder,
+    environment,
+    account,
+    region,
+    isCiBuild,
+    ciBuildId,
+    githubTags: buildGitHubMetadataTags(config['github-tags']),
+    configReader,
+    parameterMerger: new ParameterMerger(),
+    stackNameGenerator: new StackNameGenerator(),
+    templateValidator: new TemplateValidator(),
+    placeholderResolver: new PlaceholderResolver(),
+    valueSourceResolver: new ValueSourceResolver({ mode: options.valueSourceMode, baseDir: folder }),
+    secretMasker,
+    tagPolicyValidator,
+    tagPolicies,
+    strictPlaceholders,
+    usePullRequestNumber,
+    nameTokens: buildStackNameTokens(process.env, options.accountAlias, region),
+    placeholderContext: {
+      env: process.env,
+      inputs: { 'cfn-directory': folder, 'ci-build': String(isCiBuild), environment, account, region },
+      ciBuildId
+    },
+    logger
+  };
+
+  if (options.matrix) {
+    return buildMatrix(stacks, context, new MatrixBuilder(configReader));
+  }
+
+  const results = await processStacks(stacks, context);
+  if (options.diffEnvironment || options.diffBaseRef) {
+    return buildDiff(stacks, results, context, { environment: options.diffEnvironment, baseRef: options.diffBaseRef });
+  }
+
+  return results.map(({ stackName, baseStackName, template, parameters, tags, sensitiveParameters }) => ({
+    stackName,
+    baseStackName,
+    template,
+    parameters: options.showSensitive ? parameters : secretMasker.redactParameters(parameters, sensitiveParameters),
+    tags
+  }));
+}
+
+/**
+ * Format rendered stacks as plain-text tables
+ * @param {Array} results - Rendered stacks from render
+ * @returns {string} One block per stack with its parameters and tags
+ */
+function formatTable(results) {
+  return results.map((result) => [
+    `Stack:    ${result.stackName}`,
+    `Template: ${result.template}`,
+    '',
+    formatColumns(['Parameter', 'Value'], result.parameters.map((param) => [param.ParameterName, param.ParameterValue])),
+    '',
+    formatColumns(['Tag', 'Value'], result.tags.map((tag) => [tag.Key, tag.Value]))
+  ].join('\n')).join('\n\n');
+}
+
+/**
+ * Format rows as left-aligned columns under a header
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Row values
+ * @returns {string} Aligned table
+ */
+function formatColumns(headers, rows) {
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map((row) => String(row[column]).length))
+  );
+  const formatRow = (row) => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd();
+
+  return [
+    formatRow(headers),
+    formatRow(widths.map((width) => '-'.repeat(width))),
+    ...rows.map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Command-line entry point
+ * @param {Array<string>} argv - Arguments after the executable name
+ * @param {Object} [io] - Output streams ({stdout, stderr}), defaults to the process streams
+ * @returns {Promise<number>} Exit code: 0 on success, 1 on configuration or validation errors, 2 on usage errors
+ */
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    io.stderr.write(`Error: ${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  if (options.help) {
+    io.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const logger = {
+    info: (message) => {
+      if (options.verbose) {
+        io.stderr.write(`${message}\n`);
+      }
+    },
+    warning: (message) => io.stderr.write(`Warning: ${message}\n`)
+  };
+
+  try {
+    const results = await render(options, logger);
+    let output = JSON.stringify(results, null, 2);
+    if (options.format === 'table') {
+      output = options.diffEnvironment || options.diffBaseRef
+        ? new ParameterDiffer().toMarkdown(results, results.before, results.after)
+        : formatTable(results);
+    }
+    io.stdout.write(`${output}\n`);
+    return 0;
+  } catch (error) {
+    io.stderr.write(`Error: ${error.message}\n`);
+    return 1;
+  }
+}
+
+export { main, parseArgs, render, formatTable };
@@ -1,15 +1,31 @@
 import fs from 'fs/promises';
 import path from 'path';
+import YAML from 'yaml';
+import { ValidationError } from './validation-error.js';
+import { GitHubMetadataTags } from './github-metadata-tags.js';
+import { MERGE_STRATEGIES } from './parameter-merger.js';
+
+/**
+ * Supported configuration file extensions in order of precedence
+ */
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
 
 /**
  * ConfigurationReader class for reading and validating CloudFormation configuration files
  */
 class ConfigurationReader {
+  constructor() {
+    // Configuration files found while reading, in lookup order
+    this.sourceFiles = new Set();
+    // Raw content of every parsed file, used to locate keys for error annotations
+    this.fileContents = new Map();
+  }
+
   /**
    * Read and validate the main CloudFormation configuration file
    * @param {string} folderPath - Path to the configuration folder
-   * @returns {Promise<Object>} Parsed cloudformation.json content
-   * @throws {Error} If file is missing, invalid JSON, or missing required fields
+   * @returns {Promise<Object>} Parsed cloudformation.json (or .yaml/.yml) content
+   * @throws {Error} If file is missing, invalid JSON/YAML, or missing required fields
    */
   async readCloudFormationConfig(folderPath) {
     // Validate input parameters
@@ -17,7 +33,7 @@ class ConfigurationReader {
       throw new Error('Folder path must be a valid string');
     }
 
-    const configPath = path.join(folderPath, 'cloudformation.json');
+    const configPath = await this.resolveConfigFile(folderPath, 'cloudformation');
     
     try {
       // Check if file exists and is accessible
@@ -33,21 +49,38 @@ class ConfigurationReader {
         throw new Error(`CloudFormation configuration file is empty: ${configPath}`);
       }
 
-      let config;
-      try {
-        config = JSON.parse(configContent);
-      } catch (parseError) {
-        throw new Error(`Invalid JSON format in cloudformation.json at ${configPath}: ${parseError.message}. Please check the JSON syntax.`);
-      }
+      const config = this.parseConfigContent(configContent, configPath);
       
       // Validate that config is an object
       if (!config || typeof config !== 'object' || Array.isArray(config)) {
         throw new Error(`CloudFormation configuration must be a JSON object, got ${typeof config}`);
       }
 
-      // Validate required fields
-      const requiredFields = ['project', 'template', 'stack-prefix'];
-      this.validateJsonStructure(config, requiredFields);
+      // Validate required fields; with a stacks array, template and stack-prefix live on each entry
+      const issues = config.stacks !== undefined
+        ? [...this.findMissingFields(config, ['project']), ...this.findStackDefinitionIssues(config.stacks)]
+        : this.findMissingFields(config, ['project', 'template', 'stack-prefix']);
+      if (!this.isValidStackNamePattern(config['stack-name-pattern'])) {
+        issues.push('Invalid stack-name-pattern: must be a non-empty string');
+      }
+      issues.push(...this.findMergeStrategyIssues(config['merge-strategies'], 'merge-strategies'));
+      issues.push(...this.findSensitiveIssues(config.sensitive, 'sensitive'));
+      const githubTagIssues = new GitHubMetadataTags().findSettingsIssues(config['github-tags']);
+      if (issues.length > 0 || githubTagIssues.length > 0) {
+        throw new ValidationError([
+          ...issues.map((message) => {
+            // Point stack definition issues at the offending stacks[] entry
+            const stackIndex = message.match(/stacks\[(\d+)\]/);
+            const location = stackIndex ? this.findKeyLocation(configPath, ['stacks', Number(stackIndex[1])]) : null;
+            return { file: configPath, message, ...location };
+          }),
+          ...githubTagIssues.map(({ keyPath, message }) => ({
+            file: configPath,
+            message,
+            ...this.findKeyLocation(configPath, ['github-tags', ...keyPath])
+          }))
+        ]);
+      }
       
       return config;
     } catch (error) {
@@ -56,9 +89,10 @@ class ConfigurationReader {
       } else if (error.code === 'EACCES') {
         throw new Error(`Permission denied accessing CloudFormation configuration file: ${configPath}. Please check file permissions.`);
       } else if (error.code === 'EISDIR') {
-        throw new Error(`Expected file but found directory: ${configPath}. Please ensure cloudformation.json is a file, not a directory.`);
-      } else if (error.message.includes('Missing required field') || 
+        throw new Error(`Expected file but found directory: ${configPath}. Please ensure ${path.basename(configPath)} is a file, not a directory.`);
+      } else if (error instanceof ValidationError ||
                  error.message.includes('Invalid JSON format') ||
+                 error.message.includes('Invalid YAML format') ||
                  error.message.includes('must be a JSON object') ||
                  error.message.includes('is empty') ||
                  error.message.includes('must be a valid string')) {
@@ -72,16 +106,17 @@ class ConfigurationReader {
   /**
    * Read default parameters from the params subfolder
    * @param {string} folderPath - Path to the configuration folder
-   * @returns {Promise<Object>} Parsed default.json content
-   * @throws {Error} If file is missing or contains invalid JSON
+   * @param {string} [subfolder='params'] - Parameters subfolder relative to the configuration folder
+   * @returns {Promise<Object>} Parsed default.json (or .yaml/.yml) content
+   * @throws {Error} If file is missing or contains invalid JSON/YAML
    */
-  async readDefaultParameters(folderPath) {
+  async readDefaultParameters(folderPath, subfolder = 'params') {
     // Validate input parameters
     if (!folderPath || typeof folderPath !== 'string') {
       throw new Error('Folder path must be a valid string');
     }
 
-    const defaultParamsPath = path.join(folderPath, 'params', 'default.json');
+    const defaultParamsPath = await this.resolveConfigFile(path.join(folderPath, subfolder), 'default');
     
     try {
       // Check if file exists and is accessible
@@ -97,12 +132,7 @@ class ConfigurationReader {
         throw new Error(`Default parameters file is empty: ${defaultParamsPath}. Expected at least an empty JSON object {}.`);
       }
 
-      let params;
-      try {
-        params = JSON.parse(paramsContent);
-      } catch (parseError) {
-        throw new Error(`Invalid JSON format in default.json at ${defaultParamsPath}: ${parseError.message}. Please check the JSON syntax.`);
-      }
+      const params = this.parseConfigContent(paramsContent, defaultParamsPath);
 
       // Validate that params is an object
       if (!params || typeof params !== 'object' || Array.isArray(params)) {
@@ -116,8 +146,9 @@ class ConfigurationReader {
       } else if (error.code === 'EACCES') {
         throw new Error(`Permission denied accessing default parameters file: ${defaultParamsPath}. Please check file permissions.`);
       } else if (error.code === 'EISDIR') {
-        throw new Error(`Expected file but found directory: ${defaultParamsPath}. Please ensure default.json is a file, not a directory.`);
+        throw new Error(`Expected file but found directory: ${defaultParamsPath}. Please ensure ${path.basename(defaultParamsPath)} is a file, not a directory.`);
       } else if (error.message.includes('Invalid JSON format') ||
+                 error.message.includes('Invalid YAML format') ||
                  error.message.includes('must be a JSON object') ||
                  error.message.includes('is empty') ||
                  error.message.includes('must be a valid string')) {
@@ -132,10 +163,11 @@ class ConfigurationReader {
    * Read environment-specific parameters from the params subfolder
    * @param {string} folderPath - Path to the configuration folder
    * @param {string} environment - Environment name for the parameter file
-   * @returns {Promise<Object|null>} Parsed environment-specific JSON content or null if file doesn't exist
-   * @throws {Error} If file contains invalid JSON
+   * @param {string} [subfolder='params'] - Parameters subfolder relative to the configuration folder
+   * @returns {Promise<Object|null>} Parsed environment-specific JSON/YAML content or null if file doesn't exist
+   * @throws {Error} If file contains invalid JSON/YAML
    */
-  async readEnvironmentParameters(folderPath, environment) {
+  async readEnvironmentParameters(folderPath, environment, subfolder = 'params') {
     // Validate input parameters
     if (!folderPath || typeof folderPath !== 'string') {
       throw new Error('Folder path must be a valid string');
@@ -145,7 +177,7 @@ class ConfigurationReader {
       return null;
     }
     
-    const envParamsPath = path.join(folderPath, 'params', `${environment}.json`);
+    const envParamsPath = await this.resolveConfigFile(path.join(folderPath, subfolder), environment);
     
     try {
       // Check if file exists and is accessible
@@ -161,12 +193,7 @@ class ConfigurationReader {
         throw new Error(`Environment parameters file is empty: ${envParamsPath}. Expected at least an empty JSON object {}.`);
       }
 
-      let params;
-      try {
-        params = JSON.parse(paramsContent);
-      } catch (parseError) {
-        throw new Error(`Invalid JSON format in ${environment}.json at ${envParamsPath}: ${parseError.message}. Please check the JSON syntax.`);
-      }
+      const params = this.parseConfigContent(paramsContent, envParamsPath);
 
       // Validate that params is an object
       if (!params || typeof params !== 'object' || Array.isArray(params)) {
@@ -181,8 +208,9 @@ class ConfigurationReader {
       } else if (error.code === 'EACCES') {
         throw new Error(`Permission denied accessing environment parameters file: ${envParamsPath}. Please check file permissions.`);
       } else if (error.code === 'EISDIR') {
-        throw new Error(`Expected file but found directory: ${envParamsPath}. Please ensure ${environment}.json is a file, not a directory.`);
+        throw new Error(`Expected file but found directory: ${envParamsPath}. Please ensure ${path.basename(envParamsPath)} is a file, not a directory.`);
       } else if (error.message.includes('Invalid JSON format') ||
+                 error.message.includes('Invalid YAML format') ||
                  error.message.includes('must be a JSON object') ||
                  error.message.includes('is empty') ||
                  error.message.includes('must be a valid string')) {
@@ -196,16 +224,17 @@ class ConfigurationReader {
   /**
    * Read default tags from the tags subfolder
    * @param {string} folderPath - Path to the configuration folder
-   * @returns {Promise<Object>} Parsed default.json content from tags directory
-   * @throws {Error} If file is missing or contains invalid JSON
+   * @param {string} [subfolder='tags'] - Tags subfolder relative to the configuration folder
+   * @returns {Promise<Object>} Parsed default.json (or .yaml/.yml) content from tags directory
+   * @throws {Error} If file is missing or contains invalid JSON/YAML
    */
-  async readDefaultTags(folderPath) {
+  async readDefaultTags(folderPath, subfolder = 'tags') {
     // Validate input parameters
     if (!folderPath || typeof folderPath !== 'string') {
       throw new Error('Folder path must be a valid string');
     }
 
-    const defaultTagsPath = path.join(folderPath, 'tags', 'default.json');
+    const defaultTagsPath = await this.resolveConfigFile(path.join(folderPath, subfolder), 'default');
     
     try {
       // Check if file exists and is accessible
@@ -221,12 +250,7 @@ class ConfigurationReader {
         throw new Error(`Default tags file is empty: ${defaultTagsPath}. Expected at least an empty JSON object {}.`);
       }
 
-      let tags;
-      try {
-        tags = JSON.parse(tagsContent);
-      } catch (parseError) {
-        throw new Error(`Invalid JSON format in default.json at ${defaultTagsPath}: ${parseError.message}. Please check the JSON syntax.`);
-      }
+      const tags = this.parseConfigContent(tagsContent, defaultTagsPath);
 
       // Validate that tags is an object
       if (!tags || typeof tags !== 'object' || Array.isArray(tags)) {
@@ -241,8 +265,9 @@ class ConfigurationReader {
       } else if (error.code === 'EACCES') {
         throw new Error(`Permission denied accessing default tags file: ${defaultTagsPath}. Please check file permissions.`);
       } else if (error.code === 'EISDIR') {
-        throw new Error(`Expected file but found directory: ${defaultTagsPath}. Please ensure default.json is a file, not a directory.`);
+        throw new Error(`Expected file but found directory: ${defaultTagsPath}. Please ensure ${path.basename(defaultTagsPath)} is a file, not a directory.`);
       } else if (error.message.includes('Invalid JSON format') ||
+                 error.message.includes('Invalid YAML format') ||
                  error.message.includes('must be a JSON object') ||
                  error.message.includes('is empty') ||
                  error.message.includes('must be a valid string')) {
@@ -257,10 +282,11 @@ class ConfigurationReader {
    * Read environment-specific tags from the tags subfolder
    * @param {string} folderPath - Path to the configuration folder
    * @param {string} environment - Environment name for the tags file
-   * @returns {Promise<Object|null>} Parsed environment-specific JSON content or null if file doesn't exist
-   * @throws {Error} If file contains invalid JSON
+   * @param {string} [subfolder='tags'] - Tags subfolder relative to the configuration folder
+   * @returns {Promise<Object|null>} Parsed environment-specific JSON/YAML content or null if file doesn't exist
+   * @throws {Error} If file contains invalid JSON/YAML
    */
-  async readEnvironmentTags(folderPath, environment) {
+  async readEnvironmentTags(folderPath, environment, subfolder = 'tags') {
     // Validate input parameters
     if (!folderPath || typeof folderPath !== 'string') {
       throw new Error('Folder path must be a valid string');
@@ -270,7 +296,7 @@ class ConfigurationReader {
       return null;
     }
     
-    const envTagsPath = path.join(folderPath, 'tags', `${environment}.json`);
+    const envTagsPath = await this.resolveConfigFile(path.join(folderPath, subfolder), environment);
     
     try {
       // Check if file exists and is accessible
@@ -286,12 +312,7 @@ class ConfigurationReader {
         throw new Error(`Environment tags file is empty: ${envTagsPath}. Expected at least an empty JSON object {}.`);
       }
 
-      let tags;
-      try {
-        tags = JSON.parse(tagsContent);
-      } catch (parseError) {
-        throw new Error(`Invalid JSON format in ${environment}.json at ${envTagsPath}: ${parseError.message}. Please check the JSON syntax.`);
-      }
+      const tags = this.parseConfigContent(tagsContent, envTagsPath);
 
       // Validate that tags is an object
       if (!tags || typeof tags !== 'object' || Array.isArray(tags)) {
@@ -306,8 +327,9 @@ class ConfigurationReader {
       } else if (error.code === 'EACCES') {
         throw new Error(`Permission denied accessing environment tags file: ${envTagsPath}. Please check file permissions.`);
       } else if (error.code === 'EISDIR') {
-        throw new Error(`Expected file but found directory: ${envTagsPath}. Please ensure ${environment}.json is a file, not a directory.`);
+        throw new Error(`Expected file but found directory: ${envTagsPath}. Please ensure ${path.basename(envTagsPath)} is a file, not a directory.`);
       } else if (error.message.includes('Invalid JSON format') ||
+                 error.message.includes('Invalid YAML format') ||
                  error.message.includes('must be a JSON object') ||
                  error.message.includes('is empty') ||
                  error.message.includes('must be a valid string')) {
@@ -318,19 +340,622 @@ class ConfigurationReader {
     }
   }
 
+  /**
+   * Read the tag policy from policy.json (or .yaml/.yml) in a tags subfolder or the tag-policy block of cloudformation.json
+   * @param {string} folderPath - Path to the configuration folder
+   * @param {Object} [config={}] - Parsed cloudformation.json content
+   * @param {string} [subfolder='tags'] - Tags subfolder of the stack, relative to the configuration folder
+   * @returns {Promise<{policy: Object, file: string, keyPath: Array<string>}|null>} Policy with the file it was read
+   *   from and its key path within that file, or null if no policy is defined
+   * @throws {Error} If the policy file cannot be read or parsed, or the policy is defined in both places
+   */
+  async readTagPolicy(folderPath, config = {}, subfolder = 'tags') {
+    // Validate input parameters
+    if (!folderPath || typeof folderPath !== 'string') {
+      throw new Error('Folder path must be a valid string');
+    }
+
+    const policyPath = await this.resolveConfigFile(path.join(folderPath, subfolder), 'policy');
+    let content = null;
+    try {
+      content = await fs.readFile(policyPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read tag policy from ${policyPath}: ${error.message}`);
+      }
+    }
+
+    const inlinePolicy = config['tag-policy'];
+    if (content !== null && inlinePolicy !== undefined) {
+      throw new Error(`Tag policy is defined in both ${policyPath} and the tag-policy block of cloudformation.json. Keep only one.`);
+    }
+
+    if (content !== null) {
+      if (!content.trim()) {
+        throw new Error(`Tag policy file is empty: ${policyPath}`);
+      }
+      return { policy: this.parseConfigContent(content, policyPath), file: policyPath, keyPath: [] };
+    }
+
+    if (inlinePolicy !== undefined) {
+      const configPath = await this.resolveConfigFile(folderPath, 'cloudformation');
+      return { policy: inlinePolicy, file: configPath, keyPath: ['tag-policy'] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the layers that apply to a deployment from the params or tags subfolder, in the order
+   * default -> <account> -> <region> -> <environment chain> -> <environment>.<region>
+   * Parents in the environment chain come from the file's "$extends" key or, if absent, from
+   * the "hierarchy" block in cloudformation.json. The account, region and environment.region
+   * layers are optional. The default layer is always the implicit root and is not part of the
+   * returned chain.
+   * @param {string} folderPath - Path to the configuration folder
+   * @param {string} kind - Layer kind ('params' or 'tags')
+   * @param {string} environment - Environment name at the end of the chain
+   * @param {Object} [hierarchy={}] - Map of environment name to parent layer name(s)
+   * @param {string} [subfolder=kind] - Subfolder relative to the configuration folder
+   * @param {Object} [target] - Deployment target
+   * @param {string} [target.account=''] - AWS account ID or alias
+   * @param {string} [target.region=''] - AWS region
+   * @returns {Promise<Array<{name: string, file: string, values: Object}>>} Layers ordered from the most generic to the most specific
+   * @throws {Error} If a referenced layer is missing, a cycle is detected, or "$extends" is invalid
+   */
+  async readEnvironmentLayers(folderPath, kind, environment, hierarchy = {}, subfolder = kind, { account = '', region = '' } = {}) {
+    if (!folderPath || typeof folderPath !== 'string') {
+      throw new Error('Folder path must be a valid string');
+    }
+
+    if (kind !== 'params' && kind !== 'tags') {
+      throw new Error(`Layer kind must be 'params' or 'tags', got ${kind}`);
+    }
+
+    if (!hierarchy || typeof hierarchy !== 'object' || Array.isArray(hierarchy)) {
+      throw new Error('hierarchy in cloudformation.json must be an object mapping environment names to parent layers');
+    }
+
+    const hasEnvironment = Boolean(environment) && typeof environment === 'string' && environment.trim() !== '';
+    const readLayer = kind === 'params'
+      ? (name) => this.readEnvironmentParameters(folderPath, name, subfolder)
+      : (name) => this.readEnvironmentTags(folderPath, name, subfolder);
+    const layers = [];
+    const resolved = new Set();
+
+    const visit = async (name, chain, referencedBy) => {
+      if (name === 'default' || resolved.has(name)) {
+        return;
+      }
+
+      if (chain.includes(name)) {
+        throw new Error(`Circular environment inheritance detected in ${kind}: ${[...chain, name].join(' -> ')}`);
+      }
+
+      const values = await readLayer(name);
+      if (values === null && referencedBy && (referencedBy.viaExtends || kind === 'params')) {
+        throw new Error(`Environment layer '${name}' referenced by ${referencedBy.source} was not found in ${path.join(folderPath, subfolder)}. Expected ${name}.json, ${name}.yaml or ${name}.yml.`);
+      }
+
+      const { $extends: extendsValue, ...layerValues } = values || {};
+      const viaExtends = extendsValue !== undefined;
+      const source = viaExtends ? `"$extends" in ${subfolder}/${name}` : `hierarchy.${name} in cloudformation.json`;
+      const parents = this.normalizeLayerNames(viaExtends ? extendsValue : hierarchy[name], source);
+
+      for (const parent of parents) {
+        await visit(parent, [...chain, name], { viaExtends, source });
+      }
+
+      resolved.add(name);
+      if (values !== null) {
+        const file = await this.resolveConfigFile(path.join(folderPath, subfolder), name);
+        layers.push({ name, file, values: layerValues });
+      }
+    };
+
+    // Account and region layers are optional and sit outside the environment inheritance
+    const visitTargetLayer = async (name) => {
+      if (!name || resolved.has(name)) {
+        return;
+      }
+
+      const values = await readLayer(name);
+      resolved.add(name);
+      if (values === null) {
+        return;
+      }
+
+      if (values.$extends !== undefined) {
+        throw new Error(`"$extends" is not supported in ${subfolder}/${name}: account and region layers cannot inherit from other layers`);
+      }
+      const file = await this.resolveConfigFile(path.join(folderPath, subfolder), name);
+      layers.push({ name, file, values });
+    };
+
+    await visitTargetLayer(account);
+    await visitTargetLayer(region);
+    if (hasEnvironment) {
+      await visit(environment, [], null);
+      if (region) {
+        await visitTargetLayer(`${environment}.${region}`);
+      }
+    }
+    return layers;
+  }
+
+  /**
+   * Normalize a parent layer reference into an array of validated layer names
+   * @param {string|string[]|undefined} value - Single layer name, list of names, or undefined
+   * @param {string} source - Where the reference was declared (for error messages)
+   * @returns {string[]} Layer names
+   * @throws {Error} If the reference is not a string or array of valid layer names
+   */
+  normalizeLayerNames(value, source) {
+    if (value === undefined || value === null) {
+      return [];
+    }
+
+    const names = Array.isArray(value) ? value : [value];
+    for (const name of names) {
+      if (typeof name !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(name)) {
+        throw new Error(`Invalid layer name '${name}' in ${source}. Layer names must be strings containing only alphanumeric characters, hyphens, and underscores.`);
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Resolve a configuration file by base name, accepting .json, .yaml and .yml
+   * When several variants exist the first in CONFIG_EXTENSIONS order wins
+   * @param {string} directory - Directory containing the configuration file
+   * @param {string} baseName - File name without extension
+   * @returns {Promise<string>} Path of the first existing variant, or the .json path if none exist
+   */
+  async resolveConfigFile(directory, baseName) {
+    for (const extension of CONFIG_EXTENSIONS) {
+      const candidate = path.join(directory, `${baseName}${extension}`);
+      try {
+        await fs.stat(candidate);
+        this.sourceFiles.add(candidate);
+        return candidate;
+      } catch (error) {
+        // Try the next extension; a missing file is reported by the caller
+      }
+    }
+
+    return path.join(directory, `${baseName}${CONFIG_EXTENSIONS[0]}`);
+  }
+
+  /**
+   * List the layers available in a params or tags subfolder
+   * @param {string} folderPath - Path to the configuration folder
+   * @param {string} subfolder - Subfolder relative to the configuration folder
+   * @returns {Promise<string[]>} Sorted file names without extension (empty when the subfolder does not exist)
+   */
+  async listLayerNames(folderPath, subfolder) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(folderPath, subfolder), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to list ${path.join(folderPath, subfolder)}: ${error.message}`);
+    }
+
+    const names = entries
+      .filter((entry) => entry.isFile() && CONFIG_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+      .map((entry) => entry.name.slice(0, -path.extname(entry.name).length));
+
+    return [...new Set(names)].sort();
+  }
+
+  /**
+   * Get the configuration files found by this reader so far
+   * @returns {string[]} File paths in the order they were first resolved
+   */
+  getSourceFiles() {
+    return [...this.sourceFiles];
+  }
+
+  /**
+   * Parse configuration file content as JSON or YAML based on the file extension
+   * @param {string} content - Raw file content
+   * @param {string} filePath - Path of the file (for format detection and error messages)
+   * @returns {*} Parsed content
+   * @throws {Error} If the content is not valid JSON/YAML, including line and column
+   */
+  parseConfigContent(content, filePath) {
+    const fileName = path.basename(filePath);
+    const extension = path.extname(filePath).toLowerCase();
+    this.fileContents.set(filePath, content);
+
+    if (extension === '.yaml' || extension === '.yml') {
+      try {
+        return YAML.parse(content, { prettyErrors: false });
+      } catch (parseError) {
+        const position = parseError.pos ? this.getPosition(content, parseError.pos[0]) : null;
+        throw this.createParseError(
+          `Invalid YAML format in ${fileName} at ${filePath}${this.formatLocation(position)}: ${parseError.message}. Please check the YAML syntax.`,
+          filePath,
+          position
+        );
+      }
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (parseError) {
+      // JSON.parse only sometimes names the position in its message, so locate the error with a separate scan
+      const offset = this.findJsonErrorOffset(content);
+      const position = offset === null ? null : this.getPosition(content, offset);
+      throw this.createParseError(
+        `Invalid JSON format in ${fileName} at ${filePath}${this.formatLocation(position)}: ${parseError.message}. Please check the JSON syntax.`,
+        filePath,
+        position
+      );
+    }
+  }
+
+  /**
+   * Find where JSON content stops being valid, following the JSON grammar
+   * @param {string} content - Raw file content
+   * @returns {number|null} Zero-based offset of the first invalid character (content.length for unexpected end of input),
+   *   or null if the content is valid JSON
+   */
+  findJsonErrorOffset(content) {
+    let index = 0;
+    const fail = () => {
+      throw new SyntaxError(`Invalid JSON at offset ${index}`);
+    };
+    const skipWhitespace = () => {
+      while (index < content.length && ' \t\n\r'.includes(content[index])) {
+        index++;
+      }
+    };
+    const consume = (text) => {
+      for (const character of text) {
+        if (content[index] !== character) {
+          fail();
+        }
+        index++;
+      }
+    };
+    const readString = () => {
+      consume('"');
+      while (content[index] !== '"') {
+        if (index >= content.length || content[index] < ' ') {
+          fail();
+        }
+        if (content[index] === '\\') {
+          index++;
+          if (content[index] === 'u') {
+            index++;
+            for (let digit = 0; digit < 4; digit++) {
+              if (!/[0-9a-fA-F]/.test(content[index] || '')) {
+                fail();
+              }
+              index++;
+            }
+          } else if ('"\\/bfnrt'.includes(content[index] || 'x')) {
+            index++;
+          } else {
+            fail();
+          }
+        } else {
+          index++;
+        }
+      }
+      index++;
+    };
+    const readCollection = (open, close, readItem) => {
+      consume(open);
+      skipWhitespace();
+      if (content[index] === close) {
+        index++;
+        return;
+      }
+      for (;;) {
+        readItem();
+        skipWhitespace();
+        if (content[index] !== ',') {
+          consume(close);
+          return;
+        }
+        index++;
+      }
+    };
+    const readValue = () => {
+      skipWhitespace();
+      const character = content[index];
+      if (character === '{') {
+        readCollection('{', '}', () => {
+          skipWhitespace();
+          readString();
+          skipWhitespace();
+          consume(':');
+          readValue();
+        });
+      } else if (character === '[') {
+        readCollection('[', ']', readValue);
+      } else if (character === '"') {
+        readString();
+      } else if (character === 't' || character === 'f' || character === 'n') {
+        consume({ t: 'true', f: 'false', n: 'null' }[character]);
+      } else {
+        const number = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(content.slice(index));
+        if (!number) {
+          fail();
+        }
+        index += number[0].length;
+      }
+    };
+
+    try {
+      readValue();
+      skipWhitespace();
+      if (index < content.length) {
+        fail();
+      }
+      return null;
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) {
+        throw error;
+      }
+      return index;
+    }
+  }
+
+  /**
+   * Create a parse error carrying the file and position so it can be annotated inline
+   * @param {string} message - Error message
+   * @param {string} filePath - Path of the file that failed to parse
+   * @param {{line: number, column: number}|null} position - Position of the syntax error
+   * @returns {Error} Error with file, line and column properties
+   */
+  createParseError(message, filePath, position) {
+    const error = new Error(message);
+    error.file = filePath;
+    if (position) {
+      error.line = position.line;
+      error.column = position.column;
+    }
+    return error;
+  }
+
+  /**
+   * Convert a character offset into a one-based line and column
+   * @param {string} content - Raw file content
+   * @param {number} offset - Zero-based character offset
+   * @returns {{line: number, column: number}} Position of the offset
+   */
+  getPosition(content, offset) {
+    const lines = content.slice(0, offset).split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+  }
+
+  /**
+   * Format a position as a human-readable suffix for error messages
+   * @param {{line: number, column: number}|null} position - Position, or null if unknown
+   * @returns {string} Location suffix, e.g. " (line 3, column 5)", or '' if the position is unknown
+   */
+  formatLocation(position) {
+    return position ? ` (line ${position.line}, column ${position.column})` : '';
+  }
+
+  /**
+   * Find where a key is declared in a previously parsed JSON or YAML file
+   * Walks nested mappings and sequences and stops at the deepest segment that exists,
+   * so a missing field resolves to its parent object
+   * @param {string} filePath - Path of a file read by this reader
+   * @param {Array<string|number>} keyPath - Keys (and sequence indexes) from the document root
+   * @returns {{line: number, column: number}|null} Position of the key, or null if it cannot be located
+   */
+  findKeyLocation(filePath, keyPath) {
+    const content = this.fileContents.get(filePath);
+    if (content === undefined) {
+      return null;
+    }
+
+    // JSON is valid YAML flow syntax, so the YAML parser gives source ranges for both formats
+    const document = YAML.parseDocument(content, { uniqueKeys: false, prettyErrors: false });
+    if (document.errors.length > 0) {
+      return null;
+    }
+
+    let node = document.contents;
+    let offset = null;
+    for (const segment of keyPath) {
+      let marker = null;
+      if (YAML.isMap(node)) {
+        const pair = node.items.find((item) => String(YAML.isScalar(item.key) ? item.key.value : item.key) === String(segment));
+        marker = pair ? pair.key : null;
+        node = pair ? pair.value : null;
+      } else if (YAML.isSeq(node) && typeof segment === 'number') {
+        marker = node.items[segment] || null;
+        node = marker;
+      }
+
+      if (!marker || !marker.range) {
+        break;
+      }
+      offset = marker.range[0];
+    }
+
+    return offset === null ? null : this.getPosition(content, offset);
+  }
+
+  /**
+   * Validate the stacks array of a multi-stack cloudformation.json
+   * @param {Array} stacks - Stack definitions from cloudformation.json
+   * @throws {Error} If the array is empty, an entry is malformed, or stack prefixes are duplicated
+   */
+  validateStackDefinitions(stacks) {
+    const [issue] = this.findStackDefinitionIssues(stacks);
+    if (issue) {
+      throw new Error(issue);
+    }
+  }
+
+  /**
+   * Collect every problem in the stacks array of a multi-stack cloudformation.json
+   * @param {Array} stacks - Stack definitions from cloudformation.json
+   * @returns {string[]} Issue messages (empty when the definitions are valid)
+   */
+  findStackDefinitionIssues(stacks) {
+    if (!Array.isArray(stacks) || stacks.length === 0) {
+      return ['Invalid stack definition: stacks must be a non-empty array'];
+    }
+
+    const issues = [];
+    const prefixes = new Set();
+    stacks.forEach((stack, index) => {
+      if (!stack || typeof stack !== 'object' || Array.isArray(stack)) {
+        issues.push(`Invalid stack definition: stacks[${index}] must be an object`);
+        return;
+      }
+
+      issues.push(...this.findMissingFields(stack, ['template', 'stack-prefix'], `stacks[${index}].`));
+
+      for (const field of ['params', 'tags']) {
+        const subfolder = stack[field];
+        if (subfolder === undefined) {
+          continue;
+        }
+        if (typeof subfolder !== 'string' || subfolder.trim() === '' ||
+            subfolder.includes('..') || subfolder.includes('~') || path.isAbsolute(subfolder)) {
+          issues.push(`Invalid stack definition: stacks[${index}].${field} must be a relative path inside the configuration folder`);
+        }
+      }
+
+      if (!this.isValidStackNamePattern(stack['stack-name-pattern'])) {
+        issues.push(`Invalid stack definition: stacks[${index}].stack-name-pattern must be a non-empty string`);
+      }
+
+      issues.push(...this.findMergeStrategyIssues(stack['merge-strategies'], `stacks[${index}].merge-strategies`)
+        .map((issue) => `Invalid stack definition: ${issue}`));
+      issues.push(...this.findSensitiveIssues(stack.sensitive, `stacks[${index}].sensitive`)
+        .map((issue) => `Invalid stack definition: ${issue}`));
+
+      if (stack['stack-prefix'] !== undefined && prefixes.has(stack['stack-prefix'])) {
+        issues.push(`Invalid stack definition: duplicate stack-prefix '${stack['stack-prefix']}' in stacks[${index}]`);
+      }
+      prefixes.add(stack['stack-prefix']);
+    });
+
+    return issues;
+  }
+
+  /**
+   * Check an optional stack-name-pattern value
+   * @param {*} pattern - Value of stack-name-pattern (undefined when not set)
+   * @returns {boolean} True if the pattern is absent or a non-empty string
+   */
+  isValidStackNamePattern(pattern) {
+    return pattern === undefined || (typeof pattern === 'string' && pattern.trim() !== '');
+  }
+
+  /**
+   * Check an optional merge-strategies block (parameter name to strategy)
+   * @param {*} strategies - Value of merge-strategies (undefined when not set)
+   * @param {string} name - Field name for messages (e.g. 'stacks[0].merge-strategies')
+   * @returns {string[]} One message per problem
+   */
+  findMergeStrategyIssues(strategies, name) {
+    if (strategies === undefined) {
+      return [];
+    }
+
+    if (!strategies || typeof strategies !== 'object' || Array.isArray(strategies)) {
+      return [`${name} must be an object mapping parameter names to merge strategies`];
+    }
+
+    return Object.entries(strategies)
+      .filter(([, strategy]) => !MERGE_STRATEGIES.includes(strategy))
+      .map(([parameter, strategy]) => `${name}.${parameter} has unknown merge strategy '${strategy}'. Supported strategies: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+
+  /**
+   * Check an optional sensitive list (parameter names or wildcard patterns)
+   * @param {*} sensitive - Value of sensitive (undefined when not set)
+   * @param {string} name - Field name for messages (e.g. 'stacks[0].sensitive')
+   * @returns {string[]} One message per problem
+   */
+  findSensitiveIssues(sensitive, name) {
+    if (sensitive === undefined) {
+      return [];
+    }
+
+    if (!Array.isArray(sensitive) || sensitive.some((entry) => typeof entry !== 'string' || entry.trim() === '')) {
+      return [`${name} must be an array of parameter names or patterns such as *Password*`];
+    }
+
+    return [];
+  }
+
+  /**
+   * Normalize cloudformation.json into a list of stack definitions
+   * A single-stack configuration yields one entry built from the top-level fields
+   * @param {Object} config - Parsed cloudformation.json content
+   * @returns {Array<Object>} Stack definitions with project, template, stack-prefix, params, tags, hierarchy,
+   *   stack-name-pattern (null for the default naming), merge-strategies (stack entries override top-level ones) and
+   *   sensitive (stack entries add to the top-level list)
+   */
+  getStackDefinitions(config) {
+    if (!Array.isArray(config.stacks)) {
+      return [{
+        project: config.project,
+        template: config.template,
+        'stack-prefix': config['stack-prefix'],
+        params: 'params',
+        tags: 'tags',
+        hierarchy: config.hierarchy || {},
+        'stack-name-pattern': config['stack-name-pattern'] || null,
+        'merge-strategies': { ...config['merge-strategies'] },
+        sensitive: [...(config.sensitive || [])]
+      }];
+    }
+
+    return config.stacks.map((entry) => ({
+      project: entry.project || config.project,
+      template: entry.template,
+      'stack-prefix': entry['stack-prefix'],
+      params: entry.params || 'params',
+      tags: entry.tags || 'tags',
+      hierarchy: entry.hierarchy || config.hierarchy || {},
+      'stack-name-pattern': entry['stack-name-pattern'] || config['stack-name-pattern'] || null,
+      'merge-strategies': { ...config['merge-strategies'], ...entry['merge-strategies'] },
+      sensitive: [...(config.sensitive || []), ...(entry.sensitive || [])]
+    }));
+  }
+
   /**
    * Validate that a JSON object contains all required fields
    * @param {Object} data - The JSON object to validate
    * @param {string[]} requiredFields - Array of required field names
+   * @param {string} [prefix=''] - Prefix for field names in error messages (e.g. 'stacks[0].')
    * @throws {Error} If any required field is missing
    */
-  validateJsonStructure(data, requiredFields) {
-    for (const field of requiredFields) {
-      if (!(field in data) || data[field] === null || data[field] === undefined || data[field] === '') {
-        throw new Error(`Missing required field: ${field}`);
-      }
+  validateJsonStructure(data, requiredFields, prefix = '') {
+    const [issue] = this.findMissingFields(data, requiredFields, prefix);
+    if (issue) {
+      throw new Error(issue);
     }
   }
+
+  /**
+   * Collect every required field missing from a JSON object
+   * @param {Object} data - The JSON object to validate
+   * @param {string[]} requiredFields - Array of required field names
+   * @param {string} [prefix=''] - Prefix for field names in messages (e.g. 'stacks[0].')
+   * @returns {string[]} One 'Missing required field' message per missing field
+   */
+  findMissingFields(data, requiredFields, prefix = '') {
+    return requiredFields
+      .filter((field) => !(field in data) || data[field] === null || data[field] === undefined || data[field] === '')
+      .map((field) => `Missing required field: ${prefix}${field}`);
+  }
 }
 
 export default ConfigurationReader;
\ No newline at end of file
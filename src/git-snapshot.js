@@ -0,0 +1,92 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Run a git command and return its output
+ * @param {Array<string>} args - Arguments after "git"
+ * @returns {Buffer} Raw output (file contents may be binary)
+ * @throws {Error} With the git error message if the command fails
+ */
+function runGit(args) {
+  try {
+    return execFileSync('git', args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      timeout: 30000, // 30 second timeout
+      maxBuffer: 64 * 1024 * 1024
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('Git command not found. Please ensure Git is installed and available in PATH.');
+    }
+    const stderr = error.stderr ? String(error.stderr).trim() : '';
+    throw new Error(stderr || error.message);
+  }
+}
+
+/**
+ * GitSnapshot module for reading a configuration folder as it was at another git ref
+ *
+ * The files are read with git ls-tree and git show and written to a separate folder, so the
+ * regular reading, merging and validation pipeline can run on them unchanged.
+ */
+export class GitSnapshot {
+  /**
+   * @param {Object} [options] - Snapshot options
+   * @param {function(Array<string>): Buffer} [options.run] - Runs git with the given arguments (defaults to execFileSync)
+   */
+  constructor({ run = runGit } = {}) {
+    this.run = run;
+  }
+
+  /**
+   * Check that a ref names a commit
+   * @param {string} ref - Branch, tag or commit, e.g. origin/main
+   * @returns {string} Full commit hash
+   * @throws {Error} If the ref is malformed or not found
+   */
+  resolveCommit(ref) {
+    if (!ref || typeof ref !== 'string' || ref.startsWith('-') || /[\s:]|\.\./.test(ref)) {
+      throw new Error(`Invalid git ref: ${ref}`);
+    }
+
+    try {
+      return String(this.run(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])).trim();
+    } catch {
+      throw new Error(`Git ref ${ref} not found. Make sure it is fetched, e.g. with fetch-depth: 0 in actions/checkout.`);
+    }
+  }
+
+  /**
+   * List the files of a folder at a commit
+   * @param {string} commit - Commit hash from resolveCommit
+   * @param {string} folder - Folder relative to the working directory
+   * @returns {Array<string>} File paths relative to the working directory (empty if the folder did not exist)
+   */
+  listFiles(commit, folder) {
+    return String(this.run(['ls-tree', '-r', '-z', '--name-only', commit, '--', folder]))
+      .split('\0')
+      .filter(Boolean);
+  }
+
+  /**
+   * Write the files of a folder at a ref to another folder
+   * @param {string} ref - Branch, tag or commit
+   * @param {string} folder - Folder relative to the working directory
+   * @param {string} targetDir - Folder the files are written to, keeping their paths relative to folder
+   * @returns {Promise<number>} Number of files written (0 if the folder did not exist at the ref)
+   * @throws {Error} If the ref is not found or a file cannot be read
+   */
+  async extract(ref, folder, targetDir) {
+    const commit = this.resolveCommit(ref);
+    const files = this.listFiles(commit, folder);
+
+    for (const file of files) {
+      const target = path.join(targetDir, path.relative(folder, file));
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, this.run(['show', `${commit}:./${file}`]));
+    }
+
+    return files.length;
+  }
+}
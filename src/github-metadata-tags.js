@@ -0,0 +1,163 @@
+import * as github from '@actions/github';
+import { TAG_CHARACTER_PATTERN } from './parameter-merger.js';
+
+/**
+ * GitHub metadata tags the action can add, keyed by the identifier used in the github-tags block
+ * Each entry has the default tag name and whether it is added when the block does not mention it
+ */
+export const GITHUB_METADATA_TAGS = {
+  commit: { name: 'GitCommit', enabled: true },
+  'last-modified-by': { name: 'GitLastModifiedBy', enabled: true },
+  'last-modified-at': { name: 'GitLastModifiedAt', enabled: true },
+  workflow: { name: 'GitFile', enabled: true },
+  org: { name: 'GitOrg', enabled: true },
+  repo: { name: 'GitRepo', enabled: true },
+  'run-url': { name: 'GitRunUrl', enabled: false },
+  'run-id': { name: 'GitRunId', enabled: false },
+  ref: { name: 'GitRef', enabled: false },
+  'pr-number': { name: 'GitPullRequest', enabled: false },
+  'event-name': { name: 'GitEventName', enabled: false }
+};
+
+/**
+ * Fields allowed in the github-tags block of cloudformation.json
+ */
+const SETTINGS_FIELDS = ['enabled', 'prefix', 'tags'];
+
+/**
+ * GitHubMetadataTags module for building the GitHub metadata tags added to every stack
+ *
+ * Settings (the github-tags block of cloudformation.json):
+ * {
+ *   "enabled": true,              // false disables every metadata tag
+ *   "prefix": "github:",          // prepended to every tag name
+ *   "tags": {
+ *     "last-modified-at": false,  // disable a tag
+ *     "repo": "SourceRepo",       // rename a tag
+ *     "run-url": true             // enable an optional tag under its default name
+ *   }
+ * }
+ */
+export class GitHubMetadataTags {
+  /**
+   * @param {Object} [options] - Sources of the metadata values
+   * @param {Object} [options.env=process.env] - GitHub Actions environment variables
+   * @param {Object} [options.payload] - GitHub event payload, defaults to the payload of the running workflow
+   */
+  constructor({ env = process.env, payload = github.context.payload } = {}) {
+    this.env = env;
+    this.payload = payload || {};
+  }
+
+  /**
+   * Collects every problem in a github-tags block
+   * @param {Object|undefined} settings - github-tags block (undefined when not set)
+   * @returns {Array<{keyPath: Array<string>, message: string}>} Issues with the path of the offending key in the block
+   */
+  findSettingsIssues(settings) {
+    if (settings === undefined) {
+      return [];
+    }
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return [{ keyPath: [], message: 'Invalid github-tags: must be an object' }];
+    }
+
+    const issues = [];
+    for (const field of Object.keys(settings)) {
+      if (!SETTINGS_FIELDS.includes(field)) {
+        issues.push({ keyPath: [field], message: `Unknown github-tags field '${field}'. Supported fields: ${SETTINGS_FIELDS.join(', ')}` });
+      }
+    }
+
+    if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+      issues.push({ keyPath: ['enabled'], message: 'Invalid github-tags.enabled: must be true or false' });
+    }
+
+    if (settings.prefix !== undefined && typeof settings.prefix !== 'string') {
+      issues.push({ keyPath: ['prefix'], message: 'Invalid github-tags.prefix: must be a string' });
+    }
+
+    if (settings.tags !== undefined) {
+      if (!settings.tags || typeof settings.tags !== 'object' || Array.isArray(settings.tags)) {
+        issues.push({ keyPath: ['tags'], message: 'Invalid github-tags.tags: must be an object' });
+      } else {
+        for (const [id, value] of Object.entries(settings.tags)) {
+          if (!GITHUB_METADATA_TAGS[id]) {
+            issues.push({ keyPath: ['tags', id], message: `Unknown GitHub metadata tag '${id}'. Supported tags: ${Object.keys(GITHUB_METADATA_TAGS).join(', ')}` });
+          } else if (typeof value !== 'boolean' && (typeof value !== 'string' || value.trim() === '')) {
+            issues.push({ keyPath: ['tags', id], message: `Invalid github-tags.tags.${id}: must be true, false or a tag name` });
+          }
+        }
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Build the metadata tags selected by the settings
+   * @param {Object} [settings={}] - Validated github-tags block
+   * @returns {Object} Tag key/value pairs; pr-number is left out outside pull requests
+   */
+  build(settings = {}) {
+    if (settings.enabled === false) {
+      return {};
+    }
+
+    const prefix = settings.prefix || '';
+    const overrides = settings.tags || {};
+    const values = this.getValues();
+    const tags = {};
+
+    for (const [id, definition] of Object.entries(GITHUB_METADATA_TAGS)) {
+      const override = overrides[id];
+      const enabled = override === undefined ? definition.enabled : override !== false;
+      if (!enabled || values[id] === '') {
+        continue;
+      }
+
+      const name = typeof override === 'string' ? override.trim() : definition.name;
+      tags[`${prefix}${name}`] = this.sanitizeValue(values[id]);
+    }
+
+    return tags;
+  }
+
+  /**
+   * Replace characters AWS does not allow in tag values (e.g. parentheses in workflow names) with hyphens
+   * @param {string} value - Raw metadata value
+   * @returns {string} Value containing only allowed tag characters
+   */
+  sanitizeValue(value) {
+    return [...value].map((character) => (TAG_CHARACTER_PATTERN.test(character) ? character : '-')).join('');
+  }
+
+  /**
+   * Read the value of every metadata tag from the GitHub Actions environment
+   * @returns {Object} Values keyed by tag identifier ('unknown' when not available, '' for pr-number outside pull requests)
+   */
+  getValues() {
+    const env = this.env || {};
+    const repository = env.GITHUB_REPOSITORY || 'unknown';
+    const [org, repo] = repository.split('/');
+    const pullRequest = (env.GITHUB_REF || '').match(/^refs\/pull\/(\d+)\//);
+    const runUrl = env.GITHUB_SERVER_URL && env.GITHUB_REPOSITORY && env.GITHUB_RUN_ID
+      ? `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`
+      : 'unknown';
+
+    return {
+      commit: (env.GITHUB_SHA || 'unknown').substring(0, 8), // Short commit hash
+      'last-modified-by': env.GITHUB_ACTOR || 'unknown',
+      'last-modified-at': new Date().toISOString(),
+      workflow: env.GITHUB_WORKFLOW || 'unknown',
+      org: org || 'unknown',
+      repo: repo || 'unknown',
+      'run-url': runUrl,
+      'run-id': env.GITHUB_RUN_ID || 'unknown',
+      ref: env.GITHUB_REF || 'unknown',
+      'pr-number': String(this.payload.pull_request?.number || (pullRequest ? pullRequest[1] : '')),
+      'event-name': env.GITHUB_EVENT_NAME || 'unknown'
+    };
+  }
+}
@@ -1,8 +1,27 @@
 import * as core from '@actions/core';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import ConfigurationReader from './configuration-reader.js';
 import { ParameterMerger } from './parameter-merger.js';
 import { StackNameGenerator } from './stack-name-generator.js';
 import { CiBuildIdGenerator } from './ci-build-id-generator.js';
+import { TemplateValidator } from './template-validator.js';
+import { OutputFormatter, OUTPUT_FORMATS } from './output-formatter.js';
+import { PlaceholderResolver } from './placeholder-resolver.js';
+import { TagPolicyValidator } from './tag-policy-validator.js';
+import { GitHubMetadataTags } from './github-metadata-tags.js';
+import { ValueSourceResolver, VALUE_SOURCE_MODES } from './value-source-resolver.js';
+import { SecretMasker } from './secret-masker.js';
+import { MatrixBuilder, REGION_PATTERN } from './matrix-builder.js';
+import { ParameterDiffer } from './parameter-differ.js';
+import { GitSnapshot } from './git-snapshot.js';
+import { ValidationError } from './validation-error.js';
+
+/**
+ * Supported values for the ci-build-id-mode input
+ */
+const CI_BUILD_ID_MODES = ['random', 'deterministic'];
 
 /**
  * Main entry point for the CloudFormation Stack Parameters GitHub Action
@@ -14,143 +33,932 @@ async function run() {
     const folder = process.env.INPUT_CFN_DIRECTORY || 'cfn';
     const ciBuildInput = process.env.INPUT_CI_BUILD || 'false';
     const environment = process.env.INPUT_ENVIRONMENT || '';
+    const outputFormatInput = process.env.INPUT_OUTPUT_FORMAT || 'cloudformation';
+    const deploymentFile = process.env.INPUT_DEPLOYMENT_FILE || 'artifacts/deployment.json';
+    const strictPlaceholdersInput = process.env.INPUT_STRICT_PLACEHOLDERS || 'false';
+    const ciBuildIdInput = process.env.INPUT_CI_BUILD_ID || '';
+    const ciBuildIdModeInput = process.env.INPUT_CI_BUILD_ID_MODE || 'random';
+    const ciBuildIdSalt = process.env.INPUT_CI_BUILD_ID_SALT || '';
+    const accountAlias = process.env.INPUT_ACCOUNT_ALIAS || '';
+    const account = (process.env.INPUT_ACCOUNT || '').trim();
+    const region = (process.env.INPUT_REGION || '').trim();
+    const prStackNamingInput = process.env.INPUT_PR_STACK_NAMING || 'false';
+    const valueSourceModeInput = process.env.INPUT_VALUE_SOURCE_MODE || 'resolve';
+    const deploymentFileKey = process.env.INPUT_DEPLOYMENT_FILE_ENCRYPTION_KEY || '';
+    const matrixInput = process.env.INPUT_MATRIX || 'false';
+    const diffEnvironment = (process.env.INPUT_DIFF_ENVIRONMENT || '').trim();
+    const diffBaseRef = (process.env.INPUT_DIFF_BASE_REF || '').trim();
 
-    // Validate and parse ci-build input
+    // Validate and parse ci-build, output-format, strict-placeholders, ci-build-id-mode, pr-stack-naming, value-source-mode and matrix inputs
     const isCiBuild = parseBooleanInput(ciBuildInput);
+    const outputFormat = parseOutputFormat(outputFormatInput);
+    const strictPlaceholders = parseBooleanInput(strictPlaceholdersInput, 'strict-placeholders');
+    const ciBuildIdMode = parseCiBuildIdMode(ciBuildIdModeInput);
+    const usePullRequestNumber = parseBooleanInput(prStackNamingInput, 'pr-stack-naming');
+    const valueSourceMode = parseValueSourceMode(valueSourceModeInput);
+    const isMatrix = parseBooleanInput(matrixInput, 'matrix');
 
-    // Validate inputs
-    validateInputs(folder, isCiBuild, environment);
+    // Validate inputs; in matrix mode every environment is processed, so the environment input is not required
+    if (isMatrix && isCiBuild) {
+      throw new Error('matrix cannot be used together with ci-build. CI builds deploy a single stack per branch.');
+    }
+    validateInputs(folder, isCiBuild || isMatrix, isMatrix ? '' : environment);
+    if (isMatrix && environment.trim() !== '') {
+      core.warning('Environment input is ignored when matrix is true');
+    }
+    validateTargetInputs(account, region);
+    validateDiffInputs(diffEnvironment, diffBaseRef, { isCiBuild, isMatrix });
 
     core.info(`Processing CloudFormation configuration from folder: ${folder}`);
     core.info(`CI Build mode: ${isCiBuild}`);
     core.info(`Environment: ${environment || 'not specified'}`);
+    core.info(`Account: ${account || 'not specified'}, Region: ${region || 'not specified'}`);
+    core.info(`Output format: ${outputFormat}`);
+    core.info(`Value source mode: ${valueSourceMode}`);
 
     // Initialize modules
     const configReader = new ConfigurationReader();
     const parameterMerger = new ParameterMerger();
     const stackNameGenerator = new StackNameGenerator();
     const ciBuildIdGenerator = new CiBuildIdGenerator();
+    const templateValidator = new TemplateValidator();
+    const outputFormatter = new OutputFormatter();
+    const placeholderResolver = new PlaceholderResolver();
+    const tagPolicyValidator = new TagPolicyValidator();
+    const valueSourceResolver = new ValueSourceResolver({ mode: valueSourceMode, baseDir: folder });
+    const secretMasker = new SecretMasker();
 
     // Read CloudFormation configuration
     core.info('Reading CloudFormation configuration...');
     const config = await configReader.readCloudFormationConfig(folder);
-    core.info(`Project: ${config.project}, Template: ${config.template}, Stack Prefix: ${config['stack-prefix']}`);
-
-    // Read parameter files
-    core.info('Reading parameter files...');
-    const defaultParams = await configReader.readDefaultParameters(folder);
-    core.info(`Loaded ${Object.keys(defaultParams).length} default parameters`);
-
-    const envParams = await configReader.readEnvironmentParameters(folder, environment);
-    if (envParams) {
-      core.info(`Loaded ${Object.keys(envParams).length} environment-specific parameters for ${environment}`);
-    } else {
-      core.info('No environment-specific parameters found, using defaults only');
-    }
-
-    // Read tag files
-    core.info('Reading tag files...');
-    const defaultTags = await configReader.readDefaultTags(folder);
-    core.info(`Loaded ${Object.keys(defaultTags).length} default tags`);
-
-    const envTags = await configReader.readEnvironmentTags(folder, environment);
-    if (envTags) {
-      core.info(`Loaded ${Object.keys(envTags).length} environment-specific tags for ${environment}`);
-    } else {
-      core.info('No environment-specific tags found, using defaults only');
-    }
+    const stacks = configReader.getStackDefinitions(config);
+    core.info(`Project: ${config.project}, Stacks: ${stacks.length}`);
+    const tagPolicies = await loadTagPolicies(folder, config, stacks, configReader, tagPolicyValidator);
 
     // Generate CI build ID first (needed for parameters)
     core.info('Generating CI build ID...');
-    const ciBuildId = isCiBuild ? ciBuildIdGenerator.generateRandomId() : '';
+    const ciBuildId = resolveCiBuildId({
+      isCiBuild,
+      explicitId: ciBuildIdInput,
+      mode: ciBuildIdMode,
+      salt: ciBuildIdSalt
+    }, ciBuildIdGenerator);
     if (ciBuildId) {
       core.info(`Generated CI build ID: ${ciBuildId}`);
     } else {
       core.info('CI build ID not generated (not in CI build mode)');
     }
 
-    // Merge parameters
-    core.info('Merging parameters...');
-    const mergedParams = parameterMerger.mergeParameters(defaultParams, envParams);
-
-    // Add CiBuildId parameter if this is a CI build (with dash prefix)
-    if (isCiBuild && ciBuildId) {
-      mergedParams.CiBuildId = `-${ciBuildId}`;
-      core.info(`Added CiBuildId parameter: -${ciBuildId}`);
-    }
-
-    const formattedParams = parameterMerger.formatForCloudFormation(mergedParams);
-    core.info(`Generated ${formattedParams.length} CloudFormation parameters`);
-
-    // Merge tags
-    core.info('Merging tags...');
-    const mergedTags = parameterMerger.mergeParameters(defaultTags, envTags);
-    
-    // Add GitHub metadata tags
-    core.info('Adding GitHub metadata tags...');
-    const gitCommit = process.env.GITHUB_SHA || 'unknown';
-    const gitActor = process.env.GITHUB_ACTOR || 'unknown';
-    const gitWorkflow = process.env.GITHUB_WORKFLOW || 'unknown';
-    const gitRepository = process.env.GITHUB_REPOSITORY || 'unknown';
-    const gitLastModifiedAt = new Date().toISOString();
-    const [gitOrg, gitRepo] = gitRepository.split('/');
-    
-    mergedTags.GitCommit = gitCommit.substring(0, 8); // Short commit hash
-    mergedTags.GitLastModifiedBy = gitActor;
-    mergedTags.GitLastModifiedAt = gitLastModifiedAt;
-    mergedTags.GitFile = gitWorkflow;
-    mergedTags.GitOrg = gitOrg || 'unknown';
-    mergedTags.GitRepo = gitRepo || 'unknown';
-    
-    core.info(`Added GitHub metadata tags: GitCommit=${mergedTags.GitCommit}, GitLastModifiedBy=${mergedTags.GitLastModifiedBy}, GitLastModifiedAt=${mergedTags.GitLastModifiedAt}, GitFile=${mergedTags.GitFile}, GitOrg=${mergedTags.GitOrg}, GitRepo=${mergedTags.GitRepo}`);
-    
-    const formattedTags = parameterMerger.formatTagsForCloudFormation(mergedTags);
-    core.info(`Generated ${formattedTags.length} CloudFormation tags (including GitHub metadata)`);
-
-    // Generate stack name
-    core.info('Generating stack name...');
-    let stackName = await stackNameGenerator.generateStackName(
-      config.project,
-      config['stack-prefix'],
-      isCiBuild,
-      environment
-    );
-
-    // Add CI build ID suffix to stack name if this is a CI build
-    if (isCiBuild && ciBuildId) {
-      stackName = `${stackName}-${ciBuildId}`;
+    // Build GitHub metadata tags (shared by all stacks)
+    core.info('Building GitHub metadata tags...');
+    const githubTags = buildGitHubMetadataTags(config['github-tags']);
+    core.info(`GitHub metadata tags: ${Object.entries(githubTags).map(([key, value]) => `${key}=${value}`).join(', ') || 'none'}`);
 
-      // Trim to maximum 128 characters if needed
-      if (stackName.length > 128) {
-        stackName = stackName.substring(0, 128);
-        core.info(`Stack name trimmed to 128 characters: ${stackName}`);
+    // Process each stack defined in the configuration
+    const stackContext = {
+      folder,
+      environment,
+      account,
+      region,
+      isCiBuild,
+      ciBuildId,
+      githubTags,
+      configReader,
+      parameterMerger,
+      stackNameGenerator,
+      templateValidator,
+      placeholderResolver,
+      valueSourceResolver,
+      secretMasker,
+      tagPolicyValidator,
+      tagPolicies,
+      strictPlaceholders,
+      usePullRequestNumber,
+      nameTokens: buildStackNameTokens(process.env, accountAlias, region),
+      placeholderContext: {
+        env: process.env,
+        inputs: {
+          'cfn-directory': folder,
+          'ci-build': String(isCiBuild),
+          environment,
+          account,
+          region,
+          'output-format': outputFormat
+        },
+        ciBuildId
       }
+    };
+
+    // In matrix mode emit one entry per environment and region instead of the single-deployment outputs
+    if (isMatrix) {
+      core.info('Building deployment matrix...');
+      const matrix = await buildMatrix(stacks, stackContext, new MatrixBuilder(configReader));
+      core.info(`Matrix entries: ${matrix.include.map((entry) => entry['stack-name']).join(', ')}`);
+      core.setOutput('matrix', JSON.stringify(matrix));
+      core.info('Action completed successfully!');
+      return;
     }
 
-    core.info(`Generated stack name: ${stackName}`);
+    const results = await processStacks(stacks, stackContext);
 
-    // Set action outputs
+    // Set action outputs; the single-stack outputs describe the first stack for backward compatibility
     core.info('Setting action outputs...');
-    core.setOutput('parameters', JSON.stringify(formattedParams));
-    core.setOutput('stack-name', stackName);
-    core.setOutput('template', config.template);
-    core.setOutput('tags', JSON.stringify(formattedTags));
+    const [primary] = results;
+    const rendered = outputFormatter.render(outputFormat, primary.parameters, primary.tags);
+    core.setOutput('parameters', rendered.parameters);
+    core.setOutput('stack-name', primary.stackName);
+    core.setOutput('base-stack-name', primary.baseStackName);
+    core.setOutput('ci-build-id', ciBuildId);
+    core.setOutput('is-ci-build', String(isCiBuild));
+    core.setOutput('template', primary.template);
+    core.setOutput('tags', rendered.tags);
+    core.setOutput('stacks', JSON.stringify(results));
+    core.setOutput('provenance', JSON.stringify(primary.provenance));
+
+    // Every format is also available as a named output regardless of output-format
+    core.setOutput('parameters-cloudformation', JSON.stringify(primary.parameters));
+    core.setOutput('tags-cloudformation', JSON.stringify(primary.tags));
+    core.setOutput('parameters-aws-cli', JSON.stringify(outputFormatter.toAwsCliParameters(primary.parameters)));
+    core.setOutput('parameter-overrides-sam', outputFormatter.toSamParameterOverrides(primary.parameters));
+    core.setOutput('tags-sam', outputFormatter.toSamTags(primary.tags));
+    core.setOutput('codepipeline-configuration', JSON.stringify(outputFormatter.toCodePipelineConfiguration(primary.parameters, primary.tags)));
+    core.setOutput('parameters-redacted', JSON.stringify(secretMasker.redactParameters(primary.parameters, primary.sensitiveParameters)));
+
+    // Write the deployment artifact; sensitive parameters are encrypted, or left out without an encryption key
+    core.info(`Writing deployment file: ${deploymentFile}`);
+    if (results.some((result) => result.sensitiveParameters.length > 0)) {
+      core.info(deploymentFileKey
+        ? 'Encrypting sensitive parameters in the deployment file'
+        : 'Leaving sensitive parameters out of the deployment file (no deployment-file-encryption-key)');
+    }
+    await writeDeploymentFile(deploymentFile, {
+      parameters: secretMasker.protectParameters(primary.parameters, primary.sensitiveParameters, deploymentFileKey),
+      'sensitive-parameters': primary.sensitiveParameters,
+      'stack-name': primary.stackName,
+      'base-stack-name': primary.baseStackName,
+      'template-path': path.join(folder, primary.template),
+      tags: primary.tags,
+      'ci-build-id': ciBuildId,
+      'source-files': configReader.getSourceFiles(),
+      stacks: results.map((result) => ({
+        'stack-name': result.stackName,
+        'base-stack-name': result.baseStackName,
+        'template-path': path.join(folder, result.template),
+        parameters: secretMasker.protectParameters(result.parameters, result.sensitiveParameters, deploymentFileKey),
+        'sensitive-parameters': result.sensitiveParameters,
+        tags: result.tags
+      }))
+    });
+    core.setOutput('deployment-file', deploymentFile);
+
+    // Compare with another environment or with the configuration at the base ref
+    if (diffEnvironment || diffBaseRef) {
+      const diff = await buildDiff(stacks, results, stackContext, { environment: diffEnvironment, baseRef: diffBaseRef });
+      core.info(diff['has-changes']
+        ? `Parameter diff ${diff.before} -> ${diff.after}: ${diff.stacks.filter((stack) => stack.status !== 'unchanged').length} stack(s) changed`
+        : `Parameter diff ${diff.before} -> ${diff.after}: no changes`);
+      core.setOutput('diff', JSON.stringify(diff));
+      if (process.env.GITHUB_STEP_SUMMARY) {
+        await core.summary.addRaw(new ParameterDiffer().toMarkdown(diff, diff.before, diff.after), true).write();
+      }
+    }
+
+    // Show where each parameter value came from in the step summary
+    if (process.env.GITHUB_STEP_SUMMARY) {
+      await writeProvenanceSummary(results);
+    }
 
     core.info('Action completed successfully!');
 
   } catch (error) {
+    // Annotate each validation issue on the file (and line, when known) it was found at
+    if (error instanceof ValidationError) {
+      for (const issue of error.issues) {
+        core.error(issue.message, ValidationError.toAnnotation(issue));
+      }
+    }
     core.setFailed(`Action failed: ${error.message}`);
     core.debug(`Error stack: ${error.stack}`);
   }
 }
 
+/**
+ * Process every stack definition, collecting the validation issues of all stacks
+ * before failing so they are reported together
+ * @param {Array<Object>} stacks - Stack definitions from ConfigurationReader.getStackDefinitions
+ * @param {Object} context - Shared context passed to processStack
+ * @returns {Promise<Array>} Processed stacks in definition order
+ * @throws {ValidationError} If any stack has validation issues (all are listed)
+ */
+async function processStacks(stacks, context) {
+  const results = [];
+  const issues = [];
+  for (const stack of stacks) {
+    try {
+      results.push(await processStack(stack, context));
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      issues.push(...error.issues);
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new ValidationError(issues);
+  }
+
+  return results;
+}
+
+/**
+ * Process every stack for each environment and region found in the configuration folder
+ * Validation issues of all targets are collected before failing, each suffixed with the target it was found for
+ * @param {Array<Object>} stacks - Stack definitions from ConfigurationReader.getStackDefinitions
+ * @param {Object} context - Shared context passed to processStack; environment, region and the matching
+ *   name tokens and placeholder inputs are replaced for each target
+ * @param {MatrixBuilder} matrixBuilder - Finds the targets and builds the entries
+ * @returns {Promise<{include: Array<Object>}>} Matrix for strategy.matrix, one entry per environment and region
+ * @throws {Error} If no environment is found
+ * @throws {ValidationError} If any target has validation issues (all are listed)
+ */
+async function buildMatrix(stacks, context, matrixBuilder) {
+  const logger = context.logger || core;
+  const { environments, regions } = await matrixBuilder.findTargets(context.folder, stacks, {
+    account: context.account,
+    region: context.region
+  });
+  if (environments.length === 0) {
+    throw new Error(`No environments found in the params or tags folders of ${context.folder}. Add an <environment>.json layer for each environment to deploy.`);
+  }
+  logger.info(`Environments: ${environments.join(', ')}, Regions: ${regions.filter(Boolean).join(', ') || 'not specified'}`);
+
+  const include = [];
+  const issues = [];
+  for (const environment of environments) {
+    for (const region of regions) {
+      try {
+        const results = await processStacks(stacks, withTarget(context, environment, region));
+        include.push(matrixBuilder.buildEntry(environment, region, results, context.secretMasker));
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+        const target = region ? `environment ${environment}, region ${region}` : `environment ${environment}`;
+        issues.push(...error.issues.map((issue) => ({ ...issue, message: `${issue.message} (${target})` })));
+      }
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new ValidationError(issues);
+  }
+
+  return { include };
+}
+
+/**
+ * Compare the processed stacks with another environment, or with the same environment at a git ref
+ * @param {Array<Object>} stacks - Stack definitions from ConfigurationReader.getStackDefinitions
+ * @param {Array<Object>} results - Processed stacks of the current deployment (the "after" side)
+ * @param {Object} context - Context the results were processed with
+ * @param {Object} target - What to compare with (exactly one is set)
+ * @param {string} [target.environment=''] - Environment to compare with, processed with the same inputs
+ * @param {string} [target.baseRef=''] - Git ref whose configuration folder is processed with the same inputs
+ * @param {GitSnapshot} [gitSnapshot] - Reads the configuration folder at the base ref
+ * @returns {Promise<{before: string, after: string, 'has-changes': boolean, stacks: Array<Object>}>} Diff from
+ *   ParameterDiffer.diffStacks with the names of both sides; sensitive values are shown as ****
+ * @throws {ValidationError} If the other side has validation issues
+ * @throws {Error} If the environment to compare with has no layer files
+ */
+async function buildDiff(stacks, results, context, { environment = '', baseRef = '' }, gitSnapshot = new GitSnapshot()) {
+  const logger = context.logger || core;
+  const differ = new ParameterDiffer();
+  const describe = (definitions, processed) => processed.map((result, index) => ({
+    ...result,
+    stackPrefix: definitions[index]['stack-prefix']
+  }));
+  const after = describe(stacks, results);
+
+  if (environment) {
+    if (!await hasEnvironmentLayer(stacks, context, environment)) {
+      throw new Error(`Environment ${environment} has no layer files in the params or tags folders of ${context.folder} and no hierarchy entry, so there is nothing to compare with. Expected ${environment}.json, ${environment}.yaml or ${environment}.yml.`);
+    }
+    logger.info(`Comparing with environment ${environment}...`);
+    const before = describe(stacks, await processStacks(stacks, withTarget(context, environment, context.region)));
+    return { before: environment, after: context.environment, ...differ.diffStacks(before, after) };
+  }
+
+  logger.info(`Comparing with ${context.folder} at ${baseRef}...`);
+  const snapshotDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cfn-diff-'));
+  try {
+    let before = [];
+    if (await gitSnapshot.extract(baseRef, context.folder, snapshotDir) === 0) {
+      logger.warning(`${context.folder} does not exist at ${baseRef}, so every stack is shown as added`);
+    } else {
+      before = await processSnapshot(snapshotDir, baseRef, context);
+    }
+    return { before: baseRef, after: 'HEAD', ...differ.diffStacks(before, after) };
+  } finally {
+    await fs.rm(snapshotDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Check whether any stack defines an environment, either with an <environment> or <environment>.<region> layer
+ * file in its params or tags folder, or with a hierarchy entry. Layers are looked up the same way they are read
+ * @param {Array<Object>} stacks - Stack definitions from ConfigurationReader.getStackDefinitions
+ * @param {Object} context - Context with the folder, region and configuration reader
+ * @param {string} environment - Environment name
+ * @returns {Promise<boolean>} True if the environment is defined for at least one stack
+ */
+async function hasEnvironmentLayer(stacks, context, environment) {
+  const { configReader, folder, region } = context;
+  const names = region ? [environment, `${environment}.${region}`] : [environment];
+
+  for (const stack of stacks) {
+    if (Object.prototype.hasOwnProperty.call(stack.hierarchy || {}, environment)) {
+      return true;
+    }
+
+    for (const name of names) {
+      if (await configReader.readEnvironmentParameters(folder, name, stack.params) !== null ||
+        await configReader.readEnvironmentTags(folder, name, stack.tags) !== null) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Process the configuration folder extracted from a git ref with the inputs of the current run
+ * File paths in errors are mapped back to the configuration folder and marked with the ref; the issues are not
+ * annotated, as their lines refer to the files at the ref
+ * @param {string} snapshotDir - Folder the configuration was extracted to
+ * @param {string} ref - Git ref the configuration was read from
+ * @param {Object} context - Context of the current run
+ * @returns {Promise<Array<Object>>} Processed stacks with their stackPrefix
+ * @throws {ValidationError} If the configuration at the ref has validation issues
+ */
+async function processSnapshot(snapshotDir, ref, context) {
+  const relocate = (text) => text.split(snapshotDir).join(context.folder);
+
+  try {
+    const configReader = new ConfigurationReader();
+    const config = await configReader.readCloudFormationConfig(snapshotDir);
+    const stacks = configReader.getStackDefinitions(config);
+    const snapshotContext = {
+      ...context,
+      folder: snapshotDir,
+      configReader,
+      valueSourceResolver: context.valueSourceResolver &&
+        new ValueSourceResolver({ mode: context.valueSourceResolver.mode, baseDir: snapshotDir }),
+      tagPolicies: await loadTagPolicies(snapshotDir, config, stacks, configReader, context.tagPolicyValidator, context.logger || core)
+    };
+
+    const results = await processStacks(stacks, snapshotContext);
+    return results.map((result, index) => ({ ...result, stackPrefix: stacks[index]['stack-prefix'] }));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw new ValidationError(error.issues.map((issue) => ({
+        file: null,
+        message: `${issue.file ? `${relocate(issue.file)}: ` : ''}${relocate(issue.message)} (at ${ref})`
+      })));
+    }
+    throw new Error(`${relocate(error.message)} (at ${ref})`);
+  }
+}
+
+/**
+ * Build the context of another deployment target: environment, region and the matching name tokens
+ * and placeholder inputs are replaced
+ * @param {Object} context - processStack context
+ * @param {string} environment - Environment name
+ * @param {string} region - Region ('' for none)
+ * @returns {Object} Context for the target
+ */
+function withTarget(context, environment, region) {
+  return {
+    ...context,
+    environment,
+    region,
+    nameTokens: { ...context.nameTokens, region: region || context.nameTokens.region },
+    placeholderContext: {
+      ...context.placeholderContext,
+      inputs: { ...context.placeholderContext.inputs, environment, region }
+    }
+  };
+}
+
+/**
+ * Process a single stack definition: merge parameters and tags, validate them
+ * against the template and generate the stack name
+ * @param {Object} stack - Stack definition from ConfigurationReader.getStackDefinitions
+ * @param {Object} context - Shared inputs (folder, environment, account, region, CI build flags, GitHub tags), module instances and
+ *   an optional logger with info/warning methods (defaults to @actions/core)
+ * @returns {Promise<{stackName: string, baseStackName: string, template: string, parameters: Array, tags: Array, provenance: Object,
+ *   sensitiveParameters: Array<string>}>} Processed stack; baseStackName is the stack name before the CI build ID suffix.
+ *   Provenance values of sensitive parameters are redacted
+ */
+async function processStack(stack, context) {
+  const { folder, environment, isCiBuild, ciBuildId, githubTags, configReader, parameterMerger, stackNameGenerator, templateValidator } = context;
+  const logger = context.logger || core;
+  const target = { account: context.account || '', region: context.region || '' };
+  const stackPrefix = stack['stack-prefix'];
+  const paramsFolder = path.join(folder, stack.params);
+  const tagsFolder = path.join(folder, stack.tags);
+
+  logger.info(`Processing stack ${stackPrefix} (Template: ${stack.template}, Params: ${stack.params}, Tags: ${stack.tags})`);
+
+  // Read every parameter and tag file first, collecting all validation issues so they are reported together
+  const issues = [];
+  const collectIssues = async (file, read, fallback) => {
+    try {
+      return await read();
+    } catch (error) {
+      issues.push(...ValidationError.toIssues(error, file));
+      return fallback;
+    }
+  };
+
+  // Read parameter files
+  logger.info('Reading parameter files...');
+  const defaultParamsFile = await configReader.resolveConfigFile(paramsFolder, 'default');
+  const defaultParams = await collectIssues(defaultParamsFile, async () => resolvePlaceholders(
+    await configReader.readDefaultParameters(folder, stack.params),
+    defaultParamsFile,
+    context
+  ), {});
+  const envParamLayers = await collectIssues(paramsFolder, async () => resolveLayerPlaceholders(
+    await configReader.readEnvironmentLayers(folder, 'params', environment, stack.hierarchy, stack.params, target),
+    context
+  ), []);
+
+  // Read tag files
+  logger.info('Reading tag files...');
+  const defaultTagsFile = await configReader.resolveConfigFile(tagsFolder, 'default');
+  let defaultTags = await collectIssues(defaultTagsFile, async () => resolvePlaceholders(
+    await configReader.readDefaultTags(folder, stack.tags),
+    defaultTagsFile,
+    context
+  ), {});
+  let envTagLayers = await collectIssues(tagsFolder, async () => resolveLayerPlaceholders(
+    await configReader.readEnvironmentLayers(folder, 'tags', environment, stack.hierarchy, stack.tags, target),
+    context
+  ), []);
+
+  // Validate the content of each file, pointing each issue at the offending key
+  const locate = (file) => ({ key, message }) => ({
+    file,
+    message,
+    ...(key ? configReader.findKeyLocation(file, [key]) : null)
+  });
+  issues.push(...parameterMerger.findParameterIssues(defaultParams, 'default').map(locate(defaultParamsFile)));
+  for (const layer of envParamLayers) {
+    issues.push(...parameterMerger.findParameterIssues(layer.values, 'environment').map(locate(layer.file)));
+  }
+  issues.push(...parameterMerger.findTagIssues(defaultTags, 'default').map(locate(defaultTagsFile)));
+  for (const layer of envTagLayers) {
+    issues.push(...parameterMerger.findTagIssues(layer.values, 'environment').map(locate(layer.file)));
+  }
+
+  if (issues.length > 0) {
+    throw new ValidationError(issues);
+  }
+
+  // Tag names and values are valid; drop surrounding whitespace before merging
+  defaultTags = parameterMerger.trimTags(defaultTags);
+  envTagLayers = envTagLayers.map((layer) => ({ ...layer, values: parameterMerger.trimTags(layer.values) }));
+
+  logger.info(`Loaded ${Object.keys(defaultParams).length} default parameters`);
+  if (envParamLayers.length > 0) {
+    for (const layer of envParamLayers) {
+      logger.info(`Loaded ${Object.keys(layer.values).length} parameters from layer ${layer.name}`);
+    }
+    logger.info(`Parameter inheritance chain: ${['default', ...envParamLayers.map((layer) => layer.name)].join(' -> ')}`);
+  } else {
+    logger.info('No account, region or environment-specific parameters found, using defaults only');
+  }
+
+  logger.info(`Loaded ${Object.keys(defaultTags).length} default tags`);
+  if (envTagLayers.length > 0) {
+    for (const layer of envTagLayers) {
+      logger.info(`Loaded ${Object.keys(layer.values).length} tags from layer ${layer.name}`);
+    }
+  } else {
+    logger.info('No account, region or environment-specific tags found, using defaults only');
+  }
+
+  // Merge parameters
+  logger.info('Merging parameters...');
+  let mergedParams = parameterMerger.mergeLayers(defaultParams, envParamLayers, stack['merge-strategies']);
+  const provenance = parameterMerger.buildProvenance([
+    { name: 'default', file: defaultParamsFile, values: defaultParams },
+    ...envParamLayers
+  ]);
+  const locateParameter = (issue) => {
+    const file = provenance[issue.key] && provenance[issue.key].file;
+    return file ? locate(file)(issue) : { file: null, message: issue.message };
+  };
+
+  // Replace $ssm, $secretsmanager and $file values after merging, so only the values that are used are fetched
+  let secrets = [];
+  if (context.valueSourceResolver) {
+    const resolved = await context.valueSourceResolver.resolveValues(mergedParams);
+    if (resolved.issues.length > 0) {
+      throw new ValidationError(resolved.issues.map(locateParameter));
+    }
+    secrets = resolved.secrets;
+    mergedParams = resolved.values;
+  }
+
+  // Add CiBuildId parameter if this is a CI build (with dash prefix)
+  if (isCiBuild && ciBuildId) {
+    mergedParams.CiBuildId = `-${ciBuildId}`;
+    parameterMerger.recordProvenance(provenance, 'CiBuildId', mergedParams.CiBuildId, 'ci-build', null);
+    logger.info(`Added CiBuildId parameter: -${ciBuildId}`);
+  }
+
+  // Validate parameters against the template's Parameters section
+  const templatePath = path.join(folder, stack.template);
+  logger.info(`Validating parameters against template: ${templatePath}`);
+  const template = await templateValidator.readTemplate(templatePath);
+
+  // Register sensitive values (NoEcho, the sensitive list, Secrets Manager and SecureString values) so the runner masks them in the log.
+  // This happens before validation, so a sensitive value that fails a template constraint is not printed in the error
+  let sensitiveParameters = [];
+  if (context.secretMasker) {
+    sensitiveParameters = context.secretMasker.findSensitiveParameters(Object.keys(mergedParams), {
+      template,
+      sensitive: stack.sensitive,
+      secretParameters: secrets.map((secret) => secret.key)
+    });
+    const declared = (template && template.Parameters) || {};
+    const sensitiveValues = [
+      ...secrets.map((secret) => secret.value),
+      ...sensitiveParameters.map((name) => templateValidator.toParameterString(mergedParams[name], declared[name] && declared[name].Type))
+    ];
+    for (const value of sensitiveValues) {
+      if (value && logger.setSecret) {
+        logger.setSecret(value);
+      }
+    }
+    if (sensitiveParameters.length > 0) {
+      logger.info(`Sensitive parameters: ${sensitiveParameters.join(', ')}`);
+    }
+  }
+
+  if (template) {
+    // Annotate the file that supplied the offending value, or the template for missing parameters
+    const templateIssues = templateValidator.findParameterIssues(mergedParams, template, { sensitive: sensitiveParameters });
+    if (templateIssues.length > 0) {
+      throw new ValidationError(templateIssues.map((issue) => {
+        const located = locateParameter(issue);
+        return located.file ? located : { file: templatePath, message: issue.message };
+      }));
+    }
+    logger.info('Parameters match the template Parameters section');
+    mergedParams = templateValidator.joinListValues(mergedParams, template);
+  } else {
+    logger.warning(`CloudFormation template not found at ${templatePath}, skipping template parameter validation`);
+  }
+
+  const formattedParams = parameterMerger.formatForCloudFormation(mergedParams);
+  logger.info(`Generated ${formattedParams.length} CloudFormation parameters`);
+
+  // Merge tags and add GitHub metadata tags (metadata always wins)
+  logger.info('Merging tags...');
+  const mergedTags = {
+    ...parameterMerger.mergeTagLayers(defaultTags, envTagLayers),
+    ...githubTags
+  };
+  const tagProvenance = parameterMerger.buildProvenance([
+    { name: 'default', file: defaultTagsFile, values: defaultTags },
+    ...envTagLayers
+  ]);
+  const locateTag = ({ key, message }) => {
+    const file = tagProvenance[key] && tagProvenance[key].file;
+    return file ? locate(file)({ key, message }) : { file: null, message };
+  };
+
+  // Catch problems that only appear once layers are combined, such as names from different files
+  // (or GitHub metadata tags) that differ only by case
+  const mergedTagIssues = parameterMerger.findTagIssues(mergedTags, 'merged');
+  if (mergedTagIssues.length > 0) {
+    throw new ValidationError(mergedTagIssues.map(locateTag));
+  }
+
+  // Enforce the tag policy on the final tag set, pointing each violation at the file that set the tag
+  // or, for missing tags, at the policy rule
+  const tagPolicy = context.tagPolicies && context.tagPolicies[stack.tags];
+  if (tagPolicy) {
+    const { policy, file: policyFile, keyPath } = tagPolicy;
+    const violations = context.tagPolicyValidator.findViolations(mergedTags, policy, environment);
+    if (violations.length > 0) {
+      throw new ValidationError(violations.map(({ key, message }) => {
+        const stackMessage = `${message} (stack ${stackPrefix})`;
+        const file = tagProvenance[key] && tagProvenance[key].file;
+        return file
+          ? locate(file)({ key, message: stackMessage })
+          : { file: policyFile, message: stackMessage, ...configReader.findKeyLocation(policyFile, [...keyPath, 'tags', key]) };
+      }));
+    }
+    logger.info('Tags comply with the tag policy');
+  }
+
+  const formattedTags = parameterMerger.formatTagsForCloudFormation(mergedTags);
+  logger.info(`Generated ${formattedTags.length} CloudFormation tags (including GitHub metadata)`);
+
+  // Generate stack name
+  logger.info('Generating stack name...');
+  let stackName;
+  let baseStackName;
+  if (stack['stack-name-pattern']) {
+    logger.info(`Using stack name pattern: ${stack['stack-name-pattern']}`);
+    ({ stackName, baseStackName } = await stackNameGenerator.generateStackNameFromPattern(
+      stack['stack-name-pattern'],
+      {
+        ...context.nameTokens,
+        project: stack.project,
+        'stack-prefix': stackPrefix,
+        environment: isCiBuild ? '' : environment,
+        'ci-build-id': isCiBuild ? ciBuildId : ''
+      },
+      isCiBuild,
+      { usePullRequestNumber: context.usePullRequestNumber }
+    ));
+  } else {
+    ({ stackName, baseStackName } = await stackNameGenerator.generateStackNames(
+      stack.project,
+      stackPrefix,
+      isCiBuild,
+      environment,
+      { usePullRequestNumber: context.usePullRequestNumber, ciBuildId: isCiBuild ? ciBuildId : '' }
+    ));
+  }
+
+  logger.info(`Generated stack name: ${stackName}`);
+
+  return {
+    stackName,
+    baseStackName,
+    template: stack.template,
+    parameters: formattedParams,
+    tags: formattedTags,
+    provenance: context.secretMasker ? context.secretMasker.redactProvenance(provenance, sensitiveParameters) : provenance,
+    sensitiveParameters
+  };
+}
+
+/**
+ * Write the deployment artifact as formatted JSON, creating parent directories as needed
+ * @param {string} filePath - Relative path of the deployment file
+ * @param {Object} deployment - Deployment description to serialize
+ * @returns {Promise<void>}
+ * @throws {Error} If the path is unsafe or the file cannot be written
+ */
+async function writeDeploymentFile(filePath, deployment) {
+  if (!filePath || typeof filePath !== 'string' || filePath.trim() === '') {
+    throw new Error('Deployment file path cannot be empty and must be a valid string');
+  }
+
+  if (filePath.includes('..') || filePath.includes('~') || path.isAbsolute(filePath)) {
+    throw new Error('Deployment file path contains potentially unsafe characters. Use relative paths only.');
+  }
+
+  try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, `${JSON.stringify(deployment, null, 2)}\n`, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to write deployment file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Append a parameter provenance table per stack to the GitHub step summary
+ * @param {Array} results - Processed stacks from processStack
+ * @returns {Promise<void>}
+ */
+async function writeProvenanceSummary(results) {
+  core.summary.addHeading('🔎 Parameter Provenance', 3);
+
+  for (const result of results) {
+    const rows = Object.entries(result.provenance).map(([name, entry]) => [
+      name,
+      formatSummaryValue(entry.value),
+      entry.file || entry.layer,
+      entry.overriddenFrom
+        ? `${formatSummaryValue(entry.overriddenFrom.value)} (${entry.overriddenFrom.file || entry.overriddenFrom.layer})`
+        : '—'
+    ]);
+
+    core.summary
+      .addRaw(`<p><strong>${result.stackName}</strong></p>`, true)
+      .addTable([
+        [
+          { data: 'Parameter', header: true },
+          { data: 'Value', header: true },
+          { data: 'Source', header: true },
+          { data: 'Overrode', header: true }
+        ],
+        ...rows
+      ]);
+  }
+
+  await core.summary.write();
+}
+
+/**
+ * Format a parameter value for display in the step summary
+ * @param {*} value - Raw parameter value
+ * @returns {string} HTML-escaped string value
+ */
+function formatSummaryValue(value) {
+  const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return stringValue.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Build the GitHub metadata tags added to every stack
+ * @param {Object} [settings={}] - github-tags block of cloudformation.json (enabled, prefix, tags)
+ * @param {Object} [env=process.env] - GitHub Actions environment variables
+ * @returns {Object} Tag key/value pairs derived from the GitHub Actions environment
+ */
+function buildGitHubMetadataTags(settings = {}, env = process.env) {
+  return new GitHubMetadataTags({ env }).build(settings);
+}
+
+/**
+ * Read and validate the tag policy of every tags subfolder used by the stacks
+ * Each stack uses the policy.json in its own tags subfolder, or the tag-policy block of cloudformation.json
+ * @param {string} folder - Configuration folder
+ * @param {Object} config - Parsed cloudformation.json content
+ * @param {Array<Object>} stacks - Stack definitions from ConfigurationReader.getStackDefinitions
+ * @param {ConfigurationReader} configReader - Reader used for the configuration
+ * @param {TagPolicyValidator} validator - Tag policy validator
+ * @param {Object} [logger=core] - Logger with an info method
+ * @returns {Promise<Object<string, {policy: Object, file: string, keyPath: Array<string>}|null>>} Tag policy by tags
+ *   subfolder, null for subfolders without one
+ * @throws {ValidationError} If a policy cannot be read or is malformed (one issue per problem)
+ */
+async function loadTagPolicies(folder, config, stacks, configReader, validator, logger = core) {
+  const tagPolicies = {};
+  const loaded = new Set();
+
+  for (const subfolder of new Set(stacks.map((stack) => stack.tags))) {
+    let tagPolicy;
+    try {
+      tagPolicy = await configReader.readTagPolicy(folder, config, subfolder);
+    } catch (error) {
+      // Keep the file/line/column of parse errors for annotations
+      throw new ValidationError(ValidationError.toIssues(error, null));
+    }
+    tagPolicies[subfolder] = tagPolicy;
+    if (!tagPolicy || loaded.has(tagPolicy.file)) {
+      continue;
+    }
+
+    const issues = validator.findPolicyIssues(tagPolicy.policy);
+    if (issues.length > 0) {
+      throw new ValidationError(issues.map(({ keyPath, message }) => ({
+        file: tagPolicy.file,
+        message,
+        ...configReader.findKeyLocation(tagPolicy.file, [...tagPolicy.keyPath, ...keyPath])
+      })));
+    }
+
+    loaded.add(tagPolicy.file);
+    logger.info(`Loaded tag policy from ${tagPolicy.file}`);
+  }
+
+  return tagPolicies;
+}
+
+/**
+ * Resolve the CI build ID: an explicit ID wins, otherwise it is random or derived from the run context
+ * @param {Object} options - CI build ID options
+ * @param {boolean} options.isCiBuild - CI build flag; no ID is generated outside CI builds
+ * @param {string} [options.explicitId] - Explicit ID from the ci-build-id input
+ * @param {string} [options.mode='random'] - 'random' or 'deterministic'
+ * @param {string} [options.salt] - Salt mixed into deterministic IDs
+ * @param {CiBuildIdGenerator} generator - CI build ID generator
+ * @param {Object} [env=process.env] - Environment providing the GitHub run context
+ * @param {Object} [logger=core] - Logger with a warning method
+ * @returns {string} CI build ID, or '' when not in CI build mode
+ * @throws {Error} If the explicit ID does not match the generated ID format
+ */
+function resolveCiBuildId(options, generator, env = process.env, logger = core) {
+  const { isCiBuild, explicitId = '', mode = 'random', salt = '' } = options;
+  const requestedId = explicitId.trim();
+
+  if (!isCiBuild) {
+    if (requestedId) {
+      logger.warning('ci-build-id input is ignored when ci-build is false');
+    }
+    return '';
+  }
+
+  if (requestedId) {
+    if (!generator.validateIdFormat(requestedId)) {
+      throw new Error(`Invalid ci-build-id: ${requestedId}. Must be 6-10 lowercase letters`);
+    }
+    return requestedId;
+  }
+
+  if (mode === 'deterministic') {
+    return generator.generateDeterministicId({ ...getRunContext(env), salt });
+  }
+
+  return generator.generateRandomId();
+}
+
+/**
+ * Read the repository, branch and pull request number of the current run
+ * @param {Object} env - Environment variables
+ * @returns {{repository: string, branch: string, pullRequest: string}} Run context ('' for unknown values)
+ */
+function getRunContext(env) {
+  const pullRequest = (env.GITHUB_REF || '').match(/^refs\/pull\/(\d+)\//);
+
+  return {
+    repository: env.GITHUB_REPOSITORY || '',
+    branch: env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME || '',
+    pullRequest: pullRequest ? pullRequest[1] : ''
+  };
+}
+
+/**
+ * Build the stack-name-pattern token values that come from the run environment
+ * Project, stack prefix, environment and CI build ID are added per stack by processStack
+ * @param {Object} env - Environment variables
+ * @param {string} [accountAlias=''] - AWS account alias from the account-alias input
+ * @param {string} [region=''] - AWS region from the region input (falls back to AWS_REGION and AWS_DEFAULT_REGION)
+ * @returns {Object} Values for the region, account-alias, pr-number and org tokens
+ */
+function buildStackNameTokens(env, accountAlias = '', region = '') {
+  const { repository, pullRequest } = getRunContext(env);
+
+  return {
+    region: region || env.AWS_REGION || env.AWS_DEFAULT_REGION || '',
+    'account-alias': accountAlias,
+    'pr-number': pullRequest,
+    org: repository.split('/')[0]
+  };
+}
+
+/**
+ * Expand ${...} placeholders in values read from a configuration file
+ * Undefined variables fail in strict mode (one issue each) and are replaced with an empty string (with a warning) otherwise
+ * @param {Object} values - Parameter or tag values
+ * @param {string} file - File the values were read from
+ * @param {Object} context - processStack context (placeholderResolver, placeholderContext, strictPlaceholders)
+ * @returns {Object} Values with placeholders expanded
+ * @throws {ValidationError} In strict mode, if any placeholder refers to an undefined variable
+ */
+function resolvePlaceholders(values, file, context) {
+  const { placeholderResolver, placeholderContext, strictPlaceholders, configReader } = context;
+  const logger = context.logger || core;
+  if (!placeholderResolver) {
+    return values;
+  }
+
+  const result = placeholderResolver.resolveValues(values, placeholderContext);
+  if (strictPlaceholders && result.undefinedVariables.length > 0) {
+    throw new ValidationError(result.undefinedVariables.map(({ key, placeholder }) => ({
+      file,
+      message: `Undefined placeholder ${placeholder} in '${key}'`,
+      // Nested keys such as Config.list[0] are located at their top-level parameter
+      ...(configReader ? configReader.findKeyLocation(file, [key.split(/[.[]/)[0]]) : null)
+    })));
+  }
+
+  for (const { key, placeholder } of result.undefinedVariables) {
+    logger.warning(`Undefined placeholder ${placeholder} in '${key}' (${file}), replaced with an empty string`);
+  }
+
+  return result.values;
+}
+
+/**
+ * Expand ${...} placeholders in each environment layer
+ * @param {Array<{name: string, file: string, values: Object}>} layers - Layers from ConfigurationReader.readEnvironmentLayers
+ * @param {Object} context - processStack context
+ * @returns {Array<{name: string, file: string, values: Object}>} Layers with placeholders expanded
+ */
+function resolveLayerPlaceholders(layers, context) {
+  return layers.map((layer) => ({ ...layer, values: resolvePlaceholders(layer.values, layer.file, context) }));
+}
+
 /**
  * Parse boolean input from GitHub Actions
  * @param {string} input - Input string from GitHub Actions
+ * @param {string} [name='ci-build'] - Input name (for error messages)
  * @returns {boolean} Parsed boolean value
  * @throws {Error} If input is not a valid boolean
  */
-function parseBooleanInput(input) {
+function parseBooleanInput(input, name = 'ci-build') {
   if (!input) {
     return false; // Default to false if not provided
   }
@@ -162,8 +970,66 @@ function parseBooleanInput(input) {
   } else if (normalizedInput === 'false') {
     return false;
   } else {
-    throw new Error(`Invalid boolean value for ci-build: ${input}. Must be 'true' or 'false'`);
+    throw new Error(`Invalid boolean value for ${name}: ${input}. Must be 'true' or 'false'`);
+  }
+}
+
+/**
+ * Parse the output-format input
+ * @param {string} input - Input string from GitHub Actions
+ * @returns {string} Normalized output format
+ * @throws {Error} If input is not a supported format
+ */
+function parseOutputFormat(input) {
+  if (!input) {
+    return 'cloudformation'; // Default to the CloudFormation format if not provided
+  }
+
+  const normalizedInput = input.toLowerCase().trim();
+
+  if (!OUTPUT_FORMATS.includes(normalizedInput)) {
+    throw new Error(`Invalid value for output-format: ${input}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  return normalizedInput;
+}
+
+/**
+ * Parse the ci-build-id-mode input
+ * @param {string} input - Input string from GitHub Actions
+ * @returns {string} 'random' or 'deterministic'
+ * @throws {Error} If input is not a supported mode
+ */
+function parseCiBuildIdMode(input) {
+  if (!input) {
+    return 'random'; // Default to random IDs if not provided
+  }
+
+  const normalizedInput = input.toLowerCase().trim();
+  if (!CI_BUILD_ID_MODES.includes(normalizedInput)) {
+    throw new Error(`Invalid value for ci-build-id-mode: ${input}. Must be one of: ${CI_BUILD_ID_MODES.join(', ')}`);
   }
+
+  return normalizedInput;
+}
+
+/**
+ * Parse the value-source-mode input
+ * @param {string} input - Input string from GitHub Actions
+ * @returns {string} 'resolve' or 'dynamic-reference'
+ * @throws {Error} If input is not a supported mode
+ */
+function parseValueSourceMode(input) {
+  if (!input) {
+    return 'resolve'; // Default to resolving values if not provided
+  }
+
+  const normalizedInput = input.toLowerCase().trim();
+  if (!VALUE_SOURCE_MODES.includes(normalizedInput)) {
+    throw new Error(`Invalid value for value-source-mode: ${input}. Must be one of: ${VALUE_SOURCE_MODES.join(', ')}`);
+  }
+
+  return normalizedInput;
 }
 
 /**
@@ -171,9 +1037,10 @@ function parseBooleanInput(input) {
  * @param {string} folder - Folder path input
  * @param {boolean} isCiBuild - CI build flag
  * @param {string} environment - Environment input
+ * @param {Object} [logger=core] - Logger with a warning method
  * @throws {Error} If inputs are invalid
  */
-function validateInputs(folder, isCiBuild, environment) {
+function validateInputs(folder, isCiBuild, environment, logger = core) {
   // Validate folder input
   if (!folder || typeof folder !== 'string' || folder.trim() === '') {
     throw new Error('Folder input cannot be empty and must be a valid string');
@@ -211,12 +1078,77 @@ function validateInputs(folder, isCiBuild, environment) {
 
   // If CI build, environment should not be used (warn but don't fail)
   if (isCiBuild && environment && environment.trim() !== '') {
-    core.warning('Environment input is ignored when ci-build is true');
+    logger.warning('Environment input is ignored when ci-build is true');
+  }
+}
+
+/**
+ * Validate the account and region inputs, which name parameter and tag layers
+ * @param {string} account - AWS account ID or alias ('' when not set)
+ * @param {string} region - AWS region ('' when not set)
+ * @throws {Error} If either input cannot be used as a layer name
+ */
+function validateTargetInputs(account, region) {
+  if (account && !/^[a-zA-Z0-9_-]{1,100}$/.test(account)) {
+    throw new Error(`Invalid account: ${account}. Use an account ID or alias containing only alphanumeric characters, hyphens, and underscores.`);
+  }
+
+  if (region && !REGION_PATTERN.test(region)) {
+    throw new Error(`Invalid region: ${region}. Must be an AWS region such as us-east-1`);
+  }
+}
+
+/**
+ * Validate the diff-environment and diff-base-ref inputs
+ * @param {string} diffEnvironment - Environment to compare with ('' when not set)
+ * @param {string} diffBaseRef - Git ref to compare with ('' when not set)
+ * @param {Object} modes - Run modes
+ * @param {boolean} modes.isCiBuild - CI build flag
+ * @param {boolean} modes.isMatrix - Matrix flag
+ * @throws {Error} If the inputs are combined in an unsupported way or the environment name is invalid
+ */
+function validateDiffInputs(diffEnvironment, diffBaseRef, { isCiBuild, isMatrix }) {
+  if (!diffEnvironment && !diffBaseRef) {
+    return;
+  }
+
+  if (diffEnvironment && diffBaseRef) {
+    throw new Error('diff-environment and diff-base-ref cannot be used together');
+  }
+
+  if (isMatrix) {
+    throw new Error('diff-environment and diff-base-ref cannot be used together with matrix');
+  }
+
+  if (diffEnvironment && isCiBuild) {
+    throw new Error('diff-environment compares two environments and cannot be used when ci-build is true');
+  }
+
+  if (diffEnvironment && !/^[a-zA-Z0-9_-]{1,100}$/.test(diffEnvironment)) {
+    throw new Error('diff-environment contains invalid characters. Only alphanumeric characters, hyphens, and underscores are allowed.');
   }
 }
 
 // Export for testing
-export { run, parseBooleanInput, validateInputs };
+export {
+  run,
+  processStack,
+  processStacks,
+  buildMatrix,
+  buildDiff,
+  writeDeploymentFile,
+  buildGitHubMetadataTags,
+  buildStackNameTokens,
+  loadTagPolicies,
+  resolveCiBuildId,
+  parseBooleanInput,
+  parseOutputFormat,
+  parseCiBuildIdMode,
+  parseValueSourceMode,
+  validateInputs,
+  validateTargetInputs,
+  validateDiffInputs
+};
 
 // Run the action if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
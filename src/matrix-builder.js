@@ -0,0 +1,136 @@
+/**
+ * Matches AWS region names such as us-east-1, ap-southeast-2 or us-gov-west-1
+ * Strict enough that environment names like sb-prod-us-east-1 are not taken for regions
+ */
+export const REGION_PATTERN = /^[a-z]{2}(-gov|-iso[a-z]?)?-(north|south|east|west|central)(east|west)?-\d+$/;
+
+/**
+ * Matches AWS account IDs, which name account layers such as 123456789012.json
+ */
+export const ACCOUNT_ID_PATTERN = /^\d{12}$/;
+
+/**
+ * Layer names that never denote an environment
+ */
+const RESERVED_LAYER_NAMES = ['default', 'policy'];
+
+/**
+ * MatrixBuilder module for fanning a configuration out to every environment and region
+ *
+ * Environments and regions are discovered from the layer files of each stack:
+ * - <region>.json (a name such as us-east-1) adds a region
+ * - <environment>.<region>.json adds both
+ * - any other file is an environment, unless it is default.json, an account layer (the account
+ *   input or any account ID), tags/policy.json or a parent of another layer ($extends or hierarchy)
+ *
+ * Account layers named after an alias cannot be told apart from environments, so the account
+ * input must be set for them.
+ */
+export class MatrixBuilder {
+  /**
+   * @param {ConfigurationReader} configReader - Reader used to list and read the layer files
+   */
+  constructor(configReader) {
+    this.configReader = configReader;
+  }
+
+  /**
+   * Find the environments and regions to deploy
+   * @param {string} folder - Configuration folder
+   * @param {Array<Object>} stacks - Stack definitions from ConfigurationReader.getStackDefinitions
+   * @param {Object} [target] - Deployment target inputs
+   * @param {string} [target.account=''] - Account layer name, which is not an environment (account IDs never are)
+   * @param {string} [target.region=''] - Deploy only to this region instead of every region found
+   * @returns {Promise<{environments: string[], regions: string[]}>} Sorted environments and regions
+   *   (regions is [''] when no region layers exist and no region is given)
+   */
+  async findTargets(folder, stacks, { account = '', region = '' } = {}) {
+    const candidates = new Set();
+    const regions = new Set();
+    const parents = new Set();
+
+    for (const stack of stacks) {
+      for (const parent of Object.values(stack.hierarchy || {}).flat()) {
+        parents.add(parent);
+      }
+
+      for (const kind of ['params', 'tags']) {
+        const subfolder = stack[kind];
+        for (const name of await this.configReader.listLayerNames(folder, subfolder)) {
+          if (RESERVED_LAYER_NAMES.includes(name) || name === account || ACCOUNT_ID_PATTERN.test(name)) {
+            continue;
+          }
+
+          const separator = name.indexOf('.');
+          if (separator !== -1) {
+            const layerRegion = name.slice(separator + 1);
+            if (REGION_PATTERN.test(layerRegion)) {
+              candidates.add(name.slice(0, separator));
+              regions.add(layerRegion);
+            }
+            continue;
+          }
+
+          if (REGION_PATTERN.test(name)) {
+            regions.add(name);
+            continue;
+          }
+
+          candidates.add(name);
+          for (const parent of await this.readParents(folder, kind, name, subfolder)) {
+            parents.add(parent);
+          }
+        }
+      }
+    }
+
+    const environments = [...candidates].filter((name) => !parents.has(name) && /^[a-zA-Z0-9_-]+$/.test(name)).sort();
+    return {
+      environments,
+      regions: region ? [region] : (regions.size > 0 ? [...regions].sort() : [''])
+    };
+  }
+
+  /**
+   * Read the "$extends" parents of a layer file
+   * @param {string} folder - Configuration folder
+   * @param {string} kind - 'params' or 'tags'
+   * @param {string} name - Layer name
+   * @param {string} subfolder - Subfolder of the layer files
+   * @returns {Promise<string[]>} Parent layer names (empty when the file has no "$extends")
+   */
+  async readParents(folder, kind, name, subfolder) {
+    const values = kind === 'params'
+      ? await this.configReader.readEnvironmentParameters(folder, name, subfolder)
+      : await this.configReader.readEnvironmentTags(folder, name, subfolder);
+    const parents = values && values.$extends;
+
+    return parents === undefined ? [] : [parents].flat();
+  }
+
+  /**
+   * Build the matrix entry of one environment and region
+   * The first stack supplies the stack-name, template, parameters and tags fields, as in the single-stack outputs
+   * @param {string} environment - Environment name
+   * @param {string} region - Region ('' when deploying without a region)
+   * @param {Array<Object>} results - Processed stacks from processStacks
+   * @param {SecretMasker} secretMasker - Masker used to redact sensitive values, which GitHub drops from job outputs
+   * @returns {Object} Matrix entry
+   */
+  buildEntry(environment, region, results, secretMasker) {
+    const stacks = results.map((result) => ({
+      'stack-name': result.stackName,
+      template: result.template,
+      parameters: secretMasker.redactParameters(result.parameters, result.sensitiveParameters),
+      'sensitive-parameters': result.sensitiveParameters,
+      tags: result.tags
+    }));
+
+    return {
+      environment,
+      ...(region ? { region } : {}),
+      ...stacks[0],
+      stacks
+    };
+  }
+}
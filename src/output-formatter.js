@@ -0,0 +1,115 @@
+/**
+ * Supported values for the output-format input
+ */
+export const OUTPUT_FORMATS = ['cloudformation', 'aws-cli', 'sam', 'codepipeline'];
+
+/**
+ * OutputFormatter module for rendering CloudFormation parameters and tags in the
+ * formats expected by the AWS CLI, SAM CLI and CodePipeline
+ */
+export class OutputFormatter {
+  /**
+   * Renders parameters and tags as action output strings in the requested format
+   *
+   * @param {string} format - One of OUTPUT_FORMATS
+   * @param {Array} parameters - Parameters from ParameterMerger.formatForCloudFormation
+   * @param {Array} tags - Tags from ParameterMerger.formatTagsForCloudFormation
+   * @returns {{parameters: string, tags: string}} Rendered parameters and tags
+   */
+  render(format, parameters, tags) {
+    switch (format) {
+      case 'cloudformation':
+        return {
+          parameters: JSON.stringify(parameters),
+          tags: JSON.stringify(tags)
+        };
+      case 'aws-cli':
+        return {
+          parameters: JSON.stringify(this.toAwsCliParameters(parameters)),
+          tags: JSON.stringify(tags)
+        };
+      case 'sam':
+        return {
+          parameters: this.toSamParameterOverrides(parameters),
+          tags: this.toSamTags(tags)
+        };
+      case 'codepipeline': {
+        const configuration = this.toCodePipelineConfiguration(parameters, tags);
+        return {
+          parameters: JSON.stringify(configuration.Parameters),
+          tags: JSON.stringify(configuration.Tags)
+        };
+      }
+      default:
+        throw new Error(`Invalid output format: ${format}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Converts parameters to the `aws cloudformation create-stack --parameters` JSON format
+   *
+   * @param {Array} parameters - Parameters in ParameterName/ParameterValue format
+   * @returns {Array} Array of {ParameterKey, ParameterValue} objects
+   */
+  toAwsCliParameters(parameters) {
+    return parameters.map(({ ParameterName, ParameterValue }) => ({
+      ParameterKey: ParameterName,
+      ParameterValue
+    }));
+  }
+
+  /**
+   * Converts parameters to a `sam deploy --parameter-overrides` string
+   *
+   * @param {Array} parameters - Parameters in ParameterName/ParameterValue format
+   * @returns {string} Space-separated Key=Value pairs
+   */
+  toSamParameterOverrides(parameters) {
+    return parameters
+      .map(({ ParameterName, ParameterValue }) => `${ParameterName}=${this.quoteSamValue(ParameterValue)}`)
+      .join(' ');
+  }
+
+  /**
+   * Converts tags to a `sam deploy --tags` string
+   *
+   * @param {Array} tags - Tags in Key/Value format
+   * @returns {string} Space-separated Key=Value pairs
+   */
+  toSamTags(tags) {
+    return tags
+      .map(({ Key, Value }) => `${this.quoteSamValue(Key)}=${this.quoteSamValue(Value)}`)
+      .join(' ');
+  }
+
+  /**
+   * Converts parameters and tags to a CodePipeline template configuration file
+   *
+   * @param {Array} parameters - Parameters in ParameterName/ParameterValue format
+   * @param {Array} tags - Tags in Key/Value format
+   * @returns {{Parameters: Object, Tags: Object}} Template configuration object
+   */
+  toCodePipelineConfiguration(parameters, tags) {
+    return {
+      Parameters: Object.fromEntries(parameters.map(({ ParameterName, ParameterValue }) => [ParameterName, ParameterValue])),
+      Tags: Object.fromEntries(tags.map(({ Key, Value }) => [Key, Value]))
+    };
+  }
+
+  /**
+   * Quotes a value for the SAM CLI Key=Value syntax when needed
+   * Values containing whitespace, quotes, commas, equals signs or backslashes (or empty
+   * values) are wrapped in double quotes with backslashes and quotes escaped
+   *
+   * @param {string} value - Raw value
+   * @returns {string} Value safe to use in a SAM Key=Value pair
+   */
+  quoteSamValue(value) {
+    const stringValue = String(value);
+    if (stringValue !== '' && !/[\s"',=\\]/.test(stringValue)) {
+      return stringValue;
+    }
+
+    return `"${stringValue.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+}
@@ -0,0 +1,144 @@
+import { REDACTED_VALUE } from './secret-masker.js';
+
+/**
+ * Symbols shown in the markdown table for each kind of change
+ */
+const CHANGE_LABELS = {
+  added: '➕ added',
+  removed: '➖ removed',
+  changed: '✏️ changed'
+};
+
+/**
+ * ParameterDiffer module for comparing the merged parameters and tags of two deployments,
+ * e.g. staging against production, or production at the base ref against HEAD
+ */
+export class ParameterDiffer {
+  /**
+   * Compare two lists of key/value pairs
+   * @param {Array<Object>} before - Entries of the first deployment
+   * @param {Array<Object>} after - Entries of the second deployment
+   * @param {string} keyName - Property holding the key (ParameterName or Key)
+   * @param {string} valueName - Property holding the value (ParameterValue or Value)
+   * @param {Array<string>} [sensitiveKeys=[]] - Keys whose values are shown as ****
+   * @returns {Array<{key: string, change: string, before?: string, after?: string}>} Added, removed and changed keys,
+   *   sorted by key. before is absent for added keys and after for removed keys
+   */
+  diffEntries(before, after, keyName, valueName, sensitiveKeys = []) {
+    const beforeValues = new Map(before.map((entry) => [entry[keyName], entry[valueName]]));
+    const afterValues = new Map(after.map((entry) => [entry[keyName], entry[valueName]]));
+    const keys = [...new Set([...beforeValues.keys(), ...afterValues.keys()])].sort();
+    const show = (key, value) => (sensitiveKeys.includes(key) ? REDACTED_VALUE : value);
+
+    const changes = [];
+    for (const key of keys) {
+      if (!beforeValues.has(key)) {
+        changes.push({ key, change: 'added', after: show(key, afterValues.get(key)) });
+      } else if (!afterValues.has(key)) {
+        changes.push({ key, change: 'removed', before: show(key, beforeValues.get(key)) });
+      } else if (beforeValues.get(key) !== afterValues.get(key)) {
+        changes.push({ key, change: 'changed', before: show(key, beforeValues.get(key)), after: show(key, afterValues.get(key)) });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Compare the stacks of two deployments, matching stacks by stack prefix
+   * @param {Array<{stackPrefix: string, stackName: string, parameters: Array, tags: Array, sensitiveParameters: Array<string>}>} before -
+   *   Stacks of the first deployment
+   * @param {Array<{stackPrefix: string, stackName: string, parameters: Array, tags: Array, sensitiveParameters: Array<string>}>} after -
+   *   Stacks of the second deployment
+   * @returns {{'has-changes': boolean, stacks: Array<Object>}} One entry per stack prefix with its status
+   *   (added, removed, changed or unchanged), stack names and parameter and tag changes
+   */
+  diffStacks(before, after) {
+    const prefixes = [...new Set([...after, ...before].map((stack) => stack.stackPrefix))];
+    const empty = { stackName: null, parameters: [], tags: [], sensitiveParameters: [] };
+
+    const stacks = prefixes.map((prefix) => {
+      const beforeStack = before.find((stack) => stack.stackPrefix === prefix);
+      const afterStack = after.find((stack) => stack.stackPrefix === prefix);
+      const from = beforeStack || empty;
+      const to = afterStack || empty;
+      const sensitive = [...new Set([...from.sensitiveParameters, ...to.sensitiveParameters])];
+      const parameters = this.diffEntries(from.parameters, to.parameters, 'ParameterName', 'ParameterValue', sensitive);
+      const tags = this.diffEntries(from.tags, to.tags, 'Key', 'Value');
+
+      let status = parameters.length > 0 || tags.length > 0 ? 'changed' : 'unchanged';
+      if (!beforeStack) {
+        status = 'added';
+      } else if (!afterStack) {
+        status = 'removed';
+      }
+
+      return {
+        'stack-prefix': prefix,
+        status,
+        'before-stack-name': from.stackName,
+        'after-stack-name': to.stackName,
+        parameters,
+        tags
+      };
+    });
+
+    return {
+      'has-changes': stacks.some((stack) => stack.status !== 'unchanged'),
+      stacks
+    };
+  }
+
+  /**
+   * Render a diff as markdown tables for the step summary or a pull request comment
+   * @param {{stacks: Array<Object>}} diff - Diff from diffStacks
+   * @param {string} beforeLabel - Name of the first deployment, e.g. staging or origin/main
+   * @param {string} afterLabel - Name of the second deployment
+   * @returns {string} Markdown with one table per stack that changed
+   */
+  toMarkdown(diff, beforeLabel, afterLabel) {
+    const lines = [`### 🔀 Parameter Diff: ${this.escapeMarkdown(beforeLabel)} → ${this.escapeMarkdown(afterLabel)}`, ''];
+    const changed = diff.stacks.filter((stack) => stack.status !== 'unchanged');
+
+    if (changed.length === 0) {
+      lines.push('No parameter or tag changes.');
+    }
+
+    for (const stack of changed) {
+      const names = [stack['before-stack-name'], stack['after-stack-name']].filter(Boolean);
+      lines.push(`**${this.escapeMarkdown(stack['stack-prefix'])}** (${stack.status}: ${[...new Set(names)].map((name) => `\`${name}\``).join(' → ')})`, '');
+      lines.push(`| Change | Type | Key | ${this.escapeMarkdown(beforeLabel)} | ${this.escapeMarkdown(afterLabel)} |`);
+      lines.push('| --- | --- | --- | --- | --- |');
+      for (const [type, changes] of [['Parameter', stack.parameters], ['Tag', stack.tags]]) {
+        for (const change of changes) {
+          lines.push(`| ${CHANGE_LABELS[change.change]} | ${type} | ${this.escapeMarkdown(change.key)} | ${this.formatValue(change.before)} | ${this.formatValue(change.after)} |`);
+        }
+      }
+      lines.push('');
+    }
+
+    return lines.join('\n').trimEnd();
+  }
+
+  /**
+   * Format a value for a markdown table cell
+   * @param {string|undefined} value - Value (undefined for the missing side of an added or removed key)
+   * @returns {string} Escaped value, or — when there is none
+   */
+  formatValue(value) {
+    return value === undefined ? '—' : this.escapeMarkdown(String(value));
+  }
+
+  /**
+   * Escape text for a markdown table cell: HTML characters and pipes are escaped, line breaks become <br>
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeMarkdown(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\|/g, '\\|')
+      .replace(/\r?\n/g, '<br>');
+  }
+}
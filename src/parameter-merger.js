@@ -1,3 +1,17 @@
+/**
+ * Characters AWS allows in tag keys and values: letters, digits, spaces and _ . : / = + - @
+ */
+export const TAG_CHARACTER_PATTERN = /^[\p{L}\p{Z}\p{N}_.:/=+\-@]*$/u;
+
+/**
+ * Per-parameter merge strategies for the merge-strategies block of cloudformation.json
+ * - replace: the overriding value replaces the previous one (default)
+ * - deep-merge: objects are merged recursively; nested arrays and scalars are replaced
+ * - append: arrays are concatenated
+ * - unique-union: arrays are concatenated without duplicate items
+ */
+export const MERGE_STRATEGIES = ['replace', 'deep-merge', 'append', 'unique-union'];
+
 /**
  * ParameterMerger module for merging default and environment-specific parameters
  * and formatting them for CloudFormation deployment
@@ -9,9 +23,10 @@ export class ParameterMerger {
    * 
    * @param {Object} defaultParams - Default parameters object
    * @param {Object|null} envParams - Environment-specific parameters object (can be null)
+   * @param {Object} [strategies={}] - Merge strategy per parameter name (see MERGE_STRATEGIES)
    * @returns {Object} Merged parameters object
    */
-  mergeParameters(defaultParams, envParams) {
+  mergeParameters(defaultParams, envParams, strategies = {}) {
     // Validate default parameters
     if (!defaultParams || typeof defaultParams !== 'object' || Array.isArray(defaultParams)) {
       throw new Error('Default parameters must be a valid object (not an array)');
@@ -33,16 +48,158 @@ export class ParameterMerger {
       this.validateParameterObject(defaultParams, 'default');
       this.validateParameterObject(envParams, 'environment');
 
-      // Merge parameters with environment values overriding defaults
-      return {
-        ...defaultParams,
-        ...envParams
-      };
+      // Merge parameters with environment values overriding defaults, unless a strategy says otherwise
+      const merged = { ...defaultParams };
+      for (const [key, value] of Object.entries(envParams)) {
+        merged[key] = key in merged ? this.mergeValues(merged[key], value, strategies[key]) : value;
+      }
+      return merged;
     } catch (error) {
       throw new Error(`Failed to merge parameters: ${error.message}`);
     }
   }
 
+  /**
+   * Merges an ordered chain of environment layers on top of the default parameters
+   * Each layer takes precedence over the default parameters and all layers before it
+   *
+   * @param {Object} defaultParams - Default parameters object
+   * @param {Array<{name: string, values: Object}>} layers - Layers ordered from most generic to most specific
+   * @param {Object} [strategies={}] - Merge strategy per parameter name (see MERGE_STRATEGIES)
+   * @returns {Object} Merged parameters object
+   */
+  mergeLayers(defaultParams, layers, strategies = {}) {
+    if (!Array.isArray(layers)) {
+      throw new Error('Environment layers must be an array');
+    }
+
+    return layers.reduce(
+      (merged, layer) => this.mergeParameters(merged, layer.values, strategies),
+      this.mergeParameters(defaultParams, null)
+    );
+  }
+
+  /**
+   * Merges an overriding value into the previous value of a parameter
+   * The strategy only applies when both values are objects (deep-merge) or arrays (append, unique-union);
+   * otherwise the overriding value replaces the previous one
+   *
+   * @param {*} base - Previous value
+   * @param {*} override - Overriding value
+   * @param {string} [strategy='replace'] - Merge strategy (see MERGE_STRATEGIES)
+   * @returns {*} Merged value
+   */
+  mergeValues(base, override, strategy = 'replace') {
+    if (strategy === 'deep-merge' && this.isPlainObject(base) && this.isPlainObject(override)) {
+      return this.deepMerge(base, override);
+    }
+
+    if (Array.isArray(base) && Array.isArray(override)) {
+      if (strategy === 'append') {
+        return [...base, ...override];
+      }
+      if (strategy === 'unique-union') {
+        const seen = new Set();
+        return [...base, ...override].filter((item) => {
+          const identity = JSON.stringify(item);
+          if (seen.has(identity)) {
+            return false;
+          }
+          seen.add(identity);
+          return true;
+        });
+      }
+    }
+
+    return override;
+  }
+
+  /**
+   * Recursively merges two objects; nested objects are merged, anything else is replaced
+   *
+   * @param {Object} base - Previous object
+   * @param {Object} override - Overriding object
+   * @returns {Object} Merged copy
+   */
+  deepMerge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      merged[key] = this.isPlainObject(merged[key]) && this.isPlainObject(value)
+        ? this.deepMerge(merged[key], value)
+        : value;
+    }
+    return merged;
+  }
+
+  /**
+   * Checks whether a value is a plain object (not an array or null)
+   *
+   * @param {*} value - Value to check
+   * @returns {boolean} True for plain objects
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Merges tag layers over the default tags
+   * Unlike mergeLayers, tag names are not held to parameter naming rules; validate each layer with findTagIssues
+   *
+   * @param {Object} defaultTags - Default tags object
+   * @param {Array<{name: string, values: Object}>} layers - Tag layers ordered from the most generic
+   * @returns {Object} Merged tags object
+   */
+  mergeTagLayers(defaultTags, layers) {
+    if (!Array.isArray(layers)) {
+      throw new Error('Environment layers must be an array');
+    }
+
+    return layers.reduce((merged, layer) => ({ ...merged, ...layer.values }), { ...defaultTags });
+  }
+
+  /**
+   * Builds a provenance map recording which layer supplied each merged value
+   * and which value it overrode
+   *
+   * @param {Array<{name: string, file: string, values: Object}>} layers - All layers including default, most generic first
+   * @returns {Object} Map of parameter name to {value, layer, file, overriddenFrom}
+   */
+  buildProvenance(layers) {
+    if (!Array.isArray(layers)) {
+      throw new Error('Provenance layers must be an array');
+    }
+
+    const provenance = {};
+    for (const layer of layers) {
+      for (const [key, value] of Object.entries(layer.values || {})) {
+        this.recordProvenance(provenance, key, value, layer.name, layer.file);
+      }
+    }
+
+    return provenance;
+  }
+
+  /**
+   * Records a value in a provenance map, keeping the value it replaces
+   *
+   * @param {Object} provenance - Provenance map to update
+   * @param {string} key - Parameter name
+   * @param {*} value - Value supplied by the layer
+   * @param {string} layer - Name of the layer supplying the value
+   * @param {string|null} file - File the value came from (null for values added by the action)
+   */
+  recordProvenance(provenance, key, value, layer, file) {
+    const previous = provenance[key];
+    provenance[key] = {
+      value,
+      layer,
+      file: file || null,
+      overriddenFrom: previous
+        ? { value: previous.value, layer: previous.layer, file: previous.file }
+        : null
+    };
+  }
+
   /**
    * Formats merged parameters for CloudFormation deployment
    * Converts key-value pairs to CloudFormation parameter array format
@@ -138,41 +295,93 @@ export class ParameterMerger {
    * @throws {Error} If tags are invalid
    */
   validateTagsObject(tags, type) {
+    const [issue] = this.findTagIssues(tags, type);
+    if (issue) {
+      throw new Error(issue.message);
+    }
+  }
+
+  /**
+   * Collects every problem in a tags object instead of stopping at the first one
+   * @param {Object} tags - Tags object to validate
+   * @param {string} type - Type of tags (for error messages)
+   * @returns {Array<{key: string|null, message: string}>} Issues with the tag they concern (empty when the tags are valid)
+   */
+  findTagIssues(tags, type) {
     if (!tags || typeof tags !== 'object' || Array.isArray(tags)) {
-      throw new Error(`${type} tags must be a valid object`);
+      return [{ key: null, message: `${type} tags must be a valid object` }];
     }
 
+    const issues = [];
     const keys = Object.keys(tags);
+    const seenKeys = new Map();
     
     // Check for reasonable number of tags (CloudFormation limit is 50)
     if (keys.length > 50) {
-      throw new Error(`Too many ${type} tags (${keys.length}). Maximum supported is 50 tags.`);
+      issues.push({ key: null, message: `Too many ${type} tags (${keys.length}). Maximum supported is 50 tags.` });
     }
 
     // Validate each tag
     for (const key of keys) {
       // Validate tag name
       if (!key || typeof key !== 'string' || key.trim() === '') {
-        throw new Error(`Invalid ${type} tag name: '${key}'. Tag names must be non-empty strings.`);
+        issues.push({ key, message: `Invalid ${type} tag name: '${key}'. Tag names must be non-empty strings.` });
+        continue;
       }
 
       if (key.length > 128) {
-        throw new Error(`${type} tag name '${key}' is too long (${key.length} characters). Maximum length is 128 characters.`);
+        issues.push({ key, message: `${type} tag name '${key}' is too long (${key.length} characters). Maximum length is 128 characters.` });
+      }
+
+      // Surrounding whitespace is trimmed later, so compare trimmed keys
+      const trimmedKey = key.trim();
+      if (/^aws:/i.test(trimmedKey)) {
+        issues.push({ key, message: `${type} tag name '${key}' uses the reserved 'aws:' prefix` });
+      }
+
+      if (!TAG_CHARACTER_PATTERN.test(trimmedKey)) {
+        issues.push({ key, message: `${type} tag name '${key}' contains invalid characters. Only letters, digits, spaces and _ . : / = + - @ are allowed.` });
+      }
+
+      const duplicateOf = seenKeys.get(trimmedKey.toLowerCase());
+      if (duplicateOf !== undefined) {
+        issues.push({ key, message: `${type} tag name '${key}' duplicates '${duplicateOf}' (tag names differing only by case or surrounding whitespace are not allowed)` });
+      } else {
+        seenKeys.set(trimmedKey.toLowerCase(), key);
       }
 
       const value = tags[key];
       
       // Validate tag value
       if (value === null || value === undefined) {
-        throw new Error(`${type} tag '${key}' has null or undefined value`);
+        issues.push({ key, message: `${type} tag '${key}' has null or undefined value` });
+        continue;
       }
 
       // Check value length when converted to string
       const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
       if (stringValue.length > 256) {
-        throw new Error(`${type} tag '${key}' value is too long (${stringValue.length} characters). Maximum length is 256 characters.`);
+        issues.push({ key, message: `${type} tag '${key}' value is too long (${stringValue.length} characters). Maximum length is 256 characters.` });
+      }
+
+      if (!TAG_CHARACTER_PATTERN.test(stringValue.trim())) {
+        issues.push({ key, message: `${type} tag '${key}' value contains invalid characters. Only letters, digits, spaces and _ . : / = + - @ are allowed.` });
       }
     }
+
+    return issues;
+  }
+
+  /**
+   * Trims surrounding whitespace from tag names and string values
+   * Run findTagIssues first: names that only differ by surrounding whitespace would collide
+   * @param {Object} tags - Tags object
+   * @returns {Object} Tags with trimmed names and values
+   */
+  trimTags(tags) {
+    return Object.fromEntries(
+      Object.entries(tags).map(([key, value]) => [key.trim(), typeof value === 'string' ? value.trim() : value])
+    );
   }
 
   /**
@@ -182,45 +391,61 @@ export class ParameterMerger {
    * @throws {Error} If parameters are invalid
    */
   validateParameterObject(params, type) {
+    const [issue] = this.findParameterIssues(params, type);
+    if (issue) {
+      throw new Error(issue.message);
+    }
+  }
+
+  /**
+   * Collects every problem in a parameters object instead of stopping at the first one
+   * @param {Object} params - Parameters object to validate
+   * @param {string} type - Type of parameters (for error messages)
+   * @returns {Array<{key: string|null, message: string}>} Issues with the parameter they concern (empty when the parameters are valid)
+   */
+  findParameterIssues(params, type) {
     if (!params || typeof params !== 'object' || Array.isArray(params)) {
-      throw new Error(`${type} parameters must be a valid object`);
+      return [{ key: null, message: `${type} parameters must be a valid object` }];
     }
 
+    const issues = [];
     const keys = Object.keys(params);
     
     // Check for reasonable number of parameters
     if (keys.length > 200) {
-      throw new Error(`Too many ${type} parameters (${keys.length}). Maximum supported is 200 parameters.`);
+      issues.push({ key: null, message: `Too many ${type} parameters (${keys.length}). Maximum supported is 200 parameters.` });
     }
 
     // Validate each parameter
     for (const key of keys) {
       // Validate parameter name
       if (!key || typeof key !== 'string' || key.trim() === '') {
-        throw new Error(`Invalid ${type} parameter name: '${key}'. Parameter names must be non-empty strings.`);
+        issues.push({ key, message: `Invalid ${type} parameter name: '${key}'. Parameter names must be non-empty strings.` });
+        continue;
       }
 
       if (key.length > 255) {
-        throw new Error(`${type} parameter name '${key}' is too long (${key.length} characters). Maximum length is 255 characters.`);
-      }
-
-      // Check for valid parameter name characters (CloudFormation compatible)
-      if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(key)) {
-        throw new Error(`${type} parameter name '${key}' contains invalid characters. Parameter names must start with a letter and contain only alphanumeric characters.`);
+        issues.push({ key, message: `${type} parameter name '${key}' is too long (${key.length} characters). Maximum length is 255 characters.` });
+      } else if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(key)) {
+        // Check for valid parameter name characters (CloudFormation compatible)
+        issues.push({ key, message: `${type} parameter name '${key}' contains invalid characters. Parameter names must start with a letter and contain only alphanumeric characters.` });
       }
 
       const value = params[key];
       
       // Validate parameter value
       if (value === null || value === undefined) {
-        throw new Error(`${type} parameter '${key}' has null or undefined value`);
+        issues.push({ key, message: `${type} parameter '${key}' has null or undefined value` });
+        continue;
       }
 
       // Check value length when converted to string
       const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
       if (stringValue.length > 4096) {
-        throw new Error(`${type} parameter '${key}' value is too long (${stringValue.length} characters). Maximum length is 4096 characters.`);
+        issues.push({ key, message: `${type} parameter '${key}' value is too long (${stringValue.length} characters). Maximum length is 4096 characters.` });
       }
     }
+
+    return issues;
   }
 }
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * Matches an escaped "$${" or a "${...}" placeholder
+ */
+const PLACEHOLDER_PATTERN = /\$\$\{|\$\{([^}]*)\}/g;
+
+/**
+ * Matches the placeholder expressions this resolver understands; anything else
+ * (e.g. CloudFormation's ${AWS::Region}) is left untouched
+ */
+const EXPRESSION_PATTERN = /^(?:env:([A-Za-z_][A-Za-z0-9_]*)|github\.([a-z_]+)|inputs\.([a-z0-9_-]+)|(ciBuildId))$/;
+
+/**
+ * PlaceholderResolver module for expanding environment-variable and GitHub-context
+ * placeholders in parameter and tag values
+ *
+ * Supported placeholders:
+ * - ${env:NAME}        process environment variable NAME
+ * - ${github.name}     GitHub context value, read from GITHUB_<NAME> (e.g. ${github.ref_name})
+ * - ${inputs.name}     action input (e.g. ${inputs.environment})
+ * - ${ciBuildId}       generated CI build ID
+ * Write $${ to produce a literal ${.
+ */
+export class PlaceholderResolver {
+  /**
+   * Resolves placeholders in every string value of an object, recursing into nested objects and arrays
+   *
+   * @param {Object} values - Parameter or tag values
+   * @param {Object} context - Placeholder sources: {env, inputs, ciBuildId}
+   * @returns {{values: Object, undefinedVariables: Array<{key: string, placeholder: string}>}} Resolved values and
+   *   the placeholders that were replaced with an empty string because their variable is undefined
+   */
+  resolveValues(values, context) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error('Values to resolve must be a valid object (not an array)');
+    }
+
+    const undefinedVariables = [];
+    const resolveValue = (value, key) => {
+      if (typeof value === 'string') {
+        return this.resolveString(value, context, (placeholder) => undefinedVariables.push({ key, placeholder }));
+      } else if (Array.isArray(value)) {
+        return value.map((item, index) => resolveValue(item, `${key}[${index}]`));
+      } else if (value && typeof value === 'object') {
+        return Object.fromEntries(
+          Object.entries(value).map(([childKey, child]) => [childKey, resolveValue(child, `${key}.${childKey}`)])
+        );
+      }
+      return value;
+    };
+
+    const resolved = Object.fromEntries(
+      Object.entries(values).map(([key, value]) => [key, resolveValue(value, key)])
+    );
+
+    return { values: resolved, undefinedVariables };
+  }
+
+  /**
+   * Resolves placeholders in a single string
+   *
+   * @param {string} text - String that may contain placeholders
+   * @param {Object} context - Placeholder sources: {env, inputs, ciBuildId}
+   * @param {Function} onUndefined - Called with the placeholder text when its variable is undefined
+   * @returns {string} String with placeholders expanded and escapes unescaped
+   */
+  resolveString(text, context, onUndefined) {
+    return text.replace(PLACEHOLDER_PATTERN, (match, expression) => {
+      if (match === '$${') {
+        return '${';
+      }
+
+      const parsed = EXPRESSION_PATTERN.exec(expression.trim());
+      if (!parsed) {
+        return match;
+      }
+
+      const value = this.lookup(parsed, context);
+      if (value === undefined) {
+        onUndefined(match);
+        return '';
+      }
+
+      return String(value);
+    });
+  }
+
+  /**
+   * Looks up the value of a parsed placeholder expression
+   *
+   * @param {Array} parsed - Match of EXPRESSION_PATTERN
+   * @param {Object} context - Placeholder sources: {env, inputs, ciBuildId}
+   * @returns {string|undefined} Value, or undefined if the variable is not defined
+   */
+  lookup(parsed, context) {
+    const [, envName, githubName, inputName, ciBuildId] = parsed;
+    const env = context.env || {};
+
+    if (envName) {
+      return env[envName];
+    } else if (githubName) {
+      return env[`GITHUB_${githubName.toUpperCase()}`] || undefined;
+    } else if (inputName) {
+      const inputs = context.inputs || {};
+      return Object.prototype.hasOwnProperty.call(inputs, inputName) ? inputs[inputName] : undefined;
+    } else if (ciBuildId) {
+      return context.ciBuildId || undefined;
+    }
+
+    return undefined;
+  }
+}
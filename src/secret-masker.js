@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+
+/**
+ * Replacement shown for sensitive values in logs, summaries and redacted outputs
+ */
+export const REDACTED_VALUE = '****';
+
+/**
+ * Prefix of encrypted values: enc:v1:<salt>:<iv>:<auth tag>:<ciphertext>, each part base64 encoded
+ */
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * SecretMasker module for finding sensitive parameters and keeping their values out of logs and artifacts
+ *
+ * A parameter is sensitive when:
+ * - its template definition has NoEcho: true
+ * - its name matches an entry of the sensitive list in cloudformation.json (exact names or * and ? wildcards,
+ *   case-insensitive, e.g. "*Password*")
+ * - its value was read from Secrets Manager or an SSM SecureString parameter
+ */
+export class SecretMasker {
+  /**
+   * Determine which parameters are sensitive
+   * @param {Array<string>} names - Parameter names
+   * @param {Object} [options] - Sources of sensitivity
+   * @param {Object|null} [options.template] - Parsed CloudFormation template (null when not found)
+   * @param {Array<string>} [options.sensitive=[]] - Names and patterns from the sensitive list of cloudformation.json
+   * @param {Array<string>} [options.secretParameters=[]] - Parameters whose value was read from Secrets Manager or a SecureString
+   * @returns {Array<string>} Sensitive parameter names, in the order given
+   */
+  findSensitiveParameters(names, { template = null, sensitive = [], secretParameters = [] } = {}) {
+    const declared = (template && template.Parameters) || {};
+
+    return names.filter((name) => {
+      const definition = declared[name];
+      const noEcho = definition && (definition.NoEcho === true || String(definition.NoEcho).toLowerCase() === 'true');
+      return noEcho ||
+        secretParameters.includes(name) ||
+        sensitive.some((pattern) => this.matchesPattern(name, pattern));
+    });
+  }
+
+  /**
+   * Match a parameter name against a name or wildcard pattern, ignoring case
+   * @param {string} name - Parameter name
+   * @param {string} pattern - Exact name, or pattern with * (any characters) and ? (one character)
+   * @returns {boolean} True if the name matches
+   */
+  matchesPattern(name, pattern) {
+    const source = pattern
+      .split('')
+      .map((character) => {
+        if (character === '*') {
+          return '.*';
+        }
+        if (character === '?') {
+          return '.';
+        }
+        return character.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+
+    return new RegExp(`^${source}$`, 'i').test(name);
+  }
+
+  /**
+   * Replace the values of sensitive parameters with ****
+   * @param {Array<{ParameterName: string, ParameterValue: string}>} parameters - Formatted parameters
+   * @param {Array<string>} sensitiveNames - Sensitive parameter names
+   * @returns {Array<{ParameterName: string, ParameterValue: string}>} Copy with sensitive values redacted
+   */
+  redactParameters(parameters, sensitiveNames) {
+    return parameters.map((param) => (sensitiveNames.includes(param.ParameterName)
+      ? { ...param, ParameterValue: REDACTED_VALUE }
+      : param));
+  }
+
+  /**
+   * Replace the values (and overridden values) of sensitive parameters in a provenance map with ****
+   * @param {Object} provenance - Provenance keyed by parameter name (see ParameterMerger.buildProvenance)
+   * @param {Array<string>} sensitiveNames - Sensitive parameter names
+   * @returns {Object} Copy with sensitive values redacted
+   */
+  redactProvenance(provenance, sensitiveNames) {
+    return Object.fromEntries(Object.entries(provenance).map(([name, entry]) => {
+      if (!sensitiveNames.includes(name)) {
+        return [name, entry];
+      }
+
+      const redacted = { ...entry, value: REDACTED_VALUE };
+      if (entry.overriddenFrom) {
+        redacted.overriddenFrom = { ...entry.overriddenFrom, value: REDACTED_VALUE };
+      }
+      return [name, redacted];
+    }));
+  }
+
+  /**
+   * Prepare parameters for the deployment file: sensitive parameters are encrypted with the key,
+   * or left out when there is no key
+   * @param {Array<{ParameterName: string, ParameterValue: string}>} parameters - Formatted parameters
+   * @param {Array<string>} sensitiveNames - Sensitive parameter names
+   * @param {string} [key=''] - Encryption passphrase
+   * @returns {Array<{ParameterName: string, ParameterValue: string}>} Parameters safe to write to disk
+   */
+  protectParameters(parameters, sensitiveNames, key = '') {
+    if (!key) {
+      return parameters.filter((param) => !sensitiveNames.includes(param.ParameterName));
+    }
+
+    return parameters.map((param) => (sensitiveNames.includes(param.ParameterName)
+      ? { ...param, ParameterValue: this.encryptValue(param.ParameterValue, key) }
+      : param));
+  }
+
+  /**
+   * Encrypt a value with AES-256-GCM, using a key derived from the passphrase with scrypt
+   * @param {string} value - Plain value
+   * @param {string} key - Encryption passphrase
+   * @returns {string} enc:v1:<salt>:<iv>:<auth tag>:<ciphertext>
+   */
+  encryptValue(value, key) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(key, salt, 32), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+    return `${ENCRYPTED_PREFIX}${[salt, iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':')}`;
+  }
+
+  /**
+   * Decrypt a value produced by encryptValue
+   * @param {string} encrypted - enc:v1:<salt>:<iv>:<auth tag>:<ciphertext>
+   * @param {string} key - Encryption passphrase
+   * @returns {string} Plain value
+   * @throws {Error} If the value is not in the expected format or the key is wrong
+   */
+  decryptValue(encrypted, key) {
+    const parts = typeof encrypted === 'string' && encrypted.startsWith(ENCRYPTED_PREFIX)
+      ? encrypted.slice(ENCRYPTED_PREFIX.length).split(':')
+      : [];
+    if (parts.length !== 4) {
+      throw new Error('Encrypted value must have the format enc:v1:<salt>:<iv>:<auth tag>:<ciphertext>');
+    }
+
+    const [salt, iv, authTag, ciphertext] = parts.map((part) => Buffer.from(part, 'base64'));
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', crypto.scryptSync(key, salt, 32), iv);
+      decipher.setAuthTag(authTag);
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    } catch {
+      throw new Error('Failed to decrypt value: wrong key or corrupted value');
+    }
+  }
+}
@@ -1,19 +1,79 @@
 import { execSync } from 'child_process';
+import { createHash } from 'crypto';
+import * as github from '@actions/github';
+
+/**
+ * Tokens supported in the stack-name-pattern field of cloudformation.json
+ */
+const STACK_NAME_TOKENS = [
+  'project',
+  'stack-prefix',
+  'environment',
+  'branch',
+  'ci-build-id',
+  'region',
+  'account-alias',
+  'pr-number',
+  'org'
+];
+
+/**
+ * Tokens that may expand to an empty string (the surrounding hyphens are collapsed)
+ */
+const OPTIONAL_STACK_NAME_TOKENS = ['ci-build-id', 'pr-number'];
+
+/**
+ * CloudFormation stack name length limit
+ */
+const MAX_STACK_NAME_LENGTH = 128;
+
+/**
+ * Length of the hash appended to shortened stack names
+ */
+const STACK_NAME_HASH_LENGTH = 8;
 
 /**
  * StackNameGenerator class for dynamic stack name generation
  * Handles both CI build and environment-based stack naming
  */
 class StackNameGenerator {
+  /**
+   * @param {Object} [options] - Sources used to resolve the branch and pull request before falling back to Git
+   * @param {Object} [options.env=process.env] - Environment providing GITHUB_HEAD_REF, GITHUB_REF_NAME and GITHUB_REF
+   * @param {Object} [options.payload] - GitHub event payload, defaults to the payload of the running workflow
+   */
+  constructor({ env = process.env, payload = github.context.payload } = {}) {
+    this.env = env;
+    this.payload = payload || {};
+  }
+
   /**
    * Generate stack name based on build type and environment
    * @param {string} project - Project name from cloudformation.json
    * @param {string} stackPrefix - Stack prefix from cloudformation.json
    * @param {boolean} isCiBuild - Whether this is a CI build
    * @param {string} environment - Environment name (used when not CI build)
+   * @param {Object} [options] - Naming options
+   * @param {boolean} [options.usePullRequestNumber=false] - Name CI build stacks pr-<number> on pull requests
    * @returns {Promise<string>} Generated stack name
    */
-  async generateStackName(project, stackPrefix, isCiBuild, environment) {
+  async generateStackName(project, stackPrefix, isCiBuild, environment, options = {}) {
+    const { baseStackName } = await this.generateStackNames(project, stackPrefix, isCiBuild, environment, { ...options, ciBuildId: '' });
+    return baseStackName;
+  }
+
+  /**
+   * Generate the stack name, and for CI builds the name with the CI build ID appended
+   * @param {string} project - Project name from cloudformation.json
+   * @param {string} stackPrefix - Stack prefix from cloudformation.json
+   * @param {boolean} isCiBuild - Whether this is a CI build
+   * @param {string} environment - Environment name (used when not CI build)
+   * @param {Object} [options] - Naming options
+   * @param {boolean} [options.usePullRequestNumber=false] - Name CI build stacks pr-<number> on pull requests
+   * @param {string} [options.ciBuildId=''] - CI build ID appended to CI build stack names
+   * @returns {Promise<{stackName: string, baseStackName: string}>} Stack name, and the name before the CI build ID was added
+   */
+  async generateStackNames(project, stackPrefix, isCiBuild, environment, options = {}) {
     // Validate input parameters
     if (!project || typeof project !== 'string' || project.trim() === '') {
       throw new Error('Project name is required and must be a non-empty string');
@@ -47,17 +107,22 @@ class StackNameGenerator {
     }
 
     let stackName;
+    let baseStackName;
 
     if (isCiBuild) {
-      // For CI builds: {project}-{stack-prefix}-{feature-branch-name}
-      const branchName = await this.getCurrentBranchName();
-      const sanitizedBranchName = this.sanitizeBranchName(branchName);
+      // For CI builds: {project}-{stack-prefix}-{feature-branch-name} (or pr-<number>)
+      const sanitizedBranchName = await this.getCiBuildSegment(options.usePullRequestNumber);
       
       if (!sanitizedBranchName) {
         throw new Error('Branch name resulted in empty string after sanitization. Please use a branch name with alphanumeric characters.');
       }
       
-      stackName = `${project}-${stackPrefix}-${sanitizedBranchName}`;
+      // Long branch names are shortened rather than rejected
+      ({ stackName, baseStackName } = this.appendCiBuildId(
+        `${project}-${stackPrefix}-${sanitizedBranchName}`,
+        options.ciBuildId || '',
+        sanitizedBranchName
+      ));
     } else {
       // For environment deployments: {project}-{stack-prefix}-{environment}
       if (!environment || typeof environment !== 'string' || environment.trim() === '') {
@@ -74,14 +139,256 @@ class StackNameGenerator {
       }
 
       stackName = `${project}-${stackPrefix}-${environment}`;
+      baseStackName = stackName;
     }
 
     // Validate final stack name length (CloudFormation limit is 128 characters)
-    if (stackName.length > 128) {
+    if (stackName.length > MAX_STACK_NAME_LENGTH) {
       throw new Error(`Generated stack name is too long (${stackName.length} characters). CloudFormation stack names must be 128 characters or less.`);
     }
 
-    return stackName;
+    return { stackName, baseStackName };
+  }
+
+  /**
+   * Generate a stack name from a stack-name-pattern such as "{org}-{environment}-{project}-{stack-prefix}"
+   * The branch is read from Git only when the pattern uses {branch}. When the pattern does not use
+   * {ci-build-id}, a CI build ID is appended as a suffix, as with the default naming. Names over
+   * 128 characters are shortened with truncateStackName (see appendCiBuildId).
+   * @param {string} pattern - Pattern from cloudformation.json
+   * @param {Object} values - Token values: project, stack-prefix, environment, ci-build-id, region, account-alias, pr-number, org
+   * @param {boolean} isCiBuild - Whether this is a CI build (environment is only required outside CI builds)
+   * @param {Object} [options] - Naming options
+   * @param {boolean} [options.usePullRequestNumber=false] - Expand {branch} to pr-<number> on pull requests
+   * @returns {Promise<{stackName: string, baseStackName: string}>} Stack name, and the name before the CI build ID was added
+   * @throws {Error} If the pattern uses unknown tokens, a required token has no value, or the expanded name is invalid
+   */
+  async generateStackNameFromPattern(pattern, values, isCiBuild, options = {}) {
+    if (!pattern || typeof pattern !== 'string' || pattern.trim() === '') {
+      throw new Error('Stack name pattern must be a non-empty string');
+    }
+
+    const tokenValues = { ...values };
+    if (this.getPatternTokens(pattern).includes('branch')) {
+      tokenValues.branch = await this.getCiBuildSegment(options.usePullRequestNumber);
+    }
+
+    const optionalTokens = isCiBuild
+      ? [...OPTIONAL_STACK_NAME_TOKENS, 'environment']
+      : OPTIONAL_STACK_NAME_TOKENS;
+    const ciBuildId = tokenValues['ci-build-id'] || '';
+    const fullBaseStackName = this.expandStackNamePattern(pattern, { ...tokenValues, 'ci-build-id': '' }, optionalTokens);
+    const fullStackName = this.getPatternTokens(pattern).includes('ci-build-id')
+      ? this.expandStackNamePattern(pattern, tokenValues, optionalTokens)
+      : [fullBaseStackName, ciBuildId].filter(Boolean).join('-');
+
+    this.validateStackName(fullStackName, pattern, { checkLength: false });
+    const segment = tokenValues.branch || '';
+    // When the CI build ID ends the name (appended, or {ci-build-id} placed last), the base name is shortened once and
+    // the ID added to it. A {ci-build-id} elsewhere in the pattern splits the name, so both names are shortened separately
+    const { stackName, baseStackName } = fullStackName === [fullBaseStackName, ciBuildId].filter(Boolean).join('-')
+      ? this.appendCiBuildId(fullBaseStackName, ciBuildId, segment)
+      : {
+        stackName: this.truncateStackName(fullStackName, { segment }),
+        baseStackName: this.truncateStackName(fullBaseStackName, { segment })
+      };
+
+    this.validateStackName(stackName, pattern);
+    return { stackName, baseStackName };
+  }
+
+  /**
+   * Append a CI build ID to a stack name, shortening the name first if the result would be too long
+   * The name is shortened once, before the ID is added, so it stays a prefix of the stack name and is
+   * the same for every build of a branch.
+   * @param {string} fullBaseStackName - Stack name before shortening, without the CI build ID
+   * @param {string} ciBuildId - CI build ID ('' for none)
+   * @param {string} [segment=''] - Part of the name to shorten first (usually the branch name)
+   * @returns {{stackName: string, baseStackName: string}} Stack name, and the shortened name before the CI build ID
+   */
+  appendCiBuildId(fullBaseStackName, ciBuildId, segment = '') {
+    const baseStackName = this.truncateStackName(fullBaseStackName, {
+      segment,
+      maxLength: MAX_STACK_NAME_LENGTH - (ciBuildId ? ciBuildId.length + 1 : 0)
+    });
+
+    return { stackName: [baseStackName, ciBuildId].filter(Boolean).join('-'), baseStackName };
+  }
+
+  /**
+   * Expand the tokens of a stack name pattern
+   * Consecutive hyphens left by empty optional tokens are collapsed and leading/trailing hyphens removed
+   * @param {string} pattern - Pattern containing {token} placeholders
+   * @param {Object} values - Token values
+   * @param {string[]} [optionalTokens=OPTIONAL_STACK_NAME_TOKENS] - Tokens allowed to be empty
+   * @returns {string} Expanded stack name
+   * @throws {Error} If a token is unknown or a required token has no value
+   */
+  expandStackNamePattern(pattern, values, optionalTokens = OPTIONAL_STACK_NAME_TOKENS) {
+    const expanded = pattern.replace(/\{([^{}]*)\}/g, (match, token) => {
+      if (!STACK_NAME_TOKENS.includes(token)) {
+        throw new Error(`Unknown token ${match} in stack-name-pattern. Supported tokens: ${STACK_NAME_TOKENS.map((name) => `{${name}}`).join(', ')}`);
+      }
+
+      const value = values[token] === undefined || values[token] === null ? '' : String(values[token]).trim();
+      if (value === '' && !optionalTokens.includes(token)) {
+        throw new Error(`Token ${match} in stack-name-pattern has no value`);
+      }
+
+      return value;
+    });
+
+    return expanded
+      .replace(/-+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * List the tokens used in a stack name pattern
+   * @param {string} pattern - Stack name pattern
+   * @returns {string[]} Token names without braces
+   */
+  getPatternTokens(pattern) {
+    return [...pattern.matchAll(/\{([^{}]*)\}/g)].map((match) => match[1]);
+  }
+
+  /**
+   * Shorten a stack name to fit the CloudFormation length limit while keeping it unique
+   * The segment (usually the branch name) is shortened first, then the rest of the name if still
+   * needed, and a short hash of the full name is appended before the suffix. The suffix (usually
+   * the CI build ID) is kept intact. Names within the limit are returned unchanged.
+   * @param {string} stackName - Full stack name
+   * @param {Object} [options] - Truncation options
+   * @param {string} [options.segment=''] - Part of the name to shorten first
+   * @param {string} [options.suffix=''] - Trailing part of the name to keep intact
+   * @param {number} [options.maxLength=128] - Maximum length of the result
+   * @returns {string} Stack name of at most maxLength characters
+   * @throws {Error} If nothing starting with a letter is left of the name after shortening
+   */
+  truncateStackName(stackName, { segment = '', suffix = '', maxLength = MAX_STACK_NAME_LENGTH } = {}) {
+    if (stackName.length <= maxLength) {
+      return stackName;
+    }
+
+    const hash = createHash('sha256').update(stackName).digest('hex').substring(0, STACK_NAME_HASH_LENGTH);
+    const tail = [hash, suffix].filter(Boolean).join('-');
+    const body = suffix && stackName.endsWith(`-${suffix}`)
+      ? stackName.slice(0, -(suffix.length + 1))
+      : stackName;
+    const budget = maxLength - tail.length - 1;
+
+    let head = body;
+    const segmentIndex = segment ? body.lastIndexOf(segment) : -1;
+    if (segmentIndex !== -1) {
+      const keep = Math.max(0, segment.length - (body.length - budget));
+      head = body.slice(0, segmentIndex) + segment.slice(0, keep) + body.slice(segmentIndex + segment.length);
+    }
+
+    // Never end on a hyphen before the hash or start with a digit
+    head = head
+      .substring(0, budget)
+      .replace(/-+/g, '-')
+      .replace(/^[^a-zA-Z]+/, '')
+      .replace(/-+$/, '');
+
+    if (!head) {
+      throw new Error(`Stack name '${stackName}' cannot be shortened to ${maxLength} characters`);
+    }
+
+    return `${head}-${tail}`;
+  }
+
+  /**
+   * Validate a stack name against CloudFormation naming rules
+   * @param {string} stackName - Stack name to validate
+   * @param {string} pattern - Pattern the name was expanded from (for error messages)
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.checkLength=true] - Whether to enforce the 128 character limit
+   * @throws {Error} If the name is empty, too long, does not start with a letter or contains invalid characters
+   */
+  validateStackName(stackName, pattern, { checkLength = true } = {}) {
+    if (!stackName) {
+      throw new Error(`Stack name pattern '${pattern}' expanded to an empty stack name`);
+    }
+
+    if (!/^[a-zA-Z][a-zA-Z0-9-]*$/.test(stackName)) {
+      throw new Error(`Stack name '${stackName}' expanded from pattern '${pattern}' is invalid. Stack names must start with a letter and contain only alphanumeric characters and hyphens.`);
+    }
+
+    if (checkLength && stackName.length > MAX_STACK_NAME_LENGTH) {
+      throw new Error(`Stack name '${stackName}' expanded from pattern '${pattern}' is too long (${stackName.length} characters). CloudFormation stack names must be 128 characters or less.`);
+    }
+  }
+
+  /**
+   * Get the sanitized stack name segment identifying a CI build: pr-<number> when requested on a
+   * pull request, otherwise the branch name
+   * @param {boolean} [usePullRequestNumber=false] - Prefer pr-<number> over the branch name
+   * @returns {Promise<string>} Sanitized segment
+   */
+  async getCiBuildSegment(usePullRequestNumber = false) {
+    const pullRequestNumber = usePullRequestNumber ? this.getPullRequestNumber() : '';
+    if (pullRequestNumber) {
+      return `pr-${pullRequestNumber}`;
+    }
+
+    return this.sanitizeBranchName(await this.resolveBranchName());
+  }
+
+  /**
+   * Resolve the branch being built
+   * Uses the run context first, so pull_request builds (checked out at a detached merge commit)
+   * get the pull request's head branch, and falls back to Git otherwise.
+   * @returns {Promise<string>} Branch name
+   */
+  async resolveBranchName() {
+    const branchName = this.getBranchNameFromRunContext();
+    if (!branchName) {
+      return this.getCurrentBranchName();
+    }
+
+    if (branchName.length > 100) {
+      throw new Error(`Branch name is too long (${branchName.length} characters). Maximum supported length is 100 characters.`);
+    }
+
+    return branchName;
+  }
+
+  /**
+   * Get the branch name from the GitHub run context
+   * Order: GITHUB_HEAD_REF, the pull request head in the event payload, GITHUB_REF_NAME (only when
+   * GITHUB_REF is a branch, not a pull request merge ref or tag), then the branch pushed in the event payload.
+   * @returns {string} Branch name, or '' if the run context does not identify a branch
+   */
+  getBranchNameFromRunContext() {
+    const env = this.env || {};
+    const isBranchRef = !env.GITHUB_REF || env.GITHUB_REF.startsWith('refs/heads/');
+    const pushedRef = typeof this.payload.ref === 'string' && this.payload.ref.startsWith('refs/heads/')
+      ? this.payload.ref.substring('refs/heads/'.length)
+      : '';
+
+    const candidates = [
+      env.GITHUB_HEAD_REF,
+      this.payload.pull_request?.head?.ref,
+      isBranchRef ? env.GITHUB_REF_NAME : '',
+      pushedRef
+    ];
+
+    return candidates.map((candidate) => (typeof candidate === 'string' ? candidate.trim() : '')).find(Boolean) || '';
+  }
+
+  /**
+   * Get the number of the pull request being built
+   * @returns {string} Pull request number from the event payload or GITHUB_REF, or '' outside pull requests
+   */
+  getPullRequestNumber() {
+    const payloadNumber = this.payload.pull_request?.number;
+    if (payloadNumber) {
+      return String(payloadNumber);
+    }
+
+    const match = ((this.env || {}).GITHUB_REF || '').match(/^refs\/pull\/(\d+)\//);
+    return match ? match[1] : '';
   }
 
   /**
@@ -148,4 +455,4 @@ class StackNameGenerator {
   }
 }
 
-export { StackNameGenerator };
\ No newline at end of file
+export { StackNameGenerator, STACK_NAME_TOKENS };
\ No newline at end of file
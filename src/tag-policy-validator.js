@@ -0,0 +1,176 @@
+/**
+ * Fields allowed in a tag policy rule
+ */
+const RULE_FIELDS = ['required', 'allowed-values', 'pattern'];
+
+/**
+ * TagPolicyValidator module for enforcing a governance tag policy on merged stack tags
+ *
+ * Policy format (tags/policy.json or the tag-policy block of cloudformation.json):
+ * {
+ *   "tags": {
+ *     "CostCenter": { "required": true, "pattern": "^CC-[0-9]{4}$" },
+ *     "DataClassification": { "required": true, "allowed-values": ["public", "internal", "confidential"] }
+ *   },
+ *   "environments": {
+ *     "dev": { "tags": { "CostCenter": { "required": false } } }
+ *   }
+ * }
+ * Environment rules are merged field by field over the base rule of the same tag.
+ */
+export class TagPolicyValidator {
+  /**
+   * Collects every structural problem in a tag policy
+   * @param {Object} policy - Parsed tag policy
+   * @returns {Array<{keyPath: Array<string>, message: string}>} Issues with the path of the offending policy key
+   */
+  findPolicyIssues(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      return [{ keyPath: [], message: 'Tag policy must be a JSON object' }];
+    }
+
+    const issues = [];
+    for (const field of Object.keys(policy)) {
+      if (field !== 'tags' && field !== 'environments') {
+        issues.push({ keyPath: [field], message: `Unknown tag policy field '${field}'. Supported fields: tags, environments` });
+      }
+    }
+
+    issues.push(...this.findRuleSetIssues(policy.tags, ['tags']));
+
+    if (policy.environments !== undefined) {
+      if (!policy.environments || typeof policy.environments !== 'object' || Array.isArray(policy.environments)) {
+        issues.push({ keyPath: ['environments'], message: 'Tag policy environments must be an object keyed by environment name' });
+      } else {
+        for (const [environment, override] of Object.entries(policy.environments)) {
+          const keyPath = ['environments', environment];
+          if (!override || typeof override !== 'object' || Array.isArray(override)) {
+            issues.push({ keyPath, message: `Tag policy for environment '${environment}' must be an object` });
+            continue;
+          }
+          issues.push(...this.findRuleSetIssues(override.tags, [...keyPath, 'tags']));
+        }
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Collects the problems of a set of tag rules
+   * @param {Object|undefined} rules - Rules keyed by tag name
+   * @param {Array<string>} keyPath - Path of the rule set in the policy
+   * @returns {Array<{keyPath: Array<string>, message: string}>} Issues
+   */
+  findRuleSetIssues(rules, keyPath) {
+    if (rules === undefined) {
+      return [];
+    }
+
+    const name = keyPath.join('.');
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return [{ keyPath, message: `Tag policy ${name} must be an object keyed by tag name` }];
+    }
+
+    const issues = [];
+    for (const [tag, rule] of Object.entries(rules)) {
+      const rulePath = [...keyPath, tag];
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        issues.push({ keyPath: rulePath, message: `Tag policy rule for '${tag}' must be an object` });
+        continue;
+      }
+
+      for (const field of Object.keys(rule)) {
+        if (!RULE_FIELDS.includes(field)) {
+          issues.push({ keyPath: [...rulePath, field], message: `Unknown field '${field}' in tag policy rule for '${tag}'. Supported fields: ${RULE_FIELDS.join(', ')}` });
+        }
+      }
+
+      if (rule.required !== undefined && typeof rule.required !== 'boolean') {
+        issues.push({ keyPath: [...rulePath, 'required'], message: `Tag policy rule for '${tag}': required must be true or false` });
+      }
+
+      const allowedValues = rule['allowed-values'];
+      if (allowedValues !== undefined &&
+          (!Array.isArray(allowedValues) || allowedValues.length === 0 || allowedValues.some((value) => typeof value !== 'string'))) {
+        issues.push({ keyPath: [...rulePath, 'allowed-values'], message: `Tag policy rule for '${tag}': allowed-values must be a non-empty array of strings` });
+      }
+
+      if (rule.pattern !== undefined) {
+        const error = typeof rule.pattern === 'string' ? this.getPatternError(rule.pattern) : 'must be a string';
+        if (error) {
+          issues.push({ keyPath: [...rulePath, 'pattern'], message: `Tag policy rule for '${tag}': pattern ${error}` });
+        }
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Checks that a pattern compiles as a regular expression
+   * @param {string} pattern - Regular expression source
+   * @returns {string|null} Problem description, or null if the pattern is valid
+   */
+  getPatternError(pattern) {
+    try {
+      new RegExp(pattern);
+      return null;
+    } catch (error) {
+      return `is not a valid regular expression: ${error.message}`;
+    }
+  }
+
+  /**
+   * Resolves the rules that apply to an environment
+   * @param {Object} policy - Validated tag policy
+   * @param {string} [environment] - Target environment (no overrides when empty)
+   * @returns {Object} Rules keyed by tag name
+   */
+  resolveRules(policy, environment) {
+    const rules = {};
+    for (const [tag, rule] of Object.entries(policy.tags || {})) {
+      rules[tag] = { ...rule };
+    }
+
+    const override = environment && policy.environments && policy.environments[environment];
+    for (const [tag, rule] of Object.entries((override && override.tags) || {})) {
+      rules[tag] = { ...rules[tag], ...rule };
+    }
+
+    return rules;
+  }
+
+  /**
+   * Evaluates merged tags against a tag policy, collecting every violation
+   * @param {Object} tags - Merged tags (key/value pairs)
+   * @param {Object} policy - Validated tag policy
+   * @param {string} [environment] - Target environment
+   * @returns {Array<{key: string, message: string}>} Violations with the tag they concern (empty when the tags comply)
+   */
+  findViolations(tags, policy, environment) {
+    const violations = [];
+
+    for (const [tag, rule] of Object.entries(this.resolveRules(policy, environment))) {
+      const value = tags[tag];
+      if (value === undefined || value === null || String(value).trim() === '') {
+        if (rule.required) {
+          violations.push({ key: tag, message: `Required tag '${tag}' is missing` });
+        }
+        continue;
+      }
+
+      const stringValue = String(value);
+      const allowedValues = rule['allowed-values'];
+      if (allowedValues && !allowedValues.includes(stringValue)) {
+        violations.push({ key: tag, message: `Tag '${tag}' has value '${stringValue}', which is not allowed. Allowed values: ${allowedValues.join(', ')}` });
+      }
+
+      if (rule.pattern && !new RegExp(rule.pattern).test(stringValue)) {
+        violations.push({ key: tag, message: `Tag '${tag}' has value '${stringValue}', which does not match pattern ${rule.pattern}` });
+      }
+    }
+
+    return violations;
+  }
+}
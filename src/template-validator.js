@@ -0,0 +1,284 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * CloudFormation intrinsic functions available as YAML short-form tags
+ */
+const INTRINSIC_FUNCTIONS = [
+  'Base64', 'Cidr', 'FindInMap', 'GetAtt', 'GetAZs', 'ImportValue', 'Join',
+  'Select', 'Split', 'Sub', 'Transform', 'And', 'Equals', 'If', 'Not', 'Or',
+  'Condition', 'Length', 'ToJsonString'
+];
+
+/**
+ * Build the custom YAML tags for CloudFormation short-form syntax (!Ref, !Sub, ...)
+ * Every tag is registered for scalar, sequence and mapping nodes
+ * @returns {Array} Custom tag definitions for the yaml parser
+ */
+function buildCloudFormationTags() {
+  const tags = [
+    { tag: '!Ref', resolve: (value) => ({ Ref: value }) },
+    { tag: '!GetAtt', resolve: (value) => ({ 'Fn::GetAtt': value.split('.') }) },
+    { tag: '!GetAtt', collection: 'seq', resolve: (seq) => ({ 'Fn::GetAtt': seq.toJSON() }) }
+  ];
+
+  for (const name of INTRINSIC_FUNCTIONS.filter((fn) => fn !== 'GetAtt')) {
+    const key = name === 'Condition' ? 'Condition' : `Fn::${name}`;
+    tags.push({ tag: `!${name}`, resolve: (value) => ({ [key]: value }) });
+    tags.push({ tag: `!${name}`, collection: 'seq', resolve: (seq) => ({ [key]: seq.toJSON() }) });
+    tags.push({ tag: `!${name}`, collection: 'map', resolve: (map) => ({ [key]: map.toJSON() }) });
+  }
+
+  return tags;
+}
+
+const CLOUDFORMATION_TAGS = buildCloudFormationTags();
+
+/**
+ * TemplateValidator class for validating merged parameters against the
+ * Parameters section of the CloudFormation template
+ */
+export class TemplateValidator {
+  /**
+   * Read and parse a CloudFormation template (JSON or YAML)
+   * @param {string} templatePath - Path to the template file
+   * @returns {Promise<Object|null>} Parsed template or null if the file doesn't exist
+   * @throws {Error} If the template cannot be read or parsed
+   */
+  async readTemplate(templatePath) {
+    if (!templatePath || typeof templatePath !== 'string') {
+      throw new Error('Template path must be a valid string');
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(templatePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // The template may live elsewhere (e.g. S3); the caller decides how to proceed
+        return null;
+      } else if (error.code === 'EACCES') {
+        throw new Error(`Permission denied accessing CloudFormation template: ${templatePath}. Please check file permissions.`);
+      } else if (error.code === 'EISDIR') {
+        throw new Error(`Expected file but found directory: ${templatePath}. Please ensure the template is a file, not a directory.`);
+      }
+      throw new Error(`Failed to read CloudFormation template from ${templatePath}: ${error.message}`);
+    }
+
+    return this.parseTemplate(content, templatePath);
+  }
+
+  /**
+   * Parse CloudFormation template content
+   * JSON templates are parsed with JSON.parse; everything else is treated as YAML
+   * with support for the CloudFormation short-form intrinsic function tags
+   * @param {string} content - Raw template content
+   * @param {string} templatePath - Path of the template (for format detection and error messages)
+   * @returns {Object} Parsed template
+   * @throws {Error} If the content is empty or cannot be parsed
+   */
+  parseTemplate(content, templatePath) {
+    if (!content || !content.trim()) {
+      throw new Error(`CloudFormation template is empty: ${templatePath}`);
+    }
+
+    let template;
+    if (path.extname(templatePath).toLowerCase() === '.json') {
+      try {
+        template = JSON.parse(content);
+      } catch (parseError) {
+        throw new Error(`Invalid JSON format in CloudFormation template at ${templatePath}: ${parseError.message}. Please check the JSON syntax.`);
+      }
+    } else {
+      try {
+        template = YAML.parse(content, { customTags: CLOUDFORMATION_TAGS, prettyErrors: true });
+      } catch (parseError) {
+        throw new Error(`Invalid YAML format in CloudFormation template at ${templatePath}: ${parseError.message}. Please check the YAML syntax.`);
+      }
+    }
+
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      throw new Error(`CloudFormation template must be an object: ${templatePath}`);
+    }
+
+    return template;
+  }
+
+  /**
+   * Validate merged parameters against the template's Parameters section
+   * Reports undeclared parameters, missing required parameters and constraint violations
+   * @param {Object} mergedParams - Merged parameters object
+   * @param {Object} template - Parsed CloudFormation template
+   * @throws {Error} If any parameter fails validation (all problems are listed)
+   */
+  validateParameters(mergedParams, template) {
+    const issues = this.findParameterIssues(mergedParams, template);
+    if (issues.length > 0) {
+      throw new Error(`Template parameter validation failed:\n  - ${issues.map((issue) => issue.message).join('\n  - ')}`);
+    }
+  }
+
+  /**
+   * Collect every problem with merged parameters against the template's Parameters section
+   * @param {Object} mergedParams - Merged parameters object
+   * @param {Object} template - Parsed CloudFormation template
+   * @param {Object} [options] - Validation options
+   * @param {Array<string>} [options.sensitive=[]] - Sensitive parameters, whose values are left out of the messages
+   * @returns {Array<{key: string, message: string}>} Issues with the parameter they concern (empty when the parameters match the template)
+   * @throws {Error} If the parameters or template are not objects
+   */
+  findParameterIssues(mergedParams, template, { sensitive = [] } = {}) {
+    if (!mergedParams || typeof mergedParams !== 'object' || Array.isArray(mergedParams)) {
+      throw new Error('Merged parameters must be a valid object (not an array)');
+    }
+
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      throw new Error('Template must be a valid object');
+    }
+
+    const declared = template.Parameters || {};
+    if (typeof declared !== 'object' || Array.isArray(declared)) {
+      throw new Error('Template Parameters section must be an object');
+    }
+
+    const errors = [];
+
+    for (const name of Object.keys(mergedParams)) {
+      if (!Object.prototype.hasOwnProperty.call(declared, name)) {
+        errors.push({ key: name, message: `Parameter '${name}' is not declared in the template` });
+      }
+    }
+
+    for (const [name, definition] of Object.entries(declared)) {
+      if (!Object.prototype.hasOwnProperty.call(mergedParams, name)) {
+        if (!definition || !('Default' in definition)) {
+          errors.push({ key: name, message: `Parameter '${name}' is required by the template but has no value and no Default` });
+        }
+        continue;
+      }
+
+      const options = { sensitive: sensitive.includes(name) };
+      errors.push(...this.validateParameterValue(name, mergedParams[name], definition || {}, options).map((message) => ({ key: name, message })));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check whether a parameter type takes a comma-separated list of values
+   * @param {string} type - Parameter Type from the template
+   * @returns {boolean} True for CommaDelimitedList and List<...> types
+   */
+  isListType(type) {
+    return type === 'CommaDelimitedList' || /^List</.test(type);
+  }
+
+  /**
+   * Convert a merged parameter value to the string CloudFormation receives
+   * Arrays for list types are joined with commas; other objects and arrays are JSON encoded
+   * @param {*} value - Parameter value from the merged parameters
+   * @param {string} [type='String'] - Parameter Type from the template
+   * @returns {string} Parameter value as a string
+   */
+  toParameterString(value, type = 'String') {
+    if (Array.isArray(value) && this.isListType(type)) {
+      return value.map(String).join(',');
+    }
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * Join the array values of list-typed parameters with commas, as CloudFormation expects
+   * @param {Object} mergedParams - Merged parameters
+   * @param {Object} template - Parsed CloudFormation template
+   * @returns {Object} Copy of the parameters with list values joined
+   */
+  joinListValues(mergedParams, template) {
+    const declared = (template && template.Parameters) || {};
+    return Object.fromEntries(Object.entries(mergedParams).map(([name, value]) => {
+      const type = declared[name] && declared[name].Type;
+      return [name, Array.isArray(value) && type && this.isListType(type) ? this.toParameterString(value, type) : value];
+    }));
+  }
+
+  /**
+   * Validate a single parameter value against its template definition
+   * @param {string} name - Parameter name
+   * @param {*} value - Parameter value from the merged parameters
+   * @param {Object} definition - Parameter definition from the template
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.sensitive=false] - Leave the value out of the messages
+   * @returns {string[]} List of constraint violations (empty if valid)
+   */
+  validateParameterValue(name, value, definition, { sensitive = false } = {}) {
+    const errors = [];
+    const describe = (item, quote = "'") => (sensitive ? 'value' : `value ${quote}${item}${quote}`);
+
+    // Dynamic references ({{resolve:...}}) are resolved by CloudFormation at deploy time, so their value is unknown here
+    if (typeof value === 'string' && /^\{\{resolve:[^}]+\}\}$/.test(value)) {
+      return errors;
+    }
+
+    const type = definition.Type || 'String';
+    const isList = this.isListType(type);
+    if (isList && value !== null && typeof value === 'object' &&
+        (!Array.isArray(value) || value.some((item) => item !== null && typeof item === 'object'))) {
+      return [`Parameter '${name}' of type ${type} must be a string or a list of values, got ${Array.isArray(value) ? 'a nested list' : 'an object'}`];
+    }
+
+    const stringValue = this.toParameterString(value, type);
+    const items = isList ? stringValue.split(',').map((item) => item.trim()) : [stringValue];
+
+    if (Array.isArray(definition.AllowedValues)) {
+      const allowed = definition.AllowedValues.map(String);
+      for (const item of items) {
+        if (!allowed.includes(item)) {
+          errors.push(`Parameter '${name}' ${describe(item)} is not one of the allowed values: ${allowed.join(', ')}`);
+        }
+      }
+    }
+
+    if (definition.AllowedPattern !== undefined) {
+      let pattern;
+      try {
+        pattern = new RegExp(`^(?:${definition.AllowedPattern})$`);
+      } catch (error) {
+        errors.push(`Parameter '${name}' has an invalid AllowedPattern in the template: ${error.message}`);
+      }
+      if (pattern) {
+        for (const item of items) {
+          if (!pattern.test(item)) {
+            errors.push(`Parameter '${name}' ${describe(item)} does not match the allowed pattern: ${definition.AllowedPattern}`);
+          }
+        }
+      }
+    }
+
+    if (definition.MinLength !== undefined && stringValue.length < Number(definition.MinLength)) {
+      errors.push(`Parameter '${name}' value is too short (${stringValue.length} characters). Minimum length is ${definition.MinLength} characters.`);
+    }
+
+    if (definition.MaxLength !== undefined && stringValue.length > Number(definition.MaxLength)) {
+      errors.push(`Parameter '${name}' value is too long (${stringValue.length} characters). Maximum length is ${definition.MaxLength} characters.`);
+    }
+
+    if (type === 'Number' || type === 'List<Number>') {
+      for (const item of items) {
+        const number = Number(item);
+        if (item === '' || Number.isNaN(number)) {
+          errors.push(`Parameter '${name}' ${describe(item)} is not a valid number`);
+          continue;
+        }
+        if (definition.MinValue !== undefined && number < Number(definition.MinValue)) {
+          errors.push(`Parameter '${name}' ${describe(item, '')} is less than the minimum value ${definition.MinValue}`);
+        }
+        if (definition.MaxValue !== undefined && number > Number(definition.MaxValue)) {
+          errors.push(`Parameter '${name}' ${describe(item, '')} is greater than the maximum value ${definition.MaxValue}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Error carrying every validation issue found across configuration files, so they can be
+ * reported together (one annotation per issue) instead of failing on the first one
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {Array<{file: string|null, message: string, line?: number, column?: number}>} issues - Validation issues
+   *   with the file (and, when known, the one-based line and column) each was found at
+   */
+  constructor(issues) {
+    super(ValidationError.formatMessage(issues));
+    this.name = 'ValidationError';
+    this.issues = issues;
+  }
+
+  /**
+   * Build the error message listing every issue
+   * @param {Array<{file: string|null, message: string}>} issues - Validation issues
+   * @returns {string} Single issue message, or a summary line followed by one line per issue
+   */
+  static formatMessage(issues) {
+    const lines = issues.map(({ file, message }) => (file ? `${file}: ${message}` : message));
+    if (lines.length === 1) {
+      return lines[0];
+    }
+
+    return `Validation failed with ${lines.length} issues:\n  - ${lines.join('\n  - ')}`;
+  }
+
+  /**
+   * Convert any error into validation issues, keeping the issues of a ValidationError
+   * and the file/line/column of parse errors raised by ConfigurationReader
+   * @param {Error} error - Error raised while reading or validating a file
+   * @param {string|null} file - File to attribute a plain error to
+   * @returns {Array<{file: string|null, message: string, line?: number, column?: number}>} Validation issues
+   */
+  static toIssues(error, file) {
+    if (error instanceof ValidationError) {
+      return error.issues;
+    }
+
+    const issue = { file: error.file || file, message: error.message };
+    if (error.line !== undefined) {
+      issue.line = error.line;
+      issue.column = error.column;
+    }
+    return [issue];
+  }
+
+  /**
+   * Build the properties of a core.error annotation for an issue
+   * @param {{file: string|null, line?: number, column?: number}} issue - Validation issue
+   * @returns {Object|undefined} Annotation properties (file, startLine, startColumn), or undefined without a file
+   */
+  static toAnnotation(issue) {
+    if (!issue.file) {
+      return undefined;
+    }
+
+    const annotation = { file: issue.file };
+    if (issue.line !== undefined) {
+      annotation.startLine = issue.line;
+      annotation.startColumn = issue.column;
+    }
+    return annotation;
+  }
+}
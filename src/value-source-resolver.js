@@ -0,0 +1,282 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Supported values for the value-source-mode input
+ */
+export const VALUE_SOURCE_MODES = ['resolve', 'dynamic-reference'];
+
+/**
+ * Keys that mark an object as an external value source, e.g. {"$ssm": "/shared/vpc-id"}
+ */
+export const VALUE_SOURCES = ['$ssm', '$secretsmanager', '$file'];
+
+/**
+ * Parameter store backed by the AWS CLI (aws ssm get-parameter)
+ * Any object with an async getParameter(name) method returning the value and type can be used instead
+ */
+export class AwsCliParameterStore {
+  /**
+   * @param {string} name - Parameter name, e.g. /shared/vpc-id
+   * @returns {Promise<{value: string, type: string}>} Decrypted parameter value and its type (String, StringList or SecureString)
+   * @throws {Error} If the AWS CLI is missing or the parameter cannot be read
+   */
+  async getParameter(name) {
+    const [type, value] = JSON.parse(runAwsCli(['ssm', 'get-parameter', '--name', name, '--with-decryption', '--query', '[Parameter.Type, Parameter.Value]', '--output', 'json']));
+    return { value, type };
+  }
+}
+
+/**
+ * Secret store backed by the AWS CLI (aws secretsmanager get-secret-value)
+ * Any object with an async getSecretValue(secretId) method returning the secret string can be used instead
+ */
+export class AwsCliSecretStore {
+  /**
+   * @param {string} secretId - Secret name or ARN
+   * @returns {Promise<string>} SecretString of the current version
+   * @throws {Error} If the AWS CLI is missing or the secret cannot be read
+   */
+  async getSecretValue(secretId) {
+    return runAwsCli(['secretsmanager', 'get-secret-value', '--secret-id', secretId, '--query', 'SecretString', '--output', 'text']);
+  }
+}
+
+/**
+ * Run an AWS CLI command and return its text output
+ * @param {Array<string>} args - Arguments after "aws"
+ * @returns {string} Output without the trailing newline
+ * @throws {Error} With the AWS CLI error message if the command fails
+ */
+function runAwsCli(args) {
+  try {
+    return execFileSync('aws', args, {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      timeout: 30000 // 30 second timeout
+    }).replace(/\r?\n$/, '');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('AWS CLI not found. Install it or set value-source-mode to dynamic-reference.');
+    }
+    const stderr = error.stderr ? String(error.stderr).trim() : '';
+    throw new Error(stderr || error.message);
+  }
+}
+
+/**
+ * ValueSourceResolver module for replacing external value sources in merged parameters
+ *
+ * Value sources:
+ * - {"$ssm": "/shared/vpc-id"}                  SSM parameter (SecureString values are decrypted and treated as secrets)
+ * - {"$secretsmanager": "db/password:password"} Secrets Manager secret, optionally followed by ":<json-key>"
+ * - {"$file": "certs/ca.pem"}                   Contents of a file inside the configuration folder
+ *
+ * In 'dynamic-reference' mode $ssm and $secretsmanager become CloudFormation dynamic references
+ * ({{resolve:ssm:...}}, {{resolve:secretsmanager:...}}) that CloudFormation resolves at deploy time.
+ * $file is always read, as CloudFormation has no equivalent.
+ */
+export class ValueSourceResolver {
+  /**
+   * @param {Object} [options] - Resolver options
+   * @param {string} [options.mode='resolve'] - 'resolve' or 'dynamic-reference'
+   * @param {string} [options.baseDir='.'] - Folder $file paths are relative to (the configuration folder)
+   * @param {{getParameter: function(string): Promise<{value: string, type: string}>}} [options.parameterStore] - SSM parameter source
+   * @param {{getSecretValue: function(string): Promise<string>}} [options.secretStore] - Secrets Manager source
+   */
+  constructor({
+    mode = 'resolve',
+    baseDir = '.',
+    parameterStore = new AwsCliParameterStore(),
+    secretStore = new AwsCliSecretStore()
+  } = {}) {
+    if (!VALUE_SOURCE_MODES.includes(mode)) {
+      throw new Error(`Invalid value source mode: ${mode}. Must be one of: ${VALUE_SOURCE_MODES.join(', ')}`);
+    }
+
+    this.mode = mode;
+    this.baseDir = baseDir;
+    this.parameterStore = parameterStore;
+    this.secretStore = secretStore;
+  }
+
+  /**
+   * Checks whether a value is a value source object
+   * @param {*} value - Parameter value (or nested value)
+   * @returns {boolean} True if the object has a $ssm, $secretsmanager or $file key
+   */
+  isValueSource(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).some((key) => VALUE_SOURCES.includes(key));
+  }
+
+  /**
+   * Resolves every value source in the parameters, recursing into nested objects and arrays,
+   * and collects the problems instead of stopping at the first one
+   * @param {Object} values - Merged parameters
+   * @returns {Promise<{values: Object, issues: Array<{key: string, message: string}>, secrets: Array<{key: string, value: string}>}>}
+   *   Resolved values, issues with the top-level parameter they concern, and the values read from Secrets Manager
+   *   or SSM SecureString parameters with the top-level parameter they belong to
+   */
+  async resolveValues(values) {
+    const issues = [];
+    const secrets = [];
+
+    const resolveValue = async (value, key, name) => {
+      if (this.isValueSource(value)) {
+        try {
+          const resolved = await this.resolveSource(value);
+          if (resolved.secret) {
+            secrets.push({ key, value: resolved.value });
+          }
+          return resolved.value;
+        } catch (error) {
+          issues.push({ key, message: `Parameter '${name}' could not be resolved: ${error.message}` });
+          return value;
+        }
+      } else if (Array.isArray(value)) {
+        const items = [];
+        for (const [index, item] of value.entries()) {
+          items.push(await resolveValue(item, key, `${name}[${index}]`));
+        }
+        return items;
+      } else if (value && typeof value === 'object') {
+        const result = {};
+        for (const [childKey, child] of Object.entries(value)) {
+          result[childKey] = await resolveValue(child, key, `${name}.${childKey}`);
+        }
+        return result;
+      }
+      return value;
+    };
+
+    const resolved = {};
+    for (const [key, value] of Object.entries(values)) {
+      resolved[key] = await resolveValue(value, key, key);
+    }
+
+    return { values: resolved, issues, secrets };
+  }
+
+  /**
+   * Resolves a single value source object
+   * @param {Object} source - Object with exactly one $ssm, $secretsmanager or $file key
+   * @returns {Promise<{value: string, secret: boolean}>} Value (or dynamic reference) and whether it is a secret
+   * @throws {Error} If the source is malformed or cannot be read
+   */
+  async resolveSource(source) {
+    const keys = Object.keys(source);
+    if (keys.length !== 1) {
+      throw new Error(`a value source must have exactly one key (${VALUE_SOURCES.join(', ')}), found: ${keys.join(', ')}`);
+    }
+
+    const [type] = keys;
+    const reference = source[type];
+    if (typeof reference !== 'string' || reference.trim() === '') {
+      throw new Error(`${type} must be a non-empty string`);
+    }
+
+    switch (type) {
+      case '$ssm':
+        return this.resolveParameter(reference.trim());
+      case '$secretsmanager':
+        return { value: await this.resolveSecret(reference.trim()), secret: this.mode === 'resolve' };
+      default:
+        return { value: await this.readFile(reference.trim()), secret: false };
+    }
+  }
+
+  /**
+   * @param {string} name - SSM parameter name
+   * @returns {Promise<{value: string, secret: boolean}>} Parameter value, or a dynamic reference, and whether it is
+   *   a decrypted SecureString
+   */
+  async resolveParameter(name) {
+    if (this.mode === 'dynamic-reference') {
+      return { value: `{{resolve:ssm:${name}}}`, secret: false };
+    }
+
+    let parameter;
+    try {
+      parameter = await this.parameterStore.getParameter(name);
+    } catch (error) {
+      throw new Error(`failed to read SSM parameter ${name}: ${error.message}`);
+    }
+    return { value: parameter.value, secret: parameter.type === 'SecureString' };
+  }
+
+  /**
+   * @param {string} reference - "<secret-id>" or "<secret-id>:<json-key>"
+   * @returns {Promise<string>} Secret value (or the value of the JSON key), or a dynamic reference
+   */
+  async resolveSecret(reference) {
+    const { secretId, jsonKey } = this.parseSecretReference(reference);
+
+    if (this.mode === 'dynamic-reference') {
+      return jsonKey
+        ? `{{resolve:secretsmanager:${secretId}:SecretString:${jsonKey}}}`
+        : `{{resolve:secretsmanager:${secretId}}}`;
+    }
+
+    let secretString;
+    try {
+      secretString = await this.secretStore.getSecretValue(secretId);
+    } catch (error) {
+      throw new Error(`failed to read secret ${secretId}: ${error.message}`);
+    }
+
+    if (!jsonKey) {
+      return secretString;
+    }
+
+    let secret;
+    try {
+      secret = JSON.parse(secretString);
+    } catch {
+      throw new Error(`secret ${secretId} is not a JSON object, so key '${jsonKey}' cannot be read`);
+    }
+    if (!secret || typeof secret !== 'object' || !Object.prototype.hasOwnProperty.call(secret, jsonKey)) {
+      throw new Error(`secret ${secretId} has no key '${jsonKey}'`);
+    }
+
+    const value = secret[jsonKey];
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  /**
+   * Splits a secret reference into the secret ID and JSON key
+   * ARNs contain colons themselves, so the key is whatever follows the seventh ARN field
+   * @param {string} reference - "<secret-id>" or "<secret-id>:<json-key>"
+   * @returns {{secretId: string, jsonKey: string}} Secret ID and JSON key ('' for the whole secret)
+   */
+  parseSecretReference(reference) {
+    const parts = reference.split(':');
+    const idLength = reference.startsWith('arn:') ? 7 : 1;
+
+    return {
+      secretId: parts.slice(0, idLength).join(':'),
+      jsonKey: parts.slice(idLength).join(':')
+    };
+  }
+
+  /**
+   * Reads a file relative to the configuration folder
+   * @param {string} filePath - Relative file path
+   * @returns {Promise<string>} File contents
+   * @throws {Error} If the path leaves the configuration folder or the file cannot be read
+   */
+  async readFile(filePath) {
+    const baseDir = path.resolve(this.baseDir);
+    const resolvedPath = path.resolve(baseDir, filePath);
+    if (path.isAbsolute(filePath) || !resolvedPath.startsWith(`${baseDir}${path.sep}`)) {
+      throw new Error(`$file path ${filePath} must be a relative path inside the configuration folder`);
+    }
+
+    try {
+      return await fs.readFile(resolvedPath, 'utf8');
+    } catch (error) {
+      throw new Error(`failed to read file ${filePath}: ${error.message}`);
+    }
+  }
+}
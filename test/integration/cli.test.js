@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { main, parseArgs, formatTable } from '../../src/cli.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+/**
+ * Collects everything written to stdout and stderr
+ */
+function createIo() {
+  const io = { out: '', err: '' };
+  io.stdout = { write: (chunk) => { io.out += chunk; } };
+  io.stderr = { write: (chunk) => { io.err += chunk; } };
+  return io;
+}
+
+describe('cfn-stack-params CLI', () => {
+  const tempDir = path.join('test', 'temp-cli');
+
+  beforeEach(async () => {
+    await fs.mkdir(path.join(tempDir, 'params'), { recursive: true });
+    await fs.writeFile(
+      path.join(tempDir, 'cloudformation.json'),
+      JSON.stringify({ project: 'cli-app', template: 'template.yaml', 'stack-prefix': 'api' })
+    );
+    await fs.writeFile(path.join(tempDir, 'params', 'default.json'), JSON.stringify({ InstanceType: 't3.micro' }));
+    await fs.writeFile(path.join(tempDir, 'params', 'production.json'), JSON.stringify({ InstanceType: 't3.large' }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('parseArgs()', () => {
+    it('should parse the render command and its options', () => {
+      expect(parseArgs(['render', '--dir', 'infra', '--env', 'prod', '--format', 'TABLE', '--strict-placeholders'])).toMatchObject({
+        command: 'render',
+        folder: 'infra',
+        environment: 'prod',
+        format: 'table',
+        strictPlaceholders: true,
+        isCiBuild: false
+      });
+      expect(parseArgs(['render', '--ci-build', '--pr-stack-naming'])).toMatchObject({ isCiBuild: true, usePullRequestNumber: true });
+      expect(parseArgs(['render', '--value-source-mode', 'Dynamic-Reference'])).toMatchObject({ valueSourceMode: 'dynamic-reference' });
+      expect(parseArgs(['render', '--show-sensitive'])).toMatchObject({ showSensitive: true });
+      expect(parseArgs(['render', '--account', 'shared', '--region', 'eu-west-1'])).toMatchObject({ account: 'shared', region: 'eu-west-1' });
+      expect(() => parseArgs(['render', '--value-source-mode', 'fetch'])).toThrow('Invalid value for value-source-mode: fetch');
+    });
+
+    it('should reject unknown commands, arguments and formats', () => {
+      expect(() => parseArgs([])).toThrow('Missing command');
+      expect(() => parseArgs(['deploy'])).toThrow('Unknown command: deploy');
+      expect(() => parseArgs(['render', '--profile', 'dev'])).toThrow('Unknown argument: --profile');
+      expect(() => parseArgs(['render', '--env'])).toThrow('Missing value for --env');
+      expect(() => parseArgs(['render', '--format', 'yaml'])).toThrow('Invalid format: yaml. Must be one of: json, table');
+      expect(() => parseArgs(['render', '--matrix', '--format', 'table'])).toThrow('--matrix cannot be combined with --ci-build or --format table');
+    });
+  });
+
+  describe('main()', () => {
+    it('should print the rendered stack as JSON', async () => {
+      const io = createIo();
+
+      const exitCode = await main(['render', '--dir', tempDir, '--env', 'production'], io);
+
+      expect(exitCode).toBe(0);
+      const [stack] = JSON.parse(io.out);
+      expect(stack.stackName).toBe('cli-app-api-production');
+      expect(stack.template).toBe('template.yaml');
+      expect(stack.parameters).toEqual([{ ParameterName: 'InstanceType', ParameterValue: 't3.large' }]);
+      expect(stack.tags.map((tag) => tag.Key)).toContain('GitCommit');
+      expect(io.err).toContain('Warning: CloudFormation template not found');
+    });
+
+    it('should redact sensitive parameters unless --show-sensitive is given', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'cloudformation.json'),
+        JSON.stringify({ project: 'cli-app', template: 'template.yaml', 'stack-prefix': 'api', sensitive: ['Instance*'] })
+      );
+
+      const io = createIo();
+      expect(await main(['render', '--dir', tempDir, '--env', 'production'], io)).toBe(0);
+      expect(JSON.parse(io.out)[0].parameters).toEqual([{ ParameterName: 'InstanceType', ParameterValue: '****' }]);
+
+      const shown = createIo();
+      expect(await main(['render', '--dir', tempDir, '--env', 'production', '--show-sensitive'], shown)).toBe(0);
+      expect(JSON.parse(shown.out)[0].parameters).toEqual([{ ParameterName: 'InstanceType', ParameterValue: 't3.large' }]);
+    });
+
+    it('should print the deployment matrix with --matrix', async () => {
+      await fs.writeFile(path.join(tempDir, 'params', 'staging.json'), JSON.stringify({ InstanceType: 't3.small' }));
+      const io = createIo();
+
+      expect(await main(['render', '--dir', tempDir, '--matrix'], io)).toBe(0);
+
+      const matrix = JSON.parse(io.out);
+      expect(matrix.include.map((entry) => [entry.environment, entry['stack-name']])).toEqual([
+        ['production', 'cli-app-api-production'],
+        ['staging', 'cli-app-api-staging']
+      ]);
+      expect(matrix.include[1].parameters).toEqual([{ ParameterName: 'InstanceType', ParameterValue: 't3.small' }]);
+    });
+
+    it('should print the diff to another environment as markdown with --format table', async () => {
+      await fs.writeFile(path.join(tempDir, 'params', 'staging.json'), JSON.stringify({ InstanceType: 't3.small' }));
+      const io = createIo();
+
+      expect(await main(['render', '--dir', tempDir, '--env', 'production', '--diff-env', 'staging', '--format', 'table'], io)).toBe(0);
+
+      expect(io.out).toContain('### 🔀 Parameter Diff: staging → production');
+      expect(io.out).toContain('| ✏️ changed | Parameter | InstanceType | t3.small | t3.large |');
+    });
+
+    it('should print the rendered stack as a table', async () => {
+      const io = createIo();
+
+      const exitCode = await main(['render', '--dir', tempDir, '--env', 'production', '--format', 'table'], io);
+
+      expect(exitCode).toBe(0);
+      expect(io.out).toContain('Stack:    cli-app-api-production');
+      expect(io.out).toMatch(/InstanceType\s+t3\.large/);
+    });
+
+    it('should exit with 1 on validation errors', async () => {
+      await fs.writeFile(path.join(tempDir, 'params', 'production.json'), '{ invalid json');
+      const io = createIo();
+
+      const exitCode = await main(['render', '--dir', tempDir, '--env', 'production'], io);
+
+      expect(exitCode).toBe(1);
+      expect(io.out).toBe('');
+      expect(io.err).toContain('Invalid JSON format in production.json');
+    });
+
+    it('should exit with 1 when the environment is missing', async () => {
+      const io = createIo();
+
+      expect(await main(['render', '--dir', tempDir], io)).toBe(1);
+      expect(io.err).toContain('Environment input is required');
+    });
+
+    it('should exit with 2 and print usage on invalid arguments', async () => {
+      const io = createIo();
+
+      expect(await main(['render', '--bogus'], io)).toBe(2);
+      expect(io.err).toContain('Usage: cfn-stack-params render');
+    });
+
+    it('should print usage for --help', async () => {
+      const io = createIo();
+
+      expect(await main(['--help'], io)).toBe(0);
+      expect(io.out).toContain('Usage: cfn-stack-params render');
+    });
+  });
+
+  describe('formatTable()', () => {
+    it('should align parameter and tag columns', () => {
+      const table = formatTable([{
+        stackName: 'app-prod',
+        template: 'template.yaml',
+        parameters: [{ ParameterName: 'A', ParameterValue: 'long-value' }],
+        tags: [{ Key: 'Owner', Value: 'team' }]
+      }]);
+
+      expect(table).toBe([
+        'Stack:    app-prod',
+        'Template: template.yaml',
+        '',
+        'Parameter  Value',
+        '---------  ----------',
+        'A          long-value',
+        '',
+        'Tag    Value',
+        '-----  -----',
+        'Owner  team'
+      ].join('\n'));
+    });
+  });
+});
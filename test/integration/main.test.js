@@ -1,6 +1,16 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import * as core from '@actions/core';
-import { run, parseBooleanInput, validateInputs } from '../../src/main.js';
+import {
+  run,
+  writeDeploymentFile,
+  resolveCiBuildId,
+  parseBooleanInput,
+  parseOutputFormat,
+  parseCiBuildIdMode,
+  validateInputs
+} from '../../src/main.js';
+import { CiBuildIdGenerator } from '../../src/ci-build-id-generator.js';
+import { SecretMasker } from '../../src/secret-masker.js';
 import path from 'path';
 import fs from 'fs/promises';
 
@@ -11,12 +21,15 @@ vi.mock('@actions/core', () => ({
   setFailed: vi.fn(),
   info: vi.fn(),
   warning: vi.fn(),
-  debug: vi.fn()
+  error: vi.fn(),
+  debug: vi.fn(),
+  setSecret: vi.fn()
 }));
 
 // Mock child_process for git commands
 vi.mock('child_process', () => ({
-  execSync: vi.fn()
+  execSync: vi.fn(),
+  execFileSync: vi.fn()
 }));
 
 describe('Main Action Integration Tests', () => {
@@ -368,6 +381,64 @@ describe('Main Action Integration Tests', () => {
       expect(() => parseBooleanInput('1')).toThrow('Invalid boolean value for ci-build');
       expect(() => parseBooleanInput('0')).toThrow('Invalid boolean value for ci-build');
     });
+
+    it('should name the input in the error message', () => {
+      expect(() => parseBooleanInput('yes', 'strict-placeholders')).toThrow('Invalid boolean value for strict-placeholders');
+    });
+  });
+
+  describe('parseOutputFormat()', () => {
+    it('should accept supported formats case-insensitively', () => {
+      expect(parseOutputFormat('cloudformation')).toBe('cloudformation');
+      expect(parseOutputFormat('AWS-CLI')).toBe('aws-cli');
+      expect(parseOutputFormat(' sam ')).toBe('sam');
+      expect(parseOutputFormat('codepipeline')).toBe('codepipeline');
+    });
+
+    it('should default to cloudformation for empty input', () => {
+      expect(parseOutputFormat('')).toBe('cloudformation');
+      expect(parseOutputFormat(undefined)).toBe('cloudformation');
+    });
+
+    it('should throw error for unsupported formats', () => {
+      expect(() => parseOutputFormat('terraform')).toThrow('Invalid value for output-format: terraform');
+    });
+  });
+
+  describe('parseCiBuildIdMode()', () => {
+    it('should accept supported modes and default to random', () => {
+      expect(parseCiBuildIdMode('Deterministic')).toBe('deterministic');
+      expect(parseCiBuildIdMode('')).toBe('random');
+      expect(() => parseCiBuildIdMode('sequential')).toThrow('Invalid value for ci-build-id-mode: sequential');
+    });
+  });
+
+  describe('resolveCiBuildId()', () => {
+    const generator = new CiBuildIdGenerator();
+    const env = { GITHUB_REPOSITORY: 'acme/app', GITHUB_HEAD_REF: 'feature/login', GITHUB_REF: 'refs/pull/42/merge' };
+
+    it('should return an empty ID outside CI builds and ignore an explicit ID', () => {
+      expect(resolveCiBuildId({ isCiBuild: false, explicitId: 'abcdefg' }, generator, env)).toBe('');
+      expect(core.warning).toHaveBeenCalledWith('ci-build-id input is ignored when ci-build is false');
+    });
+
+    it('should use a valid explicit ID', () => {
+      expect(resolveCiBuildId({ isCiBuild: true, explicitId: ' hotfixqa ', mode: 'deterministic' }, generator, env)).toBe('hotfixqa');
+      expect(() => resolveCiBuildId({ isCiBuild: true, explicitId: 'ABC' }, generator, env))
+        .toThrow('Invalid ci-build-id: ABC. Must be 6-10 lowercase letters');
+    });
+
+    it('should derive a stable ID from the repository, branch and pull request', () => {
+      const id = resolveCiBuildId({ isCiBuild: true, mode: 'deterministic' }, generator, env);
+
+      expect(id).toBe(generator.generateDeterministicId({ repository: 'acme/app', branch: 'feature/login', pullRequest: '42', salt: '' }));
+      expect(resolveCiBuildId({ isCiBuild: true, mode: 'deterministic' }, generator, env)).toBe(id);
+      expect(resolveCiBuildId({ isCiBuild: true, mode: 'deterministic', salt: 'v2' }, generator, env)).not.toBe(id);
+    });
+
+    it('should generate a random ID by default', () => {
+      expect(generator.validateIdFormat(resolveCiBuildId({ isCiBuild: true }, generator, env))).toBe(true);
+    });
   });
 
   describe('validateInputs()', () => {
@@ -736,4 +807,815 @@ describe('Error Path Testing', () => {
         }
       }
     });
-  });
\ No newline at end of file
+  });
+describe('Multi-Stack Configuration', () => {
+  const tempDir = path.join('test', 'temp-multi-stack');
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    await fs.mkdir(path.join(tempDir, 'network', 'params'), { recursive: true });
+    await fs.mkdir(path.join(tempDir, 'app', 'params'), { recursive: true });
+    await fs.writeFile(
+      path.join(tempDir, 'cloudformation.json'),
+      JSON.stringify({
+        project: 'multi',
+        stacks: [
+          { template: 'network.yaml', 'stack-prefix': 'network', params: 'network/params' },
+          { template: 'app.yaml', 'stack-prefix': 'app', params: 'app/params' }
+        ]
+      })
+    );
+    await fs.writeFile(path.join(tempDir, 'network', 'params', 'default.json'), JSON.stringify({ VpcCidr: '10.0.0.0/16' }));
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'default.json'), JSON.stringify({ ImageTag: 'latest' }));
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'prod.json'), JSON.stringify({ ImageTag: 'v1.2.3' }));
+
+    process.env.INPUT_CFN_DIRECTORY = tempDir;
+    process.env.INPUT_CI_BUILD = 'false';
+    process.env.INPUT_ENVIRONMENT = 'prod';
+    process.env.INPUT_DEPLOYMENT_FILE = path.join(tempDir, 'artifacts', 'deployment.json');
+  });
+
+  afterEach(async () => {
+    delete process.env.INPUT_CFN_DIRECTORY;
+    delete process.env.INPUT_CI_BUILD;
+    delete process.env.INPUT_ENVIRONMENT;
+    delete process.env.INPUT_DEPLOYMENT_FILE;
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should emit a stacks output with one entry per stack', async () => {
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+
+    const stacksCall = core.setOutput.mock.calls.find(call => call[0] === 'stacks');
+    const stacks = JSON.parse(stacksCall[1]);
+
+    expect(stacks).toHaveLength(2);
+    expect(stacks[0]).toMatchObject({
+      stackName: 'multi-network-prod',
+      template: 'network.yaml',
+      parameters: [{ ParameterName: 'VpcCidr', ParameterValue: '10.0.0.0/16' }]
+    });
+    expect(stacks[1]).toMatchObject({
+      stackName: 'multi-app-prod',
+      template: 'app.yaml',
+      parameters: [{ ParameterName: 'ImageTag', ParameterValue: 'v1.2.3' }]
+    });
+    expect(stacks[1].tags.map(tag => tag.Key)).toContain('GitCommit');
+  });
+
+  it('should write the deployment file as valid JSON', async () => {
+    await fs.writeFile(
+      path.join(tempDir, 'network', 'params', 'prod.json'),
+      JSON.stringify({ VpcCidr: 'it\'s "quoted" `$HOME`\nline two' })
+    );
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.setOutput).toHaveBeenCalledWith('deployment-file', process.env.INPUT_DEPLOYMENT_FILE);
+
+    const deployment = JSON.parse(await fs.readFile(process.env.INPUT_DEPLOYMENT_FILE, 'utf8'));
+    expect(deployment).toMatchObject({
+      'stack-name': 'multi-network-prod',
+      'template-path': path.join(tempDir, 'network.yaml'),
+      parameters: [{ ParameterName: 'VpcCidr', ParameterValue: 'it\'s "quoted" `$HOME`\nline two' }],
+      'ci-build-id': ''
+    });
+    expect(deployment.stacks.map(stack => stack['stack-name'])).toEqual(['multi-network-prod', 'multi-app-prod']);
+    expect(deployment['source-files']).toContain(path.join(tempDir, 'app', 'params', 'prod.json'));
+  });
+
+  it('should expose parameter provenance for the first stack', async () => {
+    await fs.writeFile(path.join(tempDir, 'network', 'params', 'prod.json'), JSON.stringify({ VpcCidr: '10.1.0.0/16' }));
+
+    await run();
+
+    const provenanceCall = core.setOutput.mock.calls.find(call => call[0] === 'provenance');
+    expect(JSON.parse(provenanceCall[1])).toEqual({
+      VpcCidr: {
+        value: '10.1.0.0/16',
+        layer: 'prod',
+        file: path.join(tempDir, 'network', 'params', 'prod.json'),
+        overriddenFrom: {
+          value: '10.0.0.0/16',
+          layer: 'default',
+          file: path.join(tempDir, 'network', 'params', 'default.json')
+        }
+      }
+    });
+  });
+
+  it('should reject unsafe deployment file paths', async () => {
+    await expect(writeDeploymentFile('../deployment.json', {}))
+      .rejects.toThrow('Deployment file path contains potentially unsafe characters');
+    await expect(writeDeploymentFile('', {}))
+      .rejects.toThrow('Deployment file path cannot be empty');
+  });
+
+  it('should keep the single-stack outputs pointing at the first stack', async () => {
+    await run();
+
+    expect(core.setOutput).toHaveBeenCalledWith('stack-name', 'multi-network-prod');
+    expect(core.setOutput).toHaveBeenCalledWith('template', 'network.yaml');
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'parameters',
+      JSON.stringify([{ ParameterName: 'VpcCidr', ParameterValue: '10.0.0.0/16' }])
+    );
+  });
+
+  it('should expand placeholders in parameter values', async () => {
+    process.env.IMAGE_TAG = '2.0.0';
+    await fs.writeFile(
+      path.join(tempDir, 'app', 'params', 'prod.json'),
+      JSON.stringify({ ImageTag: '${env:IMAGE_TAG}-${inputs.environment}-$${literal}' })
+    );
+
+    try {
+      await run();
+    } finally {
+      delete process.env.IMAGE_TAG;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const stacks = JSON.parse(core.setOutput.mock.calls.find(call => call[0] === 'stacks')[1]);
+    expect(stacks[1].parameters).toEqual([{ ParameterName: 'ImageTag', ParameterValue: '2.0.0-prod-${literal}' }]);
+  });
+
+  it('should fail on undefined placeholders in strict mode', async () => {
+    process.env.INPUT_STRICT_PLACEHOLDERS = 'true';
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'prod.json'), JSON.stringify({ ImageTag: '${env:UNDEFINED_IMAGE_TAG}' }));
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_STRICT_PLACEHOLDERS;
+    }
+
+    expect(core.error).toHaveBeenCalledWith(
+      "Undefined placeholder ${env:UNDEFINED_IMAGE_TAG} in 'ImageTag'",
+      { file: path.join(tempDir, 'app', 'params', 'prod.json'), startLine: 1, startColumn: 2 }
+    );
+    expect(core.setFailed).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report every validation issue across files and stacks before failing', async () => {
+    await fs.writeFile(path.join(tempDir, 'network', 'params', 'default.json'), JSON.stringify({ 'bad-name': 'x', Empty: null }));
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'prod.json'), JSON.stringify({ 'also_bad': 'y' }));
+
+    await run();
+
+    const annotations = core.error.mock.calls;
+    expect(annotations).toHaveLength(3);
+    expect(annotations[0][1]).toEqual({ file: path.join(tempDir, 'network', 'params', 'default.json'), startLine: 1, startColumn: 2 });
+    expect(annotations[0][0]).toContain("parameter name 'bad-name' contains invalid characters");
+    expect(annotations[1][0]).toContain("parameter 'Empty' has null or undefined value");
+    expect(annotations[1][1]).toMatchObject({ startLine: 1, startColumn: 17 });
+    expect(annotations[2][1]).toEqual({ file: path.join(tempDir, 'app', 'params', 'prod.json'), startLine: 1, startColumn: 2 });
+    expect(annotations[2][0]).toContain("parameter name 'also_bad' contains invalid characters");
+    expect(core.setFailed).toHaveBeenCalledTimes(1);
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Validation failed with 3 issues'));
+  });
+
+  it('should annotate parse errors with their line and column', async () => {
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'prod.json'), '{\n  "ImageTag": "v1",\n  oops\n}');
+
+    await run();
+
+    expect(core.error).toHaveBeenCalledWith(
+      expect.stringContaining('Invalid JSON format in prod.json'),
+      { file: path.join(tempDir, 'app', 'params', 'prod.json'), startLine: 3, startColumn: 3 }
+    );
+  });
+
+  it('should expose the CI build ID, CI build flag and base stack name', async () => {
+    await run();
+
+    expect(core.setOutput).toHaveBeenCalledWith('ci-build-id', '');
+    expect(core.setOutput).toHaveBeenCalledWith('is-ci-build', 'false');
+    expect(core.setOutput).toHaveBeenCalledWith('base-stack-name', 'multi-network-prod');
+  });
+
+  it('should expose the base stack name without the CI build ID suffix in CI builds', async () => {
+    process.env.INPUT_CI_BUILD = 'true';
+    process.env.INPUT_ENVIRONMENT = '';
+    process.env.INPUT_CI_BUILD_ID = 'fixedidq';
+    const { execSync } = await import('child_process');
+    execSync.mockReturnValue('feature/login\n');
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_CI_BUILD_ID;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.setOutput).toHaveBeenCalledWith('ci-build-id', 'fixedidq');
+    expect(core.setOutput).toHaveBeenCalledWith('is-ci-build', 'true');
+    expect(core.setOutput).toHaveBeenCalledWith('base-stack-name', 'multi-network-feature-login');
+    expect(core.setOutput).toHaveBeenCalledWith('stack-name', 'multi-network-feature-login-fixedidq');
+
+    const deployment = JSON.parse(await fs.readFile(process.env.INPUT_DEPLOYMENT_FILE, 'utf8'));
+    expect(deployment['base-stack-name']).toBe('multi-network-feature-login');
+  });
+
+  it('should shorten long CI build stack names while keeping the CI build ID', async () => {
+    const config = JSON.parse(await fs.readFile(path.join(tempDir, 'cloudformation.json'), 'utf8'));
+    await fs.writeFile(path.join(tempDir, 'cloudformation.json'), JSON.stringify({ ...config, project: 'multi-platform' }));
+    process.env.INPUT_CI_BUILD = 'true';
+    process.env.INPUT_ENVIRONMENT = '';
+    process.env.INPUT_CI_BUILD_ID = 'fixedidq';
+    const { execSync } = await import('child_process');
+    execSync.mockReturnValue(`feature/${'x'.repeat(92)}\n`);
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_CI_BUILD_ID;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const stackName = core.setOutput.mock.calls.find(([name]) => name === 'stack-name')[1];
+    expect(stackName).toHaveLength(128);
+    expect(stackName).toMatch(/^multi-platform-network-feature-x+-[0-9a-f]{8}-fixedidq$/);
+    const baseStackName = core.setOutput.mock.calls.find(([name]) => name === 'base-stack-name')[1];
+    expect(stackName).toBe(`${baseStackName}-fixedidq`);
+  });
+
+  it('should name CI stacks after the pull request instead of the detached checkout', async () => {
+    const savedEnv = { GITHUB_HEAD_REF: process.env.GITHUB_HEAD_REF, GITHUB_REF: process.env.GITHUB_REF };
+    process.env.GITHUB_HEAD_REF = 'feature/login';
+    process.env.GITHUB_REF = 'refs/pull/42/merge';
+    process.env.INPUT_CI_BUILD = 'true';
+    process.env.INPUT_ENVIRONMENT = '';
+    process.env.INPUT_CI_BUILD_ID = 'fixedidq';
+    const { execSync } = await import('child_process');
+    execSync.mockReturnValue('HEAD\n');
+
+    try {
+      await run();
+      expect(core.setOutput).toHaveBeenCalledWith('stack-name', 'multi-network-feature-login-fixedidq');
+
+      vi.clearAllMocks();
+      process.env.INPUT_PR_STACK_NAMING = 'true';
+      await run();
+      expect(core.setOutput).toHaveBeenCalledWith('stack-name', 'multi-network-pr-42-fixedidq');
+    } finally {
+      delete process.env.INPUT_CI_BUILD_ID;
+      delete process.env.INPUT_PR_STACK_NAMING;
+      for (const [key, value] of Object.entries(savedEnv)) {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      }
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  it('should name stacks from a stack-name-pattern', async () => {
+    await fs.writeFile(
+      path.join(tempDir, 'cloudformation.json'),
+      JSON.stringify({
+        project: 'multi',
+        'stack-name-pattern': '{org}-{environment}-{project}-{stack-prefix}',
+        stacks: [
+          { template: 'network.yaml', 'stack-prefix': 'network', params: 'network/params' },
+          { template: 'app.yaml', 'stack-prefix': 'app', params: 'app/params', 'stack-name-pattern': '{stack-prefix}-{region}' }
+        ]
+      })
+    );
+    const savedEnv = { GITHUB_REPOSITORY: process.env.GITHUB_REPOSITORY, AWS_REGION: process.env.AWS_REGION };
+    process.env.GITHUB_REPOSITORY = 'acme/infra';
+    process.env.AWS_REGION = 'eu-west-1';
+
+    try {
+      await run();
+    } finally {
+      for (const [key, value] of Object.entries(savedEnv)) {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      }
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const stacks = JSON.parse(core.setOutput.mock.calls.find(call => call[0] === 'stacks')[1]);
+    expect(stacks.map(stack => stack.stackName)).toEqual(['acme-prod-multi-network', 'app-eu-west-1']);
+  });
+
+  it('should report every tag policy violation across stacks', async () => {
+    await fs.mkdir(path.join(tempDir, 'tags'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'tags', 'default.json'), JSON.stringify({ Owner: 'platform', DataClassification: 'secret' }));
+    await fs.writeFile(path.join(tempDir, 'tags', 'policy.json'), JSON.stringify({
+      tags: {
+        CostCenter: { required: true },
+        DataClassification: { required: true, 'allowed-values': ['internal', 'confidential'] }
+      }
+    }, null, 2));
+
+    await run();
+
+    const annotations = core.error.mock.calls;
+    expect(annotations).toHaveLength(4);
+    expect(annotations[0]).toEqual([
+      "Required tag 'CostCenter' is missing (stack network)",
+      { file: path.join(tempDir, 'tags', 'policy.json'), startLine: 3, startColumn: 5 }
+    ]);
+    expect(annotations[1]).toEqual([
+      "Tag 'DataClassification' has value 'secret', which is not allowed. Allowed values: internal, confidential (stack network)",
+      { file: path.join(tempDir, 'tags', 'default.json'), startLine: 1, startColumn: 21 }
+    ]);
+    expect(annotations[3][0]).toContain('(stack app)');
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Validation failed with 4 issues'));
+  });
+
+  it('should accept tags that comply with a tag-policy block', async () => {
+    const config = JSON.parse(await fs.readFile(path.join(tempDir, 'cloudformation.json'), 'utf8'));
+    await fs.writeFile(path.join(tempDir, 'cloudformation.json'), JSON.stringify({
+      ...config,
+      'tag-policy': { tags: { Owner: { required: true, pattern: '^[a-z-]+$' } } }
+    }));
+    await fs.mkdir(path.join(tempDir, 'tags'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'tags', 'default.json'), JSON.stringify({ Owner: 'platform-team' }));
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith(`Loaded tag policy from ${path.join(tempDir, 'cloudformation.json')}`);
+  });
+
+  it('should annotate malformed tag policy rules', async () => {
+    await fs.mkdir(path.join(tempDir, 'tags'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'tags', 'policy.json'), '{\n  "tags": {\n    "Owner": { "required": "yes" }\n  }\n}');
+
+    await run();
+
+    expect(core.error).toHaveBeenCalledWith(
+      "Tag policy rule for 'Owner': required must be true or false",
+      { file: path.join(tempDir, 'tags', 'policy.json'), startLine: 3, startColumn: 16 }
+    );
+  });
+
+  it('should apply the github-tags block to every stack', async () => {
+    const config = JSON.parse(await fs.readFile(path.join(tempDir, 'cloudformation.json'), 'utf8'));
+    await fs.writeFile(path.join(tempDir, 'cloudformation.json'), JSON.stringify({
+      ...config,
+      'github-tags': { prefix: 'github:', tags: { 'last-modified-at': false, repo: 'SourceRepo', 'event-name': true } }
+    }));
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const stacks = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'stacks')[1]);
+    for (const stack of stacks) {
+      const keys = stack.tags.map((tag) => tag.Key);
+      expect(keys).toContain('github:SourceRepo');
+      expect(keys).toContain('github:GitEventName');
+      expect(keys).not.toContain('GitCommit');
+      expect(keys.some((key) => key.includes('LastModifiedAt'))).toBe(false);
+    }
+  });
+
+  it('should trim tags and report tag names that differ only by case across files', async () => {
+    await fs.mkdir(path.join(tempDir, 'tags'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'tags', 'default.json'), JSON.stringify({ ' cost-center ': ' CC-1 ', 'app:tier': 'web' }));
+    await fs.writeFile(path.join(tempDir, 'tags', 'prod.json'), JSON.stringify({ 'app:tier': 'api' }));
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const stacks = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'stacks')[1]);
+    expect(stacks[0].tags).toEqual(expect.arrayContaining([
+      { Key: 'cost-center', Value: 'CC-1' },
+      { Key: 'app:tier', Value: 'api' }
+    ]));
+
+    vi.clearAllMocks();
+    await fs.writeFile(path.join(tempDir, 'tags', 'prod.json'), JSON.stringify({ 'Cost-Center': 'CC-2' }));
+
+    await run();
+
+    expect(core.error).toHaveBeenCalledWith(
+      "merged tag name 'Cost-Center' duplicates 'cost-center' (tag names differing only by case or surrounding whitespace are not allowed)",
+      { file: path.join(tempDir, 'tags', 'prod.json'), startLine: 1, startColumn: 2 }
+    );
+  });
+
+  it('should annotate reserved tag prefixes on the originating file', async () => {
+    await fs.mkdir(path.join(tempDir, 'tags'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'tags', 'default.json'), '{\n  "Owner": "platform",\n  "aws:createdBy": "me"\n}');
+
+    await run();
+
+    expect(core.error).toHaveBeenCalledWith(
+      "default tag name 'aws:createdBy' uses the reserved 'aws:' prefix",
+      { file: path.join(tempDir, 'tags', 'default.json'), startLine: 3, startColumn: 3 }
+    );
+  });
+
+  it('should deep-merge object parameters configured with a merge strategy', async () => {
+    const config = JSON.parse(await fs.readFile(path.join(tempDir, 'cloudformation.json'), 'utf8'));
+    await fs.writeFile(path.join(tempDir, 'cloudformation.json'), JSON.stringify({
+      ...config,
+      'merge-strategies': { Settings: 'deep-merge' }
+    }));
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'default.json'), JSON.stringify({ ImageTag: 'latest', Settings: { Owner: 'DevOps', Tier: 'web' } }));
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'prod.json'), JSON.stringify({ Settings: { Tier: 'api' } }));
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const stacks = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'stacks')[1]);
+    expect(stacks[1].parameters).toContainEqual({ ParameterName: 'Settings', ParameterValue: JSON.stringify({ Owner: 'DevOps', Tier: 'api' }) });
+  });
+
+  it('should emit dynamic references for $ssm and $secretsmanager values and inline $file values', async () => {
+    process.env.INPUT_VALUE_SOURCE_MODE = 'dynamic-reference';
+    await fs.mkdir(path.join(tempDir, 'app', 'certs'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'app', 'certs', 'ca.pem'), 'CERTIFICATE');
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'prod.json'), JSON.stringify({
+      VpcId: { $ssm: '/shared/vpc-id' },
+      DbPassword: { $secretsmanager: 'db/password:password' },
+      CaCertificate: { $file: 'app/certs/ca.pem' }
+    }));
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_VALUE_SOURCE_MODE;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const stacks = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'stacks')[1]);
+    expect(stacks[1].parameters).toEqual(expect.arrayContaining([
+      { ParameterName: 'VpcId', ParameterValue: '{{resolve:ssm:/shared/vpc-id}}' },
+      { ParameterName: 'DbPassword', ParameterValue: '{{resolve:secretsmanager:db/password:SecretString:password}}' },
+      { ParameterName: 'CaCertificate', ParameterValue: 'CERTIFICATE' }
+    ]));
+    expect(stacks[1].provenance.VpcId.value).toEqual({ $ssm: '/shared/vpc-id' });
+  });
+
+  it('should annotate value sources that cannot be resolved on the file that set them', async () => {
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'prod.json'), '{\n  "ImageTag": "v1",\n  "CaCertificate": { "$file": "missing.pem" }\n}');
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalled();
+    expect(core.error).toHaveBeenCalledWith(
+      expect.stringContaining("Parameter 'CaCertificate' could not be resolved: failed to read file missing.pem"),
+      { file: path.join(tempDir, 'app', 'params', 'prod.json'), startLine: 3, startColumn: 3 }
+    );
+  });
+
+  it('should mask sensitive parameters and leave them out of the deployment file', async () => {
+    const config = JSON.parse(await fs.readFile(path.join(tempDir, 'cloudformation.json'), 'utf8'));
+    await fs.writeFile(path.join(tempDir, 'cloudformation.json'), JSON.stringify({ ...config, sensitive: ['*Password*'] }));
+    await fs.writeFile(path.join(tempDir, 'network.yaml'), [
+      'Parameters:',
+      '  VpcCidr:',
+      '    Type: String',
+      '  AdminToken:',
+      '    Type: String',
+      '    NoEcho: true',
+      '  DbPassword:',
+      '    Type: String'
+    ].join('\n'));
+    await fs.writeFile(path.join(tempDir, 'network', 'params', 'default.json'), JSON.stringify({
+      VpcCidr: '10.0.0.0/16',
+      AdminToken: 'token-123',
+      DbPassword: 'dev-pass'
+    }));
+    await fs.writeFile(path.join(tempDir, 'network', 'params', 'prod.json'), JSON.stringify({ DbPassword: 'prod-pass' }));
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.setSecret).toHaveBeenCalledWith('token-123');
+    expect(core.setSecret).toHaveBeenCalledWith('prod-pass');
+
+    const redacted = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'parameters-redacted')[1]);
+    expect(redacted).toEqual([
+      { ParameterName: 'VpcCidr', ParameterValue: '10.0.0.0/16' },
+      { ParameterName: 'AdminToken', ParameterValue: '****' },
+      { ParameterName: 'DbPassword', ParameterValue: '****' }
+    ]);
+    const parameters = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'parameters-cloudformation')[1]);
+    expect(parameters).toContainEqual({ ParameterName: 'DbPassword', ParameterValue: 'prod-pass' });
+
+    const provenance = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'provenance')[1]);
+    expect(provenance.DbPassword).toMatchObject({ value: '****', overriddenFrom: { value: '****' } });
+
+    const deploymentFile = await fs.readFile(process.env.INPUT_DEPLOYMENT_FILE, 'utf8');
+    const deployment = JSON.parse(deploymentFile);
+    expect(deployment.parameters).toEqual([{ ParameterName: 'VpcCidr', ParameterValue: '10.0.0.0/16' }]);
+    expect(deployment['sensitive-parameters']).toEqual(['AdminToken', 'DbPassword']);
+    expect(deployment.stacks[1]['sensitive-parameters']).toEqual([]);
+    expect(deploymentFile).not.toContain('prod-pass');
+  });
+
+  it('should encrypt sensitive parameters in the deployment file with an encryption key', async () => {
+    const config = JSON.parse(await fs.readFile(path.join(tempDir, 'cloudformation.json'), 'utf8'));
+    await fs.writeFile(path.join(tempDir, 'cloudformation.json'), JSON.stringify({ ...config, sensitive: ['ImageTag'] }));
+    process.env.INPUT_DEPLOYMENT_FILE_ENCRYPTION_KEY = 'passphrase';
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_DEPLOYMENT_FILE_ENCRYPTION_KEY;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const deployment = JSON.parse(await fs.readFile(process.env.INPUT_DEPLOYMENT_FILE, 'utf8'));
+    const [imageTag] = deployment.stacks[1].parameters;
+    expect(imageTag.ParameterValue).toMatch(/^enc:v1:/);
+    expect(new SecretMasker().decryptValue(imageTag.ParameterValue, 'passphrase')).toBe('v1.2.3');
+  });
+
+  it('should apply account, region and environment.region layers from the account and region inputs', async () => {
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'shared.json'), JSON.stringify({ LogBucket: 'shared-logs' }));
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'eu-west-1.json'), JSON.stringify({ ImageTag: 'regional', Replicas: '2' }));
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'prod.eu-west-1.json'), JSON.stringify({ Replicas: '4' }));
+    process.env.INPUT_ACCOUNT = 'shared';
+    process.env.INPUT_REGION = 'eu-west-1';
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_ACCOUNT;
+      delete process.env.INPUT_REGION;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith('Parameter inheritance chain: default -> shared -> eu-west-1 -> prod -> prod.eu-west-1');
+    const stacks = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'stacks')[1]);
+    expect(stacks[1].parameters).toEqual([
+      { ParameterName: 'ImageTag', ParameterValue: 'v1.2.3' },
+      { ParameterName: 'LogBucket', ParameterValue: 'shared-logs' },
+      { ParameterName: 'Replicas', ParameterValue: '4' }
+    ]);
+    expect(stacks[1].provenance.Replicas).toMatchObject({ layer: 'prod.eu-west-1', overriddenFrom: { layer: 'eu-west-1' } });
+  });
+
+  it('should reject a malformed region input', async () => {
+    process.env.INPUT_REGION = 'Europe';
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_REGION;
+    }
+
+    expect(core.setFailed).toHaveBeenCalledWith('Action failed: Invalid region: Europe. Must be an AWS region such as us-east-1');
+  });
+
+  it('should emit a matrix entry for every environment and region', async () => {
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'staging.json'), JSON.stringify({ ImageTag: 'rc' }));
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'us-east-1.json'), JSON.stringify({ Replicas: '1' }));
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'prod.eu-west-1.json'), JSON.stringify({ Replicas: '3' }));
+    process.env.INPUT_MATRIX = 'true';
+    delete process.env.INPUT_ENVIRONMENT;
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_MATRIX;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.setOutput).not.toHaveBeenCalledWith('deployment-file', expect.anything());
+    const matrix = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'matrix')[1]);
+    expect(matrix.include.map((entry) => [entry.environment, entry.region, entry['stack-name']])).toEqual([
+      ['prod', 'eu-west-1', 'multi-network-prod'],
+      ['prod', 'us-east-1', 'multi-network-prod'],
+      ['staging', 'eu-west-1', 'multi-network-staging'],
+      ['staging', 'us-east-1', 'multi-network-staging']
+    ]);
+    expect(matrix.include[0].stacks[1]).toMatchObject({
+      'stack-name': 'multi-app-prod',
+      parameters: [{ ParameterName: 'ImageTag', ParameterValue: 'v1.2.3' }, { ParameterName: 'Replicas', ParameterValue: '3' }]
+    });
+    expect(matrix.include[3].stacks[1].parameters).toEqual([
+      { ParameterName: 'ImageTag', ParameterValue: 'rc' },
+      { ParameterName: 'Replicas', ParameterValue: '1' }
+    ]);
+  });
+
+  it('should report matrix validation issues with the environment they were found for', async () => {
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'staging.json'), JSON.stringify({ ImageTag: { $file: 'missing.txt' } }));
+    process.env.INPUT_MATRIX = 'true';
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_MATRIX;
+    }
+
+    expect(core.warning).toHaveBeenCalledWith('Environment input is ignored when matrix is true');
+    expect(core.error).toHaveBeenCalledWith(
+      expect.stringMatching(/^Parameter 'ImageTag' could not be resolved: failed to read file missing\.txt: .* \(environment staging\)$/),
+      expect.objectContaining({ file: path.join(tempDir, 'app', 'params', 'staging.json') })
+    );
+    expect(core.setOutput).not.toHaveBeenCalledWith('matrix', expect.anything());
+  });
+
+  it('should reject matrix together with ci-build', async () => {
+    process.env.INPUT_MATRIX = 'true';
+    process.env.INPUT_CI_BUILD = 'true';
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_MATRIX;
+    }
+
+    expect(core.setFailed).toHaveBeenCalledWith('Action failed: matrix cannot be used together with ci-build. CI builds deploy a single stack per branch.');
+  });
+
+  it('should diff the parameters and tags of another environment', async () => {
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'staging.json'), JSON.stringify({ ImageTag: 'rc', Debug: 'true' }));
+    process.env.INPUT_DIFF_ENVIRONMENT = 'staging';
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_DIFF_ENVIRONMENT;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith('Parameter diff staging -> prod: 1 stack(s) changed');
+    const diff = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'diff')[1]);
+    expect(diff).toMatchObject({ before: 'staging', after: 'prod', 'has-changes': true });
+    expect(diff.stacks.map((stack) => [stack['stack-prefix'], stack.status])).toEqual([['network', 'unchanged'], ['app', 'changed']]);
+    expect(diff.stacks[1]).toMatchObject({
+      'before-stack-name': 'multi-app-staging',
+      'after-stack-name': 'multi-app-prod',
+      parameters: [
+        { key: 'Debug', change: 'removed', before: 'true' },
+        { key: 'ImageTag', change: 'changed', before: 'rc', after: 'v1.2.3' }
+      ],
+      tags: []
+    });
+  });
+
+  it('should fail when the environment to diff against has no layer files', async () => {
+    process.env.INPUT_DIFF_ENVIRONMENT = 'stagign';
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_DIFF_ENVIRONMENT;
+    }
+
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Environment stagign has no layer files in the params or tags folders'));
+    expect(core.setOutput).not.toHaveBeenCalledWith('diff', expect.anything());
+  });
+
+  it('should diff the parameters against the configuration at the base ref', async () => {
+    const { execFileSync } = await import('child_process');
+    const baseFiles = {
+      [path.join(tempDir, 'cloudformation.json')]: JSON.stringify({
+        project: 'multi',
+        stacks: [{ template: 'network.yaml', 'stack-prefix': 'network', params: 'network/params' }]
+      }),
+      [path.join(tempDir, 'network', 'params', 'default.json')]: JSON.stringify({ VpcCidr: '10.9.0.0/16' })
+    };
+    execFileSync.mockImplementation((command, args) => {
+      if (args[0] === 'rev-parse') {
+        return Buffer.from('0123abcd\n');
+      }
+      if (args[0] === 'ls-tree') {
+        return Buffer.from(`${Object.keys(baseFiles).join('\0')}\0`);
+      }
+      return Buffer.from(baseFiles[args[1].slice('0123abcd:./'.length)]);
+    });
+    process.env.INPUT_DIFF_BASE_REF = 'origin/main';
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_DIFF_BASE_REF;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(execFileSync).toHaveBeenCalledWith('git', ['rev-parse', '--verify', '--quiet', 'origin/main^{commit}'], expect.anything());
+    const diff = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'diff')[1]);
+    expect(diff).toMatchObject({ before: 'origin/main', after: 'HEAD', 'has-changes': true });
+    expect(diff.stacks[0]).toMatchObject({
+      'stack-prefix': 'network',
+      status: 'changed',
+      parameters: [{ key: 'VpcCidr', change: 'changed', before: '10.9.0.0/16', after: '10.0.0.0/16' }]
+    });
+    expect(diff.stacks[1]).toMatchObject({ 'stack-prefix': 'app', status: 'added', 'before-stack-name': null });
+  });
+
+  it('should reject diff-environment together with diff-base-ref', async () => {
+    process.env.INPUT_DIFF_ENVIRONMENT = 'staging';
+    process.env.INPUT_DIFF_BASE_REF = 'origin/main';
+
+    try {
+      await run();
+    } finally {
+      delete process.env.INPUT_DIFF_ENVIRONMENT;
+      delete process.env.INPUT_DIFF_BASE_REF;
+    }
+
+    expect(core.setFailed).toHaveBeenCalledWith('Action failed: diff-environment and diff-base-ref cannot be used together');
+  });
+
+  it('should mask decrypted SecureString values and leave them out of the deployment file', async () => {
+    const { execFileSync } = await import('child_process');
+    execFileSync.mockImplementation((command, args) => (args.includes('/app/db-password')
+      ? '["SecureString","ssm-secret-value"]\n'
+      : '["String","vpc-123"]\n'));
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'prod.json'), JSON.stringify({
+      ImageTag: 'v1.2.3',
+      DbPassword: { $ssm: '/app/db-password' },
+      VpcId: { $ssm: '/shared/vpc-id' }
+    }));
+
+    let awsCalls;
+    try {
+      await run();
+    } finally {
+      awsCalls = [...execFileSync.mock.calls];
+      execFileSync.mockReset();
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(awsCalls).toContainEqual(['aws', expect.arrayContaining(['get-parameter', '--with-decryption']), expect.anything()]);
+    expect(core.setSecret).toHaveBeenCalledWith('ssm-secret-value');
+    expect(core.setSecret).not.toHaveBeenCalledWith('vpc-123');
+
+    const stacks = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'stacks')[1]);
+    expect(stacks[1].sensitiveParameters).toEqual(['DbPassword']);
+    const deploymentFile = await fs.readFile(process.env.INPUT_DEPLOYMENT_FILE, 'utf8');
+    expect(deploymentFile).not.toContain('ssm-secret-value');
+    expect(JSON.parse(deploymentFile).stacks[1].parameters).toEqual([
+      { ParameterName: 'ImageTag', ParameterValue: 'v1.2.3' },
+      { ParameterName: 'VpcId', ParameterValue: 'vpc-123' }
+    ]);
+  });
+
+  it('should never print sensitive values that fail template validation', async () => {
+    const config = JSON.parse(await fs.readFile(path.join(tempDir, 'cloudformation.json'), 'utf8'));
+    await fs.writeFile(path.join(tempDir, 'cloudformation.json'), JSON.stringify({ ...config, sensitive: ['*Key'] }));
+    await fs.writeFile(path.join(tempDir, 'app.yaml'), [
+      'Parameters:',
+      '  ImageTag:',
+      '    Type: String',
+      '  DbPassword:',
+      '    Type: String',
+      '    NoEcho: true',
+      "    AllowedPattern: '[a-zA-Z0-9]+'",
+      '  ApiKey:',
+      '    Type: String',
+      '    AllowedValues: [key-one, key-two]'
+    ].join('\n'));
+    await fs.writeFile(path.join(tempDir, 'app', 'params', 'prod.json'), JSON.stringify({
+      ImageTag: 'v1.2.3',
+      DbPassword: 'hunter2-SECRET!',
+      ApiKey: 'api-SECRET-key'
+    }));
+
+    await run();
+
+    expect(core.setSecret).toHaveBeenCalledWith('hunter2-SECRET!');
+    expect(core.setSecret).toHaveBeenCalledWith('api-SECRET-key');
+    expect(core.error).toHaveBeenCalledWith(
+      "Parameter 'DbPassword' value does not match the allowed pattern: [a-zA-Z0-9]+",
+      expect.objectContaining({ file: path.join(tempDir, 'app', 'params', 'prod.json') })
+    );
+    const messages = [...core.error.mock.calls, ...core.setFailed.mock.calls, ...core.info.mock.calls].map(([message]) => String(message));
+    expect(messages.filter((message) => message.includes('SECRET'))).toEqual([]);
+    expect(messages).toContain("Parameter 'ApiKey' value is not one of the allowed values: key-one, key-two");
+  });
+
+  it('should read the tag policy from the tags folder of each stack', async () => {
+    await fs.writeFile(path.join(tempDir, 'cloudformation.json'), JSON.stringify({
+      project: 'multi',
+      stacks: [
+        { template: 'network.yaml', 'stack-prefix': 'network', params: 'network/params', tags: 'network/tags' },
+        { template: 'app.yaml', 'stack-prefix': 'app', params: 'app/params', tags: 'app/tags' }
+      ]
+    }));
+    await fs.mkdir(path.join(tempDir, 'app', 'tags'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'app', 'tags', 'policy.json'), JSON.stringify({ tags: { Owner: { required: true } } }));
+
+    await run();
+
+    const policyFile = path.join(tempDir, 'app', 'tags', 'policy.json');
+    expect(core.info).toHaveBeenCalledWith(`Loaded tag policy from ${policyFile}`);
+    expect(core.error).toHaveBeenCalledTimes(1);
+    expect(core.error).toHaveBeenCalledWith(expect.stringContaining('(stack app)'), expect.objectContaining({ file: policyFile }));
+  });
+});
@@ -91,6 +91,39 @@ describe('CiBuildIdGenerator', () => {
     });
   });
 
+  describe('generateDeterministicId', () => {
+    const context = { repository: 'acme/app', branch: 'feature/login', pullRequest: '42' };
+
+    it('should return the same ID for the same context', () => {
+      const id = generator.generateDeterministicId(context);
+
+      expect(id).toHaveLength(8);
+      expect(generator.validateIdFormat(id)).toBe(true);
+      expect(generator.generateDeterministicId({ ...context })).toBe(id);
+    });
+
+    it('should change with the branch, pull request or salt', () => {
+      const id = generator.generateDeterministicId(context);
+
+      expect(generator.generateDeterministicId({ ...context, branch: 'feature/logout' })).not.toBe(id);
+      expect(generator.generateDeterministicId({ ...context, pullRequest: '43' })).not.toBe(id);
+      expect(generator.generateDeterministicId({ ...context, salt: 'v2' })).not.toBe(id);
+    });
+
+    it('should support lengths between 6 and 10', () => {
+      expect(generator.generateDeterministicId(context, 6)).toHaveLength(6);
+      expect(generator.generateDeterministicId(context, 10)).toHaveLength(10);
+      expect(() => generator.generateDeterministicId(context, 11))
+        .toThrow('Deterministic ID length must be between 6 and 10 characters, got 11');
+    });
+
+    it('should throw error without any run context', () => {
+      expect(() => generator.generateDeterministicId({ salt: 'x' }))
+        .toThrow('Deterministic ID requires at least one of repository, branch or pull request');
+      expect(() => generator.generateDeterministicId(null)).toThrow('Deterministic ID context must be an object');
+    });
+  });
+
   describe('validateIdFormat', () => {
     it('should return true for valid IDs', () => {
       expect(generator.validateIdFormat('abcdef')).toBe(true);
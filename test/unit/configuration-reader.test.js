@@ -3,6 +3,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import ConfigurationReader from '../../src/configuration-reader.js';
+import { ValidationError } from '../../src/validation-error.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -452,6 +453,543 @@ describe('ConfigurationReader', () => {
     });
   });
 
+  describe('YAML configuration files', () => {
+    beforeEach(async () => {
+      await fs.mkdir(path.join(testDir, 'tags'), { recursive: true });
+    });
+
+    it('should read cloudformation.yaml when no cloudformation.json exists', async () => {
+      await fs.writeFile(
+        path.join(testDir, 'cloudformation.yaml'),
+        '# Project configuration\nproject: test-project\ntemplate: template.yaml\nstack-prefix: test-stack\n'
+      );
+
+      const result = await configReader.readCloudFormationConfig(testDir);
+      expect(result).toEqual({
+        project: 'test-project',
+        template: 'template.yaml',
+        'stack-prefix': 'test-stack'
+      });
+    });
+
+    it('should read .yml parameter and tag files', async () => {
+      await fs.writeFile(
+        path.join(testDir, 'params', 'default.yml'),
+        'Description: |\n  line one\n  line two\nPort: 8080\n'
+      );
+      await fs.writeFile(path.join(testDir, 'params', 'prod.yml'), 'Port: 443\n');
+      await fs.writeFile(path.join(testDir, 'tags', 'default.yml'), 'Owner: platform\n');
+      await fs.writeFile(path.join(testDir, 'tags', 'prod.yaml'), 'Owner: sre\n');
+
+      expect(await configReader.readDefaultParameters(testDir))
+        .toEqual({ Description: 'line one\nline two\n', Port: 8080 });
+      expect(await configReader.readEnvironmentParameters(testDir, 'prod')).toEqual({ Port: 443 });
+      expect(await configReader.readDefaultTags(testDir)).toEqual({ Owner: 'platform' });
+      expect(await configReader.readEnvironmentTags(testDir, 'prod')).toEqual({ Owner: 'sre' });
+    });
+
+    it('should prefer .json over .yaml over .yml when several variants exist', async () => {
+      await fs.writeFile(path.join(testDir, 'params', 'prod.yml'), 'Source: yml\n');
+      await fs.writeFile(path.join(testDir, 'params', 'prod.yaml'), 'Source: yaml\n');
+      expect(await configReader.readEnvironmentParameters(testDir, 'prod')).toEqual({ Source: 'yaml' });
+
+      await fs.writeFile(path.join(testDir, 'params', 'prod.json'), '{"Source": "json"}');
+      expect(await configReader.readEnvironmentParameters(testDir, 'prod')).toEqual({ Source: 'json' });
+    });
+
+    it('should report file path, line and column for invalid YAML', async () => {
+      const filePath = path.join(testDir, 'params', 'default.yaml');
+      await fs.writeFile(filePath, 'Port: 8080\nName: [unclosed\n');
+
+      await expect(configReader.readDefaultParameters(testDir))
+        .rejects.toThrow(new RegExp(`Invalid YAML format in default\\.yaml at ${filePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')} \\(line \\d+, column \\d+\\)`));
+    });
+
+    it('should reject YAML files that are not mappings', async () => {
+      await fs.writeFile(path.join(testDir, 'params', 'default.yaml'), '- a\n- b\n');
+
+      await expect(configReader.readDefaultParameters(testDir))
+        .rejects.toThrow('Default parameters must be a JSON object, got object');
+    });
+
+    it('should report line and column for invalid JSON', async () => {
+      await fs.writeFile(path.join(testDir, 'params', 'default.json'), '{\n  "Port": 8080,\n  Name: "x"\n}');
+
+      await expect(configReader.readDefaultParameters(testDir))
+        .rejects.toThrow('(line 3, column 3)');
+    });
+  });
+
+  describe('readEnvironmentLayers', () => {
+    const writeParams = (name, values) => fs.writeFile(
+      path.join(testDir, 'params', `${name}.json`),
+      JSON.stringify(values)
+    );
+
+    it('should return an empty chain when no environment is given', async () => {
+      expect(await configReader.readEnvironmentLayers(testDir, 'params', '')).toEqual([]);
+    });
+
+    it('should resolve "$extends" chains from most generic to most specific', async () => {
+      await writeParams('nonprod', { $extends: 'default', InstanceType: 't3.small' });
+      await writeParams('us-east-1', { Region: 'us-east-1' });
+      await writeParams('qa', { $extends: ['nonprod', 'us-east-1'], Environment: 'qa' });
+
+      const layers = await configReader.readEnvironmentLayers(testDir, 'params', 'qa');
+
+      expect(layers).toEqual([
+        { name: 'nonprod', file: path.join(testDir, 'params', 'nonprod.json'), values: { InstanceType: 't3.small' } },
+        { name: 'us-east-1', file: path.join(testDir, 'params', 'us-east-1.json'), values: { Region: 'us-east-1' } },
+        { name: 'qa', file: path.join(testDir, 'params', 'qa.json'), values: { Environment: 'qa' } }
+      ]);
+    });
+
+    it('should resolve parents from the hierarchy block when "$extends" is absent', async () => {
+      await writeParams('nonprod', { InstanceType: 't3.small' });
+      await writeParams('qa', { Environment: 'qa' });
+
+      const layers = await configReader.readEnvironmentLayers(testDir, 'params', 'qa', { qa: 'nonprod' });
+
+      expect(layers.map((layer) => layer.name)).toEqual(['nonprod', 'qa']);
+    });
+
+    it('should include each shared ancestor only once', async () => {
+      await writeParams('base', { A: '1' });
+      await writeParams('left', { $extends: 'base' });
+      await writeParams('right', { $extends: 'base' });
+      await writeParams('qa', { $extends: ['left', 'right'] });
+
+      const layers = await configReader.readEnvironmentLayers(testDir, 'params', 'qa');
+
+      expect(layers.map((layer) => layer.name)).toEqual(['base', 'left', 'right', 'qa']);
+    });
+
+    it('should detect circular inheritance', async () => {
+      await writeParams('a', { $extends: 'b' });
+      await writeParams('b', { $extends: 'a' });
+
+      await expect(configReader.readEnvironmentLayers(testDir, 'params', 'a'))
+        .rejects.toThrow('Circular environment inheritance detected in params: a -> b -> a');
+    });
+
+    it('should throw error when a referenced layer is missing', async () => {
+      await writeParams('qa', { $extends: 'nonprod' });
+
+      await expect(configReader.readEnvironmentLayers(testDir, 'params', 'qa'))
+        .rejects.toThrow(`Environment layer 'nonprod' referenced by "$extends" in params/qa was not found`);
+
+      await expect(configReader.readEnvironmentLayers(testDir, 'params', 'staging', { staging: 'prod' }))
+        .rejects.toThrow("Environment layer 'prod' referenced by hierarchy.staging in cloudformation.json was not found");
+    });
+
+    it('should layer account, region and environment.region files around the environment chain', async () => {
+      await writeParams('123456789012', { Account: 'shared' });
+      await writeParams('eu-west-1', { Region: 'eu-west-1' });
+      await writeParams('nonprod', { InstanceType: 't3.small' });
+      await writeParams('qa', { $extends: 'nonprod' });
+      await writeParams('qa.eu-west-1', { InstanceType: 't3.medium' });
+
+      const layers = await configReader.readEnvironmentLayers(testDir, 'params', 'qa', {}, 'params', {
+        account: '123456789012',
+        region: 'eu-west-1'
+      });
+
+      expect(layers.map((layer) => layer.name)).toEqual(['123456789012', 'eu-west-1', 'nonprod', 'qa', 'qa.eu-west-1']);
+      expect(layers[4]).toEqual({ name: 'qa.eu-west-1', file: path.join(testDir, 'params', 'qa.eu-west-1.json'), values: { InstanceType: 't3.medium' } });
+    });
+
+    it('should skip missing account and region layers and apply them without an environment', async () => {
+      await writeParams('us-east-1', { Region: 'us-east-1' });
+
+      expect((await configReader.readEnvironmentLayers(testDir, 'params', '', {}, 'params', { account: 'missing', region: 'us-east-1' }))
+        .map((layer) => layer.name)).toEqual(['us-east-1']);
+    });
+
+    it('should reject "$extends" in region layers', async () => {
+      await writeParams('us-east-1', { $extends: 'nonprod' });
+
+      await expect(configReader.readEnvironmentLayers(testDir, 'params', 'qa', {}, 'params', { region: 'us-east-1' }))
+        .rejects.toThrow('"$extends" is not supported in params/us-east-1: account and region layers cannot inherit from other layers');
+    });
+
+    it('should tolerate missing tag layers referenced only by the hierarchy', async () => {
+      await fs.mkdir(path.join(testDir, 'tags'), { recursive: true });
+      await fs.writeFile(path.join(testDir, 'tags', 'qa.json'), JSON.stringify({ Stage: 'qa' }));
+
+      const layers = await configReader.readEnvironmentLayers(testDir, 'tags', 'qa', { qa: 'nonprod' });
+
+      expect(layers).toEqual([{ name: 'qa', file: path.join(testDir, 'tags', 'qa.json'), values: { Stage: 'qa' } }]);
+    });
+
+    it('should throw error for invalid layer references', async () => {
+      await writeParams('qa', { $extends: ['../secrets'] });
+
+      await expect(configReader.readEnvironmentLayers(testDir, 'params', 'qa'))
+        .rejects.toThrow(`Invalid layer name '../secrets' in "$extends" in params/qa`);
+
+      await expect(configReader.readEnvironmentLayers(testDir, 'params', 'qa', ['nonprod']))
+        .rejects.toThrow('hierarchy in cloudformation.json must be an object');
+    });
+  });
+
+  describe('multiple stacks', () => {
+    const writeConfig = (config) => fs.writeFile(
+      path.join(testDir, 'cloudformation.json'),
+      JSON.stringify(config)
+    );
+
+    it('should accept a stacks array without top-level template and stack-prefix', async () => {
+      const config = {
+        project: 'test-project',
+        stacks: [
+          { template: 'network.yaml', 'stack-prefix': 'network', params: 'network/params' },
+          { template: 'app.yaml', 'stack-prefix': 'app' }
+        ]
+      };
+      await writeConfig(config);
+
+      expect(await configReader.readCloudFormationConfig(testDir)).toEqual(config);
+    });
+
+    it('should throw error for an empty stacks array', async () => {
+      await writeConfig({ project: 'test-project', stacks: [] });
+
+      await expect(configReader.readCloudFormationConfig(testDir))
+        .rejects.toThrow('Invalid stack definition: stacks must be a non-empty array');
+    });
+
+    it('should report the index of a stack with missing fields', async () => {
+      await writeConfig({
+        project: 'test-project',
+        stacks: [{ template: 'a.yaml', 'stack-prefix': 'a' }, { template: 'b.yaml' }]
+      });
+
+      await expect(configReader.readCloudFormationConfig(testDir))
+        .rejects.toThrow('Missing required field: stacks[1].stack-prefix');
+    });
+
+    it('should throw error for duplicate stack prefixes', async () => {
+      await writeConfig({
+        project: 'test-project',
+        stacks: [{ template: 'a.yaml', 'stack-prefix': 'a' }, { template: 'b.yaml', 'stack-prefix': 'a' }]
+      });
+
+      await expect(configReader.readCloudFormationConfig(testDir))
+        .rejects.toThrow("Invalid stack definition: duplicate stack-prefix 'a' in stacks[1]");
+    });
+
+    it('should throw error for unsafe params and tags subfolders', async () => {
+      await writeConfig({
+        project: 'test-project',
+        stacks: [{ template: 'a.yaml', 'stack-prefix': 'a', tags: '../tags' }]
+      });
+
+      await expect(configReader.readCloudFormationConfig(testDir))
+        .rejects.toThrow('Invalid stack definition: stacks[0].tags must be a relative path inside the configuration folder');
+    });
+
+    it('should normalize single and multi-stack configurations into stack definitions', () => {
+      expect(configReader.getStackDefinitions({
+        project: 'p', template: 't.yaml', 'stack-prefix': 'api'
+      })).toEqual([
+        { project: 'p', template: 't.yaml', 'stack-prefix': 'api', params: 'params', tags: 'tags', hierarchy: {}, 'stack-name-pattern': null, 'merge-strategies': {}, sensitive: [] }
+      ]);
+
+      expect(configReader.getStackDefinitions({
+        project: 'p',
+        hierarchy: { qa: 'nonprod' },
+        'stack-name-pattern': '{project}-{environment}-{stack-prefix}',
+        'merge-strategies': { Tags: 'deep-merge', Subnets: 'append' },
+        sensitive: ['*Password*'],
+        stacks: [
+          { template: 'n.yaml', 'stack-prefix': 'net', params: 'network/params', tags: 'network/tags' },
+          {
+            project: 'other',
+            template: 'a.yaml',
+            'stack-prefix': 'app',
+            hierarchy: {},
+            'stack-name-pattern': '{stack-prefix}-{region}',
+            'merge-strategies': { Subnets: 'unique-union' },
+            sensitive: ['ApiKey']
+          }
+        ]
+      })).toEqual([
+        {
+          project: 'p',
+          template: 'n.yaml',
+          'stack-prefix': 'net',
+          params: 'network/params',
+          tags: 'network/tags',
+          hierarchy: { qa: 'nonprod' },
+          'stack-name-pattern': '{project}-{environment}-{stack-prefix}',
+          'merge-strategies': { Tags: 'deep-merge', Subnets: 'append' },
+          sensitive: ['*Password*']
+        },
+        {
+          project: 'other',
+          template: 'a.yaml',
+          'stack-prefix': 'app',
+          params: 'params',
+          tags: 'tags',
+          hierarchy: {},
+          'stack-name-pattern': '{stack-prefix}-{region}',
+          'merge-strategies': { Tags: 'deep-merge', Subnets: 'unique-union' },
+          sensitive: ['*Password*', 'ApiKey']
+        }
+      ]);
+    });
+
+    it('should record the configuration files it resolves', async () => {
+      await fs.writeFile(path.join(testDir, 'params', 'default.json'), '{}');
+      await fs.writeFile(path.join(testDir, 'params', 'prod.yaml'), 'Port: 443\n');
+
+      await configReader.readDefaultParameters(testDir);
+      await configReader.readEnvironmentParameters(testDir, 'prod');
+      await configReader.readEnvironmentParameters(testDir, 'missing');
+
+      expect(configReader.getSourceFiles()).toEqual([
+        path.join(testDir, 'params', 'default.json'),
+        path.join(testDir, 'params', 'prod.yaml')
+      ]);
+    });
+
+    it('should read parameters from a custom subfolder', async () => {
+      await fs.mkdir(path.join(testDir, 'network', 'params'), { recursive: true });
+      await fs.writeFile(path.join(testDir, 'network', 'params', 'default.json'), '{"VpcCidr": "10.0.0.0/16"}');
+
+      expect(await configReader.readDefaultParameters(testDir, 'network/params'))
+        .toEqual({ VpcCidr: '10.0.0.0/16' });
+    });
+  });
+
+  describe('aggregated validation issues', () => {
+    it('should report every missing field and stack problem in cloudformation.json at once', async () => {
+      const configPath = path.join(testDir, 'cloudformation.json');
+      await fs.writeFile(configPath, [
+        '{',
+        '  "stacks": [',
+        '    { "template": "a.yaml", "stack-prefix": "a" },',
+        '    { "stack-prefix": "a", "params": "../params" }',
+        '  ]',
+        '}'
+      ].join('\n'));
+
+      const error = await configReader.readCloudFormationConfig(testDir).catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.issues).toEqual([
+        { file: configPath, message: 'Missing required field: project' },
+        { file: configPath, message: 'Missing required field: stacks[1].template', line: 4, column: 5 },
+        { file: configPath, message: 'Invalid stack definition: stacks[1].params must be a relative path inside the configuration folder', line: 4, column: 5 },
+        { file: configPath, message: "Invalid stack definition: duplicate stack-prefix 'a' in stacks[1]", line: 4, column: 5 }
+      ]);
+      expect(error.message).toContain('Validation failed with 4 issues');
+    });
+
+    it('should attach the file, line and column to parse errors', async () => {
+      const paramsPath = path.join(testDir, 'params', 'default.json');
+      await fs.writeFile(paramsPath, '{\n  "VpcId": "vpc-123",\n  oops\n}');
+
+      const error = await configReader.readDefaultParameters(testDir).catch((caught) => caught);
+
+      expect(error.message).toContain('(line 3, column 3)');
+      expect(error).toMatchObject({ file: paramsPath, line: 3, column: 3 });
+    });
+
+    it('should locate JSON errors that JSON.parse reports without a position', async () => {
+      const paramsPath = path.join(testDir, 'params', 'default.json');
+      await fs.writeFile(paramsPath, '{\n  "Enabled": tru\n}');
+
+      const error = await configReader.readDefaultParameters(testDir).catch((caught) => caught);
+
+      expect(error.message).toContain('Unexpected token');
+      expect(error).toMatchObject({ file: paramsPath, line: 2, column: 17 });
+    });
+
+    it('should locate a stray closing brace and an unexpected end of input', async () => {
+      const paramsPath = path.join(testDir, 'params', 'default.json');
+      await fs.writeFile(paramsPath, '{\n  "VpcId": "vpc-123"\n}\n}');
+      let error = await configReader.readDefaultParameters(testDir).catch((caught) => caught);
+      expect(error).toMatchObject({ line: 4, column: 1 });
+
+      await fs.writeFile(paramsPath, '{\n  "VpcId": "vpc-123",');
+      error = await configReader.readDefaultParameters(testDir).catch((caught) => caught);
+      expect(error).toMatchObject({ line: 2, column: 22 });
+    });
+
+    it('should reject a stack-name-pattern that is not a non-empty string', async () => {
+      await fs.writeFile(path.join(testDir, 'cloudformation.json'), JSON.stringify({
+        project: 'p',
+        'stack-name-pattern': '',
+        stacks: [{ template: 'a.yaml', 'stack-prefix': 'a', 'stack-name-pattern': 42 }]
+      }));
+
+      const error = await configReader.readCloudFormationConfig(testDir).catch((caught) => caught);
+
+      expect(error.issues.map((issue) => issue.message)).toEqual([
+        'Invalid stack definition: stacks[0].stack-name-pattern must be a non-empty string',
+        'Invalid stack-name-pattern: must be a non-empty string'
+      ]);
+    });
+
+    it('should point github-tags issues at the offending key', async () => {
+      const configPath = path.join(testDir, 'cloudformation.json');
+      await fs.writeFile(configPath, [
+        '{',
+        '  "project": "p", "template": "t.yaml", "stack-prefix": "s",',
+        '  "github-tags": {',
+        '    "tags": { "branch": true }',
+        '  }',
+        '}'
+      ].join('\n'));
+
+      const error = await configReader.readCloudFormationConfig(testDir).catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.issues).toEqual([
+        expect.objectContaining({ file: configPath, line: 4, column: 15, message: expect.stringContaining("Unknown GitHub metadata tag 'branch'") })
+      ]);
+    });
+
+    it('should reject unknown merge strategies', async () => {
+      await fs.writeFile(path.join(testDir, 'cloudformation.json'), JSON.stringify({
+        project: 'p',
+        'merge-strategies': { Tags: 'merge' },
+        stacks: [{ template: 'a.yaml', 'stack-prefix': 'a', 'merge-strategies': ['append'] }]
+      }));
+
+      const error = await configReader.readCloudFormationConfig(testDir).catch((caught) => caught);
+
+      expect(error.issues.map((issue) => issue.message)).toEqual([
+        'Invalid stack definition: stacks[0].merge-strategies must be an object mapping parameter names to merge strategies',
+        "merge-strategies.Tags has unknown merge strategy 'merge'. Supported strategies: replace, deep-merge, append, unique-union"
+      ]);
+    });
+
+    it('should reject a malformed sensitive list', async () => {
+      await fs.writeFile(path.join(testDir, 'cloudformation.json'), JSON.stringify({
+        project: 'p',
+        sensitive: '*Password*',
+        stacks: [{ template: 'a.yaml', 'stack-prefix': 'a', sensitive: ['ApiKey', ''] }]
+      }));
+
+      const error = await configReader.readCloudFormationConfig(testDir).catch((caught) => caught);
+
+      expect(error.issues.map((issue) => issue.message)).toEqual([
+        'Invalid stack definition: stacks[0].sensitive must be an array of parameter names or patterns such as *Password*',
+        'sensitive must be an array of parameter names or patterns such as *Password*'
+      ]);
+    });
+
+    it('should list all missing fields', () => {
+      expect(configReader.findMissingFields({ field1: 'value1', field3: '' }, ['field1', 'field2', 'field3']))
+        .toEqual(['Missing required field: field2', 'Missing required field: field3']);
+    });
+  });
+
+  describe('readTagPolicy', () => {
+    const policy = { tags: { Owner: { required: true } } };
+
+    it('should return null when no policy is defined', async () => {
+      await expect(configReader.readTagPolicy(testDir, {})).resolves.toBeNull();
+    });
+
+    it('should read tags/policy.json', async () => {
+      await fs.mkdir(path.join(testDir, 'tags'), { recursive: true });
+      await fs.writeFile(path.join(testDir, 'tags', 'policy.json'), JSON.stringify(policy));
+
+      await expect(configReader.readTagPolicy(testDir, {})).resolves.toEqual({
+        policy,
+        file: path.join(testDir, 'tags', 'policy.json'),
+        keyPath: []
+      });
+    });
+
+    it('should read policy.json from the given tags subfolder', async () => {
+      await fs.mkdir(path.join(testDir, 'app', 'tags'), { recursive: true });
+      await fs.writeFile(path.join(testDir, 'app', 'tags', 'policy.yml'), 'tags:\n  Owner:\n    required: true\n');
+
+      await expect(configReader.readTagPolicy(testDir, {}, 'app/tags')).resolves.toEqual({
+        policy,
+        file: path.join(testDir, 'app', 'tags', 'policy.yml'),
+        keyPath: []
+      });
+      await expect(configReader.readTagPolicy(testDir, {})).resolves.toBeNull();
+    });
+
+    it('should read the tag-policy block of cloudformation.json', async () => {
+      await fs.writeFile(path.join(testDir, 'cloudformation.yaml'), 'project: test\n');
+
+      await expect(configReader.readTagPolicy(testDir, { 'tag-policy': policy })).resolves.toEqual({
+        policy,
+        file: path.join(testDir, 'cloudformation.yaml'),
+        keyPath: ['tag-policy']
+      });
+    });
+
+    it('should reject a policy defined in both places', async () => {
+      await fs.mkdir(path.join(testDir, 'tags'), { recursive: true });
+      await fs.writeFile(path.join(testDir, 'tags', 'policy.yaml'), 'tags: {}\n');
+
+      await expect(configReader.readTagPolicy(testDir, { 'tag-policy': policy }))
+        .rejects.toThrow('Tag policy is defined in both');
+    });
+
+    it('should reject empty and malformed policy files', async () => {
+      await fs.mkdir(path.join(testDir, 'tags'), { recursive: true });
+      await fs.writeFile(path.join(testDir, 'tags', 'policy.json'), '  ');
+      await expect(configReader.readTagPolicy(testDir, {})).rejects.toThrow('Tag policy file is empty');
+
+      await fs.writeFile(path.join(testDir, 'tags', 'policy.json'), '{ "tags": ');
+      await expect(configReader.readTagPolicy(testDir, {})).rejects.toThrow('Invalid JSON format in policy.json');
+    });
+  });
+
+  describe('listLayerNames', () => {
+    it('should list JSON and YAML layer names once, sorted, ignoring other files', async () => {
+      await fs.writeFile(path.join(testDir, 'params', 'prod.json'), '{}');
+      await fs.writeFile(path.join(testDir, 'params', 'prod.yaml'), '{}');
+      await fs.writeFile(path.join(testDir, 'params', 'default.yml'), '{}');
+      await fs.writeFile(path.join(testDir, 'params', 'dev.eu-west-1.json'), '{}');
+      await fs.writeFile(path.join(testDir, 'params', 'README.md'), '# notes');
+      await fs.mkdir(path.join(testDir, 'params', 'archive.json'));
+
+      expect(await configReader.listLayerNames(testDir, 'params')).toEqual(['default', 'dev.eu-west-1', 'prod']);
+    });
+
+    it('should return an empty list when the subfolder does not exist', async () => {
+      expect(await configReader.listLayerNames(testDir, 'tags')).toEqual([]);
+    });
+  });
+
+  describe('findKeyLocation', () => {
+    it('should locate top-level and nested keys in JSON files', () => {
+      configReader.parseConfigContent('{\n  "A": 1,\n  "B": {\n\t"C": [1, 2]\n  }\n}', 'params/prod.json');
+
+      expect(configReader.findKeyLocation('params/prod.json', ['A'])).toEqual({ line: 2, column: 3 });
+      expect(configReader.findKeyLocation('params/prod.json', ['B', 'C', 1])).toEqual({ line: 4, column: 11 });
+    });
+
+    it('should locate keys in YAML files', () => {
+      configReader.parseConfigContent('A: 1\nlist:\n  - x\n  - y\n', 'params/prod.yaml');
+
+      expect(configReader.findKeyLocation('params/prod.yaml', ['list', 1])).toEqual({ line: 4, column: 5 });
+    });
+
+    it('should fall back to the deepest existing key', () => {
+      configReader.parseConfigContent('{\n  "stacks": [\n    {}\n  ]\n}', 'cloudformation.json');
+
+      expect(configReader.findKeyLocation('cloudformation.json', ['stacks', 0, 'template'])).toEqual({ line: 3, column: 5 });
+    });
+
+    it('should return null for unknown files and keys', () => {
+      configReader.parseConfigContent('{"A": 1}', 'params/default.json');
+
+      expect(configReader.findKeyLocation('params/missing.json', ['A'])).toBeNull();
+      expect(configReader.findKeyLocation('params/default.json', ['B'])).toBeNull();
+    });
+  });
+
   describe('validateJsonStructure', () => {
     it('should pass validation when all required fields are present', () => {
       const data = {
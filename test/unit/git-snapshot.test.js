@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'child_process';
+import path from 'path';
+import fs from 'fs/promises';
+import { GitSnapshot } from '../../src/git-snapshot.js';
+
+describe('GitSnapshot', () => {
+  const repoDir = path.resolve('test', 'temp-git-snapshot');
+  const targetDir = path.resolve('test', 'temp-git-snapshot-target');
+  const git = (args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: repoDir,
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  let snapshot;
+
+  beforeEach(async () => {
+    await fs.mkdir(path.join(repoDir, 'cfn', 'params'), { recursive: true });
+    await fs.writeFile(path.join(repoDir, 'cfn', 'cloudformation.json'), '{"project":"snap"}');
+    await fs.writeFile(path.join(repoDir, 'cfn', 'params', 'default.json'), '{"Size":"small"}');
+    await fs.writeFile(path.join(repoDir, 'README.md'), '# repo');
+    git(['init', '-q']);
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', 'base']);
+    git(['tag', 'base']);
+    await fs.writeFile(path.join(repoDir, 'cfn', 'params', 'default.json'), '{"Size":"large"}');
+    git(['commit', '-q', '-am', 'change']);
+    snapshot = new GitSnapshot({ run: git });
+  });
+
+  afterEach(async () => {
+    await fs.rm(repoDir, { recursive: true, force: true });
+    await fs.rm(targetDir, { recursive: true, force: true });
+  });
+
+  it('should write the folder as it was at the ref', async () => {
+    expect(await snapshot.extract('base', 'cfn', targetDir)).toBe(2);
+
+    expect(await fs.readFile(path.join(targetDir, 'params', 'default.json'), 'utf8')).toBe('{"Size":"small"}');
+    expect(await fs.readFile(path.join(targetDir, 'cloudformation.json'), 'utf8')).toBe('{"project":"snap"}');
+    await expect(fs.access(path.join(targetDir, 'README.md'))).rejects.toThrow();
+  });
+
+  it('should accept relative refs and return 0 for a folder that did not exist', async () => {
+    expect(await snapshot.extract('HEAD~1', 'infra', targetDir)).toBe(0);
+  });
+
+  it('should reject malformed and unknown refs', async () => {
+    expect(() => snapshot.resolveCommit('--output=x')).toThrow('Invalid git ref: --output=x');
+    expect(() => snapshot.resolveCommit('main..feature')).toThrow('Invalid git ref: main..feature');
+    await expect(snapshot.extract('missing-branch', 'cfn', targetDir)).rejects.toThrow(
+      'Git ref missing-branch not found. Make sure it is fetched, e.g. with fetch-depth: 0 in actions/checkout.'
+    );
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { GitHubMetadataTags } from '../../src/github-metadata-tags.js';
+
+describe('GitHubMetadataTags', () => {
+  const env = {
+    GITHUB_SHA: '0123456789abcdef',
+    GITHUB_ACTOR: 'octocat',
+    GITHUB_WORKFLOW: 'Deploy',
+    GITHUB_REPOSITORY: 'acme/infra',
+    GITHUB_SERVER_URL: 'https://github.com',
+    GITHUB_RUN_ID: '1234',
+    GITHUB_REF: 'refs/pull/42/merge',
+    GITHUB_EVENT_NAME: 'pull_request'
+  };
+
+  describe('build', () => {
+    it('should add the default metadata tags without settings', () => {
+      const tags = new GitHubMetadataTags({ env, payload: {} }).build();
+
+      expect(Object.keys(tags)).toEqual(['GitCommit', 'GitLastModifiedBy', 'GitLastModifiedAt', 'GitFile', 'GitOrg', 'GitRepo']);
+      expect(tags).toMatchObject({ GitCommit: '01234567', GitLastModifiedBy: 'octocat', GitFile: 'Deploy', GitOrg: 'acme', GitRepo: 'infra' });
+    });
+
+    it('should fall back to unknown outside GitHub Actions', () => {
+      const tags = new GitHubMetadataTags({ env: {}, payload: {} }).build({ tags: { 'run-url': true, 'pr-number': true } });
+
+      expect(tags).toMatchObject({ GitCommit: 'unknown', GitOrg: 'unknown', GitRepo: 'unknown', GitRunUrl: 'unknown' });
+      expect(tags).not.toHaveProperty('GitPullRequest');
+    });
+
+    it('should disable, rename and add tags and apply the prefix', () => {
+      const tags = new GitHubMetadataTags({ env, payload: {} }).build({
+        prefix: 'github:',
+        tags: {
+          'last-modified-at': false,
+          'last-modified-by': false,
+          workflow: false,
+          org: false,
+          repo: 'SourceRepo',
+          'run-url': true,
+          'run-id': true,
+          ref: true,
+          'pr-number': 'PullRequest',
+          'event-name': true
+        }
+      });
+
+      expect(tags).toEqual({
+        'github:GitCommit': '01234567',
+        'github:SourceRepo': 'infra',
+        'github:GitRunUrl': 'https://github.com/acme/infra/actions/runs/1234',
+        'github:GitRunId': '1234',
+        'github:GitRef': 'refs/pull/42/merge',
+        'github:PullRequest': '42',
+        'github:GitEventName': 'pull_request'
+      });
+    });
+
+    it('should read the pull request number from the event payload', () => {
+      const tags = new GitHubMetadataTags({ env: {}, payload: { pull_request: { number: 7 } } }).build({ tags: { 'pr-number': true } });
+
+      expect(tags.GitPullRequest).toBe('7');
+    });
+
+    it('should replace characters AWS does not allow in tag values', () => {
+      const tags = new GitHubMetadataTags({ env: { ...env, GITHUB_WORKFLOW: 'CI (deploy), prod' }, payload: {} }).build();
+
+      expect(tags.GitFile).toBe('CI -deploy-- prod');
+    });
+
+    it('should add no tags when disabled', () => {
+      expect(new GitHubMetadataTags({ env, payload: {} }).build({ enabled: false, tags: { 'run-url': true } })).toEqual({});
+    });
+  });
+
+  describe('findSettingsIssues', () => {
+    const metadataTags = new GitHubMetadataTags({ env: {}, payload: {} });
+
+    it('should accept valid or missing settings', () => {
+      expect(metadataTags.findSettingsIssues(undefined)).toEqual([]);
+      expect(metadataTags.findSettingsIssues({ enabled: true, prefix: 'github:', tags: { repo: 'SourceRepo', ref: true } })).toEqual([]);
+    });
+
+    it('should report every invalid field with its key path', () => {
+      const issues = metadataTags.findSettingsIssues({
+        enabled: 'yes',
+        prefix: 1,
+        tags: { commit: '', branch: true },
+        include: []
+      });
+
+      expect(issues.map((issue) => issue.keyPath)).toEqual([
+        ['include'],
+        ['enabled'],
+        ['prefix'],
+        ['tags', 'commit'],
+        ['tags', 'branch']
+      ]);
+      expect(issues[4].message).toContain("Unknown GitHub metadata tag 'branch'");
+      expect(metadataTags.findSettingsIssues([])).toEqual([{ keyPath: [], message: 'Invalid github-tags: must be an object' }]);
+    });
+  });
+});
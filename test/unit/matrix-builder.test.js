@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import path from 'path';
+import fs from 'fs/promises';
+import ConfigurationReader from '../../src/configuration-reader.js';
+import { MatrixBuilder, REGION_PATTERN, ACCOUNT_ID_PATTERN } from '../../src/matrix-builder.js';
+import { SecretMasker } from '../../src/secret-masker.js';
+
+describe('MatrixBuilder', () => {
+  const tempDir = path.join('test', 'temp-matrix-builder');
+  const stacks = [{ params: 'params', tags: 'tags', hierarchy: {} }];
+  let builder;
+
+  const writeLayer = (subfolder, name, values) =>
+    fs.writeFile(path.join(tempDir, subfolder, name), JSON.stringify(values));
+
+  beforeEach(async () => {
+    await fs.mkdir(path.join(tempDir, 'params'), { recursive: true });
+    await fs.mkdir(path.join(tempDir, 'tags'), { recursive: true });
+    await writeLayer('params', 'default.json', {});
+    builder = new MatrixBuilder(new ConfigurationReader());
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should match AWS region names only', () => {
+    expect(REGION_PATTERN.test('us-east-1')).toBe(true);
+    expect(REGION_PATTERN.test('us-gov-west-1')).toBe(true);
+    expect(REGION_PATTERN.test('production')).toBe(false);
+    expect(REGION_PATTERN.test('sb-prod-us-east-1')).toBe(false);
+  });
+
+  it('should match 12 digit account IDs only', () => {
+    expect(ACCOUNT_ID_PATTERN.test('123456789012')).toBe(true);
+    expect(ACCOUNT_ID_PATTERN.test('12345')).toBe(false);
+    expect(ACCOUNT_ID_PATTERN.test('acme-prod')).toBe(false);
+  });
+
+  describe('findTargets', () => {
+    it('should find environments and regions in the params and tags layers', async () => {
+      await writeLayer('params', 'staging.json', {});
+      await writeLayer('params', 'us-east-1.json', {});
+      await writeLayer('params', 'production.eu-west-1.json', {});
+      await writeLayer('tags', 'default.json', {});
+      await writeLayer('tags', 'policy.json', {});
+      await writeLayer('tags', 'qa.json', {});
+
+      expect(await builder.findTargets(tempDir, stacks)).toEqual({
+        environments: ['production', 'qa', 'staging'],
+        regions: ['eu-west-1', 'us-east-1']
+      });
+    });
+
+    it('should leave out the account layer and layers other environments inherit from', async () => {
+      await writeLayer('params', 'shared.json', {});
+      await writeLayer('params', 'base.json', {});
+      await writeLayer('params', 'nonprod.json', {});
+      await writeLayer('params', 'dev.json', { $extends: 'nonprod' });
+      await writeLayer('params', 'prod.json', {});
+
+      const targets = await builder.findTargets(tempDir, [{ ...stacks[0], hierarchy: { prod: 'base' } }], { account: 'shared' });
+
+      expect(targets).toEqual({ environments: ['dev', 'prod'], regions: [''] });
+    });
+
+    it('should leave out account ID layers when no account is given', async () => {
+      await writeLayer('params', 'prod.json', {});
+      await writeLayer('params', '123456789012.json', {});
+      await writeLayer('tags', '210987654321.json', {});
+
+      expect(await builder.findTargets(tempDir, stacks)).toEqual({ environments: ['prod'], regions: [''] });
+    });
+
+    it('should use the region input instead of the regions found', async () => {
+      await writeLayer('params', 'prod.json', {});
+      await writeLayer('params', 'us-east-1.json', {});
+      await writeLayer('params', 'eu-west-1.json', {});
+
+      expect(await builder.findTargets(tempDir, stacks, { region: 'ap-south-1' })).toEqual({
+        environments: ['prod'],
+        regions: ['ap-south-1']
+      });
+    });
+
+    it('should return no environments when only the default layer exists', async () => {
+      await fs.rm(path.join(tempDir, 'tags'), { recursive: true });
+
+      expect(await builder.findTargets(tempDir, stacks)).toEqual({ environments: [], regions: [''] });
+    });
+  });
+
+  describe('buildEntry', () => {
+    const results = [
+      {
+        stackName: 'proj-network-prod',
+        template: 'network.yaml',
+        parameters: [{ ParameterName: 'DbPassword', ParameterValue: 'secret' }, { ParameterName: 'Size', ParameterValue: 'large' }],
+        sensitiveParameters: ['DbPassword'],
+        tags: [{ Key: 'Owner', Value: 'platform' }]
+      },
+      {
+        stackName: 'proj-app-prod',
+        template: 'app.yaml',
+        parameters: [],
+        sensitiveParameters: [],
+        tags: []
+      }
+    ];
+
+    it('should describe the first stack and list every stack with sensitive values redacted', () => {
+      const entry = builder.buildEntry('prod', 'us-east-1', results, new SecretMasker());
+
+      expect(entry).toMatchObject({
+        environment: 'prod',
+        region: 'us-east-1',
+        'stack-name': 'proj-network-prod',
+        template: 'network.yaml',
+        parameters: [{ ParameterName: 'DbPassword', ParameterValue: '****' }, { ParameterName: 'Size', ParameterValue: 'large' }],
+        'sensitive-parameters': ['DbPassword'],
+        tags: [{ Key: 'Owner', Value: 'platform' }]
+      });
+      expect(entry.stacks.map((stack) => stack['stack-name'])).toEqual(['proj-network-prod', 'proj-app-prod']);
+    });
+
+    it('should leave out the region when deploying without one', () => {
+      expect(builder.buildEntry('prod', '', results, new SecretMasker())).not.toHaveProperty('region');
+    });
+  });
+});
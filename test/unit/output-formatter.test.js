@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { OutputFormatter, OUTPUT_FORMATS } from '../../src/output-formatter.js';
+
+describe('OutputFormatter', () => {
+  let formatter;
+
+  const parameters = [
+    { ParameterName: 'InstanceType', ParameterValue: 't3.micro' },
+    { ParameterName: 'Description', ParameterValue: 'My "web" app, v1' },
+    { ParameterName: 'Query', ParameterValue: 'a=b' },
+    { ParameterName: 'Empty', ParameterValue: '' }
+  ];
+
+  const tags = [
+    { Key: 'Owner', Value: 'platform' },
+    { Key: 'Cost Center', Value: 'R&D team' }
+  ];
+
+  beforeEach(() => {
+    formatter = new OutputFormatter();
+  });
+
+  describe('toAwsCliParameters', () => {
+    it('should use ParameterKey instead of ParameterName', () => {
+      expect(formatter.toAwsCliParameters(parameters.slice(0, 1))).toEqual([
+        { ParameterKey: 'InstanceType', ParameterValue: 't3.micro' }
+      ]);
+    });
+  });
+
+  describe('toSamParameterOverrides', () => {
+    it('should render Key=Value pairs and quote values that need it', () => {
+      expect(formatter.toSamParameterOverrides(parameters)).toBe(
+        'InstanceType=t3.micro Description="My \\"web\\" app, v1" Query="a=b" Empty=""'
+      );
+    });
+
+    it('should return an empty string when there are no parameters', () => {
+      expect(formatter.toSamParameterOverrides([])).toBe('');
+    });
+  });
+
+  describe('toSamTags', () => {
+    it('should quote keys and values containing spaces', () => {
+      expect(formatter.toSamTags(tags)).toBe('Owner=platform "Cost Center"="R&D team"');
+    });
+  });
+
+  describe('quoteSamValue', () => {
+    it('should leave simple values unquoted', () => {
+      expect(formatter.quoteSamValue('vpc-123')).toBe('vpc-123');
+      expect(formatter.quoteSamValue('arn:aws:s3:::bucket/key')).toBe('arn:aws:s3:::bucket/key');
+    });
+
+    it('should escape backslashes and double quotes', () => {
+      expect(formatter.quoteSamValue('C:\\path "x"')).toBe('"C:\\\\path \\"x\\""');
+    });
+
+    it('should quote values containing newlines and commas', () => {
+      expect(formatter.quoteSamValue('a,b')).toBe('"a,b"');
+      expect(formatter.quoteSamValue('line1\nline2')).toBe('"line1\nline2"');
+    });
+  });
+
+  describe('toCodePipelineConfiguration', () => {
+    it('should build a template configuration object', () => {
+      expect(formatter.toCodePipelineConfiguration(parameters.slice(0, 1), tags)).toEqual({
+        Parameters: { InstanceType: 't3.micro' },
+        Tags: { Owner: 'platform', 'Cost Center': 'R&D team' }
+      });
+    });
+  });
+
+  describe('render', () => {
+    it('should render the CloudFormation format unchanged', () => {
+      expect(formatter.render('cloudformation', parameters, tags)).toEqual({
+        parameters: JSON.stringify(parameters),
+        tags: JSON.stringify(tags)
+      });
+    });
+
+    it('should render every supported format', () => {
+      for (const format of OUTPUT_FORMATS) {
+        const result = formatter.render(format, parameters, tags);
+        expect(typeof result.parameters).toBe('string');
+        expect(typeof result.tags).toBe('string');
+      }
+
+      expect(JSON.parse(formatter.render('aws-cli', parameters, tags).parameters)[0])
+        .toEqual({ ParameterKey: 'InstanceType', ParameterValue: 't3.micro' });
+      expect(formatter.render('sam', parameters, tags).tags).toBe('Owner=platform "Cost Center"="R&D team"');
+      expect(JSON.parse(formatter.render('codepipeline', parameters, tags).tags))
+        .toEqual({ Owner: 'platform', 'Cost Center': 'R&D team' });
+    });
+
+    it('should throw error for unsupported formats', () => {
+      expect(() => formatter.render('terraform', parameters, tags))
+        .toThrow('Invalid output format: terraform. Must be one of: cloudformation, aws-cli, sam, codepipeline');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { ParameterDiffer } from '../../src/parameter-differ.js';
+
+describe('ParameterDiffer', () => {
+  const differ = new ParameterDiffer();
+  const parameters = (values) => Object.entries(values).map(([name, value]) => ({ ParameterName: name, ParameterValue: value }));
+  const tags = (values) => Object.entries(values).map(([key, value]) => ({ Key: key, Value: value }));
+
+  describe('diffEntries', () => {
+    it('should list added, removed and changed keys sorted by key', () => {
+      const changes = differ.diffEntries(
+        parameters({ Size: 'small', Legacy: 'yes', Same: 'x' }),
+        parameters({ Size: 'large', Same: 'x', Added: 'new' }),
+        'ParameterName',
+        'ParameterValue'
+      );
+
+      expect(changes).toEqual([
+        { key: 'Added', change: 'added', after: 'new' },
+        { key: 'Legacy', change: 'removed', before: 'yes' },
+        { key: 'Size', change: 'changed', before: 'small', after: 'large' }
+      ]);
+    });
+
+    it('should redact the values of sensitive keys', () => {
+      const changes = differ.diffEntries(
+        parameters({ DbPassword: 'old' }),
+        parameters({ DbPassword: 'new' }),
+        'ParameterName',
+        'ParameterValue',
+        ['DbPassword']
+      );
+
+      expect(changes).toEqual([{ key: 'DbPassword', change: 'changed', before: '****', after: '****' }]);
+    });
+  });
+
+  describe('diffStacks', () => {
+    const stack = (stackPrefix, stackName, params, stackTags = {}, sensitiveParameters = []) => ({
+      stackPrefix,
+      stackName,
+      parameters: parameters(params),
+      tags: tags(stackTags),
+      sensitiveParameters
+    });
+
+    it('should match stacks by prefix and report their status', () => {
+      const diff = differ.diffStacks(
+        [
+          stack('network', 'app-network-staging', { Cidr: '10.0.0.0/16' }),
+          stack('api', 'app-api-staging', { Size: 'small' }, { Tier: 'test' }, ['Token']),
+          stack('legacy', 'app-legacy-staging', {})
+        ],
+        [
+          stack('network', 'app-network-prod', { Cidr: '10.0.0.0/16' }),
+          stack('api', 'app-api-prod', { Size: 'large', Token: 'secret' }, { Tier: 'prod' }),
+          stack('cdn', 'app-cdn-prod', { Domain: 'example.com' })
+        ]
+      );
+
+      expect(diff['has-changes']).toBe(true);
+      expect(diff.stacks.map((entry) => [entry['stack-prefix'], entry.status])).toEqual([
+        ['network', 'unchanged'],
+        ['api', 'changed'],
+        ['cdn', 'added'],
+        ['legacy', 'removed']
+      ]);
+      expect(diff.stacks[1]).toEqual({
+        'stack-prefix': 'api',
+        status: 'changed',
+        'before-stack-name': 'app-api-staging',
+        'after-stack-name': 'app-api-prod',
+        parameters: [
+          { key: 'Size', change: 'changed', before: 'small', after: 'large' },
+          { key: 'Token', change: 'added', after: '****' }
+        ],
+        tags: [{ key: 'Tier', change: 'changed', before: 'test', after: 'prod' }]
+      });
+      expect(diff.stacks[2]).toMatchObject({ 'before-stack-name': null, parameters: [{ key: 'Domain', change: 'added' }] });
+    });
+
+    it('should report no changes for identical deployments', () => {
+      const stacks = [stack('api', 'app-api-prod', { Size: 'large' })];
+
+      expect(differ.diffStacks(stacks, stacks)).toEqual({
+        'has-changes': false,
+        stacks: [{
+          'stack-prefix': 'api',
+          status: 'unchanged',
+          'before-stack-name': 'app-api-prod',
+          'after-stack-name': 'app-api-prod',
+          parameters: [],
+          tags: []
+        }]
+      });
+    });
+  });
+
+  describe('toMarkdown', () => {
+    it('should render one table per changed stack with escaped values', () => {
+      const markdown = differ.toMarkdown({
+        stacks: [
+          { 'stack-prefix': 'network', status: 'unchanged', 'before-stack-name': 'a', 'after-stack-name': 'a', parameters: [], tags: [] },
+          {
+            'stack-prefix': 'api',
+            status: 'changed',
+            'before-stack-name': 'app-api-staging',
+            'after-stack-name': 'app-api-prod',
+            parameters: [
+              { key: 'Size', change: 'changed', before: 'small', after: 'a|b\nc' },
+              { key: 'Old', change: 'removed', before: '<x>' }
+            ],
+            tags: [{ key: 'Tier', change: 'added', after: 'prod' }]
+          }
+        ]
+      }, 'staging', 'prod');
+
+      expect(markdown).toBe([
+        '### 🔀 Parameter Diff: staging → prod',
+        '',
+        '**api** (changed: `app-api-staging` → `app-api-prod`)',
+        '',
+        '| Change | Type | Key | staging | prod |',
+        '| --- | --- | --- | --- | --- |',
+        '| ✏️ changed | Parameter | Size | small | a\\|b<br>c |',
+        '| ➖ removed | Parameter | Old | &lt;x&gt; | — |',
+        '| ➕ added | Tag | Tier | — | prod |'
+      ].join('\n'));
+    });
+
+    it('should say so when nothing changed', () => {
+      expect(differ.toMarkdown({ stacks: [] }, 'origin/main', 'HEAD')).toBe('### 🔀 Parameter Diff: origin/main → HEAD\n\nNo parameter or tag changes.');
+    });
+  });
+});
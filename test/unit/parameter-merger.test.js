@@ -118,6 +118,200 @@ describe('ParameterMerger', () => {
         });
     });
 
+    describe('mergeLayers', () => {
+        it('should apply layers in order on top of the default parameters', () => {
+            const result = parameterMerger.mergeLayers(
+                { InstanceType: 't3.micro', Environment: 'default', Region: 'us-east-1' },
+                [
+                    { name: 'nonprod', values: { InstanceType: 't3.small', Environment: 'nonprod' } },
+                    { name: 'qa', values: { Environment: 'qa' } }
+                ]
+            );
+
+            expect(result).toEqual({ InstanceType: 't3.small', Environment: 'qa', Region: 'us-east-1' });
+        });
+
+        it('should return a copy of the default parameters when there are no layers', () => {
+            const defaultParams = { param1: 'default1' };
+            const result = parameterMerger.mergeLayers(defaultParams, []);
+
+            expect(result).toEqual(defaultParams);
+            expect(result).not.toBe(defaultParams);
+        });
+
+        it('should throw error when layers is not an array', () => {
+            expect(() => parameterMerger.mergeLayers({}, null))
+                .toThrow('Environment layers must be an array');
+        });
+    });
+
+    describe('findParameterIssues', () => {
+        it('should return every problem instead of stopping at the first', () => {
+            const issues = parameterMerger.findParameterIssues({
+                'bad-name': 'x',
+                Empty: null,
+                Long: 'a'.repeat(4097),
+                Valid: 'ok'
+            }, 'environment');
+
+            expect(issues).toEqual([
+                { key: 'bad-name', message: "environment parameter name 'bad-name' contains invalid characters. Parameter names must start with a letter and contain only alphanumeric characters." },
+                { key: 'Empty', message: "environment parameter 'Empty' has null or undefined value" },
+                { key: 'Long', message: "environment parameter 'Long' value is too long (4097 characters). Maximum length is 4096 characters." }
+            ]);
+        });
+
+        it('should return no issues for valid parameters', () => {
+            expect(parameterMerger.findParameterIssues({ VpcId: 'vpc-123' }, 'default')).toEqual([]);
+        });
+    });
+
+    describe('findTagIssues', () => {
+        it('should return every problem instead of stopping at the first', () => {
+            const issues = parameterMerger.findTagIssues({
+                ['k'.repeat(129)]: 'x',
+                Owner: null,
+                Notes: 'n'.repeat(257)
+            }, 'default');
+
+            expect(issues).toHaveLength(3);
+            expect(issues[0].message).toContain('is too long (129 characters)');
+            expect(issues[1]).toEqual({ key: 'Owner', message: "default tag 'Owner' has null or undefined value" });
+            expect(issues[2]).toEqual({ key: 'Notes', message: "default tag 'Notes' value is too long (257 characters). Maximum length is 256 characters." });
+        });
+
+        it('should accept the AWS tag character set', () => {
+            expect(parameterMerger.findTagIssues({
+                'cost-center': 'CC 1234',
+                'app:team/owner_id': 'user+ops@example.com',
+                'Schlüssel.Name': 'a=b'
+            }, 'default')).toEqual([]);
+        });
+
+        it('should reject reserved prefixes, invalid characters and case duplicates', () => {
+            const issues = parameterMerger.findTagIssues({
+                'AWS:CloudFormation': 'x',
+                'Owner!': 'team',
+                Project: 'billing, payments',
+                Owner: 'a',
+                ' owner ': 'b'
+            }, 'environment');
+
+            expect(issues).toEqual([
+                { key: 'AWS:CloudFormation', message: "environment tag name 'AWS:CloudFormation' uses the reserved 'aws:' prefix" },
+                { key: 'Owner!', message: "environment tag name 'Owner!' contains invalid characters. Only letters, digits, spaces and _ . : / = + - @ are allowed." },
+                { key: 'Project', message: "environment tag 'Project' value contains invalid characters. Only letters, digits, spaces and _ . : / = + - @ are allowed." },
+                { key: ' owner ', message: "environment tag name ' owner ' duplicates 'Owner' (tag names differing only by case or surrounding whitespace are not allowed)" }
+            ]);
+        });
+    });
+
+    describe('merge strategies', () => {
+        const defaults = {
+            Tags: { Owner: 'DevOps', Cost: { Center: 'Eng', Code: 1 } },
+            Subnets: ['a', 'b'],
+            Ports: [80],
+            InstanceType: 't3.micro'
+        };
+        const layers = [{ name: 'prod', values: { Tags: { Cost: { Code: 2 } }, Subnets: ['b', 'c'], Ports: [443] } }];
+
+        it('should replace values by default', () => {
+            expect(parameterMerger.mergeLayers(defaults, layers)).toEqual({
+                Tags: { Cost: { Code: 2 } },
+                Subnets: ['b', 'c'],
+                Ports: [443],
+                InstanceType: 't3.micro'
+            });
+        });
+
+        it('should apply the strategy configured for each parameter', () => {
+            expect(parameterMerger.mergeLayers(defaults, layers, { Tags: 'deep-merge', Subnets: 'unique-union', Ports: 'append' })).toEqual({
+                Tags: { Owner: 'DevOps', Cost: { Center: 'Eng', Code: 2 } },
+                Subnets: ['a', 'b', 'c'],
+                Ports: [80, 443],
+                InstanceType: 't3.micro'
+            });
+        });
+
+        it('should replace values whose types do not suit the strategy', () => {
+            expect(parameterMerger.mergeValues(['a'], 'b', 'append')).toBe('b');
+            expect(parameterMerger.mergeValues({ A: 1 }, ['x'], 'deep-merge')).toEqual(['x']);
+            expect(parameterMerger.mergeValues({ A: [1] }, { A: [2] }, 'deep-merge')).toEqual({ A: [2] });
+        });
+
+        it('should compare array items by value for unique-union', () => {
+            expect(parameterMerger.mergeValues([{ Port: 80 }], [{ Port: 80 }, { Port: 443 }], 'unique-union'))
+                .toEqual([{ Port: 80 }, { Port: 443 }]);
+        });
+    });
+
+    describe('trimTags', () => {
+        it('should trim tag names and string values', () => {
+            expect(parameterMerger.trimTags({ ' Owner ': ' platform ', Count: 3 })).toEqual({ Owner: 'platform', Count: 3 });
+        });
+    });
+
+    describe('mergeTagLayers', () => {
+        it('should merge layers without applying parameter naming rules', () => {
+            expect(parameterMerger.mergeTagLayers({ 'cost-center': 'a', Owner: 'x' }, [
+                { name: 'prod', values: { 'cost-center': 'b', 'app:tier': 'web' } }
+            ])).toEqual({ 'cost-center': 'b', Owner: 'x', 'app:tier': 'web' });
+        });
+    });
+
+    describe('buildProvenance', () => {
+        it('should record the layer and file that supplied each value', () => {
+            const provenance = parameterMerger.buildProvenance([
+                { name: 'default', file: 'params/default.json', values: { InstanceType: 't3.micro', Region: 'us-east-1' } },
+                { name: 'production', file: 'params/production.json', values: { InstanceType: 't3.large' } }
+            ]);
+
+            expect(provenance).toEqual({
+                InstanceType: {
+                    value: 't3.large',
+                    layer: 'production',
+                    file: 'params/production.json',
+                    overriddenFrom: { value: 't3.micro', layer: 'default', file: 'params/default.json' }
+                },
+                Region: {
+                    value: 'us-east-1',
+                    layer: 'default',
+                    file: 'params/default.json',
+                    overriddenFrom: null
+                }
+            });
+        });
+
+        it('should keep only the immediately overridden value', () => {
+            const provenance = parameterMerger.buildProvenance([
+                { name: 'default', file: 'd.json', values: { Size: 'small' } },
+                { name: 'nonprod', file: 'n.json', values: { Size: 'medium' } },
+                { name: 'qa', file: 'q.json', values: { Size: 'large' } }
+            ]);
+
+            expect(provenance.Size.overriddenFrom).toEqual({ value: 'medium', layer: 'nonprod', file: 'n.json' });
+        });
+
+        it('should throw error when layers is not an array', () => {
+            expect(() => parameterMerger.buildProvenance({}))
+                .toThrow('Provenance layers must be an array');
+        });
+    });
+
+    describe('recordProvenance', () => {
+        it('should record values added by the action without a file', () => {
+            const provenance = {};
+            parameterMerger.recordProvenance(provenance, 'CiBuildId', '-abcdefgh', 'ci-build', null);
+
+            expect(provenance.CiBuildId).toEqual({
+                value: '-abcdefgh',
+                layer: 'ci-build',
+                file: null,
+                overriddenFrom: null
+            });
+        });
+    });
+
     describe('formatForCloudFormation', () => {
         it('should format parameters for CloudFormation deployment', () => {
             const mergedParams = {
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { PlaceholderResolver } from '../../src/placeholder-resolver.js';
+
+describe('PlaceholderResolver', () => {
+  let resolver;
+
+  const context = {
+    env: {
+      IMAGE_TAG: '1.2.3',
+      EMPTY: '',
+      GITHUB_SHA: 'abc123',
+      GITHUB_REF_NAME: 'feature/login'
+    },
+    inputs: {
+      environment: 'prod',
+      'cfn-directory': 'cfn'
+    },
+    ciBuildId: 'a1b2c3'
+  };
+
+  beforeEach(() => {
+    resolver = new PlaceholderResolver();
+  });
+
+  describe('resolveValues', () => {
+    it('should expand env, github, inputs and ciBuildId placeholders', () => {
+      const result = resolver.resolveValues({
+        ImageTag: '${env:IMAGE_TAG}',
+        Release: '${github.ref_name}@${github.sha}',
+        Environment: '${inputs.environment}',
+        Folder: '${inputs.cfn-directory}',
+        BuildId: 'build-${ciBuildId}'
+      }, context);
+
+      expect(result.values).toEqual({
+        ImageTag: '1.2.3',
+        Release: 'feature/login@abc123',
+        Environment: 'prod',
+        Folder: 'cfn',
+        BuildId: 'build-a1b2c3'
+      });
+      expect(result.undefinedVariables).toEqual([]);
+    });
+
+    it('should treat defined but empty environment variables as defined', () => {
+      const result = resolver.resolveValues({ Value: 'x${env:EMPTY}y' }, context);
+
+      expect(result.values.Value).toBe('xy');
+      expect(result.undefinedVariables).toEqual([]);
+    });
+
+    it('should unescape $${ to a literal ${', () => {
+      const result = resolver.resolveValues({ Value: 'cost $${env:IMAGE_TAG} and $${' }, context);
+
+      expect(result.values.Value).toBe('cost ${env:IMAGE_TAG} and ${');
+      expect(result.undefinedVariables).toEqual([]);
+    });
+
+    it('should leave unrecognized expressions untouched', () => {
+      const result = resolver.resolveValues({ Value: 'arn:aws:s3:::${AWS::Region}-${Unknown}' }, context);
+
+      expect(result.values.Value).toBe('arn:aws:s3:::${AWS::Region}-${Unknown}');
+      expect(result.undefinedVariables).toEqual([]);
+    });
+
+    it('should resolve placeholders in nested objects and arrays and keep other types', () => {
+      const result = resolver.resolveValues({
+        Config: { tag: '${env:IMAGE_TAG}', list: ['${inputs.environment}', 5] },
+        Count: 3,
+        Enabled: true
+      }, context);
+
+      expect(result.values).toEqual({
+        Config: { tag: '1.2.3', list: ['prod', 5] },
+        Count: 3,
+        Enabled: true
+      });
+    });
+
+    it('should replace undefined variables with an empty string and report them', () => {
+      const result = resolver.resolveValues({
+        Missing: 'v${env:MISSING}',
+        Branch: '${github.head_ref}',
+        Nested: { list: ['${inputs.region}'] }
+      }, context);
+
+      expect(result.values).toEqual({ Missing: 'v', Branch: '', Nested: { list: [''] } });
+      expect(result.undefinedVariables).toEqual([
+        { key: 'Missing', placeholder: '${env:MISSING}' },
+        { key: 'Branch', placeholder: '${github.head_ref}' },
+        { key: 'Nested.list[0]', placeholder: '${inputs.region}' }
+      ]);
+    });
+
+    it('should treat ciBuildId as undefined outside CI builds', () => {
+      const result = resolver.resolveValues({ BuildId: '${ciBuildId}' }, { ...context, ciBuildId: '' });
+
+      expect(result.undefinedVariables).toEqual([{ key: 'BuildId', placeholder: '${ciBuildId}' }]);
+    });
+
+    it('should throw error for invalid values', () => {
+      expect(() => resolver.resolveValues(null, context)).toThrow('Values to resolve must be a valid object (not an array)');
+      expect(() => resolver.resolveValues([], context)).toThrow('Values to resolve must be a valid object (not an array)');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SecretMasker, REDACTED_VALUE } from '../../src/secret-masker.js';
+
+describe('SecretMasker', () => {
+  let masker;
+
+  const parameters = [
+    { ParameterName: 'DbPassword', ParameterValue: 's3cret' },
+    { ParameterName: 'ApiKey', ParameterValue: 'key-123' },
+    { ParameterName: 'InstanceType', ParameterValue: 't3.micro' }
+  ];
+
+  beforeEach(() => {
+    masker = new SecretMasker();
+  });
+
+  describe('findSensitiveParameters', () => {
+    it('should mark NoEcho, listed and Secrets Manager parameters as sensitive', () => {
+      const template = {
+        Parameters: {
+          AdminToken: { Type: 'String', NoEcho: true },
+          LicenseKey: { Type: 'String', NoEcho: 'true' },
+          InstanceType: { Type: 'String', NoEcho: false }
+        }
+      };
+      const names = ['AdminToken', 'LicenseKey', 'InstanceType', 'DbPassword', 'ApiKey', 'Certificate', 'Other'];
+
+      expect(masker.findSensitiveParameters(names, {
+        template,
+        sensitive: ['*password*', 'ApiKey'],
+        secretParameters: ['Certificate']
+      })).toEqual(['AdminToken', 'LicenseKey', 'DbPassword', 'ApiKey', 'Certificate']);
+    });
+
+    it('should mark nothing without a template or sensitive list', () => {
+      expect(masker.findSensitiveParameters(['DbPassword'])).toEqual([]);
+    });
+  });
+
+  describe('matchesPattern', () => {
+    it('should match exact names and wildcards, ignoring case', () => {
+      expect(masker.matchesPattern('DbPassword', '*Password*')).toBe(true);
+      expect(masker.matchesPattern('dbpassword', 'DBPASSWORD')).toBe(true);
+      expect(masker.matchesPattern('Token1', 'Token?')).toBe(true);
+      expect(masker.matchesPattern('Token12', 'Token?')).toBe(false);
+      expect(masker.matchesPattern('ApiKeyId', 'ApiKey')).toBe(false);
+      expect(masker.matchesPattern('A.B', 'A.B')).toBe(true);
+      expect(masker.matchesPattern('AxB', 'A.B')).toBe(false);
+    });
+  });
+
+  describe('redaction', () => {
+    it('should redact sensitive parameter values', () => {
+      expect(masker.redactParameters(parameters, ['DbPassword'])).toEqual([
+        { ParameterName: 'DbPassword', ParameterValue: REDACTED_VALUE },
+        parameters[1],
+        parameters[2]
+      ]);
+      expect(parameters[0].ParameterValue).toBe('s3cret');
+    });
+
+    it('should redact provenance values and overridden values', () => {
+      const provenance = {
+        DbPassword: { value: 'prod', layer: 'prod', file: 'prod.json', overriddenFrom: { value: 'dev', layer: 'default', file: 'default.json' } },
+        InstanceType: { value: 't3.micro', layer: 'default', file: 'default.json', overriddenFrom: null }
+      };
+
+      expect(masker.redactProvenance(provenance, ['DbPassword'])).toEqual({
+        DbPassword: { value: '****', layer: 'prod', file: 'prod.json', overriddenFrom: { value: '****', layer: 'default', file: 'default.json' } },
+        InstanceType: provenance.InstanceType
+      });
+    });
+  });
+
+  describe('protectParameters', () => {
+    it('should leave sensitive parameters out without a key', () => {
+      expect(masker.protectParameters(parameters, ['DbPassword', 'ApiKey'])).toEqual([parameters[2]]);
+    });
+
+    it('should encrypt sensitive parameters with a key', () => {
+      const protectedParams = masker.protectParameters(parameters, ['DbPassword'], 'passphrase');
+
+      expect(protectedParams[0].ParameterValue).toMatch(/^enc:v1:[^:]+:[^:]+:[^:]+:[^:]+$/);
+      expect(protectedParams[0].ParameterValue).not.toContain('s3cret');
+      expect(protectedParams.slice(1)).toEqual(parameters.slice(1));
+      expect(masker.decryptValue(protectedParams[0].ParameterValue, 'passphrase')).toBe('s3cret');
+    });
+  });
+
+  describe('decryptValue', () => {
+    it('should reject a wrong key and malformed values', () => {
+      const encrypted = masker.encryptValue('s3cret', 'passphrase');
+
+      expect(() => masker.decryptValue(encrypted, 'other')).toThrow('Failed to decrypt value: wrong key or corrupted value');
+      expect(() => masker.decryptValue('s3cret', 'passphrase')).toThrow('Encrypted value must have the format');
+    });
+  });
+});
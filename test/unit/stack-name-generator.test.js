@@ -11,7 +11,7 @@ describe('StackNameGenerator', () => {
   let generator;
 
   beforeEach(() => {
-    generator = new StackNameGenerator();
+    generator = new StackNameGenerator({ env: {}, payload: {} });
     vi.clearAllMocks();
   });
 
@@ -71,6 +71,36 @@ describe('StackNameGenerator', () => {
         await expect(generator.generateStackName('myproject', 'api', true, 'dev'))
           .rejects.toThrow('Unable to determine current branch name');
       });
+
+      it('should shorten long branch names instead of failing', async () => {
+        execSync.mockReturnValue(`feature/${'x'.repeat(90)}\n`);
+
+        const result = await generator.generateStackName('a'.repeat(40), 'api', true, 'dev');
+
+        expect(result).toHaveLength(128);
+        expect(result).toMatch(/^a{40}-api-feature-x+-[0-9a-f]{8}$/);
+      });
+
+      it('should shorten long branch names once so the base name stays a prefix of the stack name', async () => {
+        execSync.mockReturnValue(`feature/${'x'.repeat(90)}\n`);
+
+        const first = await generator.generateStackNames('a'.repeat(40), 'api', true, 'dev', { ciBuildId: 'abcdefgh' });
+        const second = await generator.generateStackNames('a'.repeat(40), 'api', true, 'dev', { ciBuildId: 'ijklmnop' });
+
+        expect(first.stackName).toHaveLength(128);
+        expect(first.stackName.startsWith(first.baseStackName)).toBe(true);
+        expect(first.stackName).toBe(`${first.baseStackName}-abcdefgh`);
+        expect(second.baseStackName).toBe(first.baseStackName);
+      });
+
+      it('should leave short names unchanged when adding the CI build ID', async () => {
+        execSync.mockReturnValue('feature/login\n');
+
+        expect(await generator.generateStackNames('myproject', 'api', true, 'dev', { ciBuildId: 'abcdefgh' })).toEqual({
+          stackName: 'myproject-api-feature-login-abcdefgh',
+          baseStackName: 'myproject-api-feature-login'
+        });
+      });
     });
 
     describe('Environment deployment mode', () => {
@@ -235,6 +265,71 @@ describe('StackNameGenerator', () => {
     });
   });
 
+  describe('branch resolution', () => {
+    it('should prefer GITHUB_HEAD_REF over Git on pull requests', async () => {
+      generator = new StackNameGenerator({
+        env: { GITHUB_HEAD_REF: 'feature/login', GITHUB_REF: 'refs/pull/42/merge', GITHUB_REF_NAME: '42/merge' },
+        payload: {}
+      });
+      execSync.mockReturnValue('HEAD\n');
+
+      await expect(generator.generateStackName('myproject', 'api', true, 'dev'))
+        .resolves.toBe('myproject-api-feature-login');
+      expect(execSync).not.toHaveBeenCalled();
+    });
+
+    it('should read the pull request head branch from the event payload', () => {
+      generator = new StackNameGenerator({
+        env: { GITHUB_REF: 'refs/pull/42/merge', GITHUB_REF_NAME: '42/merge' },
+        payload: { pull_request: { number: 42, head: { ref: 'feature/payload' } } }
+      });
+
+      expect(generator.getBranchNameFromRunContext()).toBe('feature/payload');
+    });
+
+    it('should use GITHUB_REF_NAME only for branch refs', () => {
+      expect(new StackNameGenerator({ env: { GITHUB_REF: 'refs/heads/main', GITHUB_REF_NAME: 'main' }, payload: {} })
+        .getBranchNameFromRunContext()).toBe('main');
+      expect(new StackNameGenerator({ env: { GITHUB_REF: 'refs/tags/v1.0.0', GITHUB_REF_NAME: 'v1.0.0' }, payload: {} })
+        .getBranchNameFromRunContext()).toBe('');
+      expect(new StackNameGenerator({ env: {}, payload: { ref: 'refs/heads/release/2' } })
+        .getBranchNameFromRunContext()).toBe('release/2');
+    });
+
+    it('should fall back to Git when the run context does not name a branch', async () => {
+      execSync.mockReturnValue('feature/local\n');
+
+      await expect(generator.resolveBranchName()).resolves.toBe('feature/local');
+      expect(execSync).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject branch names from the run context that are too long', async () => {
+      generator = new StackNameGenerator({ env: { GITHUB_HEAD_REF: 'a'.repeat(101) }, payload: {} });
+
+      await expect(generator.resolveBranchName()).rejects.toThrow('Branch name is too long (101 characters)');
+    });
+
+    it('should name CI stacks pr-<number> when requested on a pull request', async () => {
+      generator = new StackNameGenerator({
+        env: { GITHUB_HEAD_REF: 'feature/login', GITHUB_REF: 'refs/pull/42/merge' },
+        payload: {}
+      });
+
+      await expect(generator.generateStackName('myproject', 'api', true, 'dev', { usePullRequestNumber: true }))
+        .resolves.toBe('myproject-api-pr-42');
+      await expect(generator.generateStackNameFromPattern('{project}-{branch}', { project: 'myproject' }, true, { usePullRequestNumber: true }))
+        .resolves.toEqual({ stackName: 'myproject-pr-42', baseStackName: 'myproject-pr-42' });
+    });
+
+    it('should keep the branch name for pr-<number> naming outside pull requests', async () => {
+      generator = new StackNameGenerator({ env: { GITHUB_REF: 'refs/heads/main', GITHUB_REF_NAME: 'main' }, payload: {} });
+
+      expect(generator.getPullRequestNumber()).toBe('');
+      await expect(generator.generateStackName('myproject', 'api', true, 'dev', { usePullRequestNumber: true }))
+        .resolves.toBe('myproject-api-main');
+    });
+  });
+
   describe('getCurrentBranchName', () => {
     it('should return current branch name', async () => {
       execSync.mockReturnValue('main\n');
@@ -393,4 +488,153 @@ describe('StackNameGenerator', () => {
       expect(generator.sanitizeBranchName('@@@')).toBe('');
     });
   });
-});
\ No newline at end of file
+
+  describe('generateStackNameFromPattern', () => {
+    const values = {
+      project: 'billing',
+      'stack-prefix': 'api',
+      environment: 'prod',
+      'ci-build-id': '',
+      region: 'us-east-1',
+      'account-alias': 'acme-prod',
+      'pr-number': '',
+      org: 'acme'
+    };
+
+    it('should expand every token', async () => {
+      const result = await generator.generateStackNameFromPattern(
+        '{org}-{environment}-{project}-{stack-prefix}-{region}-{account-alias}',
+        values,
+        false
+      );
+
+      expect(result).toEqual({
+        stackName: 'acme-prod-billing-api-us-east-1-acme-prod',
+        baseStackName: 'acme-prod-billing-api-us-east-1-acme-prod'
+      });
+      expect(execSync).not.toHaveBeenCalled();
+    });
+
+    it('should read the branch only when the pattern uses it', async () => {
+      execSync.mockReturnValue('feature/Login_Page\n');
+
+      const result = await generator.generateStackNameFromPattern('{project}-{branch}', values, true);
+
+      expect(result.stackName).toBe('billing-feature-login-page');
+      expect(execSync).toHaveBeenCalledTimes(1);
+    });
+
+    it('should append the CI build ID unless the pattern places it', async () => {
+      const ciValues = { ...values, environment: '', 'ci-build-id': 'abcdefgh', 'pr-number': '42' };
+
+      expect(await generator.generateStackNameFromPattern('{project}-pr{pr-number}', ciValues, true)).toEqual({
+        stackName: 'billing-pr42-abcdefgh',
+        baseStackName: 'billing-pr42'
+      });
+      expect(await generator.generateStackNameFromPattern('{project}-{ci-build-id}-{stack-prefix}', ciValues, true)).toEqual({
+        stackName: 'billing-abcdefgh-api',
+        baseStackName: 'billing-api'
+      });
+    });
+
+    it('should collapse hyphens left by empty optional tokens', async () => {
+      const result = await generator.generateStackNameFromPattern('{project}-{pr-number}-{stack-prefix}-{environment}', { ...values, environment: '' }, true);
+
+      expect(result.stackName).toBe('billing-api');
+    });
+
+    it('should reject unknown tokens and required tokens without a value', async () => {
+      await expect(generator.generateStackNameFromPattern('{project}-{component}', values, false))
+        .rejects.toThrow('Unknown token {component} in stack-name-pattern');
+      await expect(generator.generateStackNameFromPattern('{project}-{region}', { ...values, region: '' }, false))
+        .rejects.toThrow('Token {region} in stack-name-pattern has no value');
+      await expect(generator.generateStackNameFromPattern('{project}-{environment}', { ...values, environment: '' }, false))
+        .rejects.toThrow('Token {environment} in stack-name-pattern has no value');
+    });
+
+    it('should validate the expanded name against CloudFormation naming rules', async () => {
+      await expect(generator.generateStackNameFromPattern('1-{project}', values, false))
+        .rejects.toThrow("Stack name '1-billing' expanded from pattern '1-{project}' is invalid");
+      await expect(generator.generateStackNameFromPattern('{project}_{stack-prefix}', values, false))
+        .rejects.toThrow('is invalid');
+      await expect(generator.generateStackNameFromPattern('', values, false))
+        .rejects.toThrow('Stack name pattern must be a non-empty string');
+    });
+
+    it('should shorten long names and keep the appended CI build ID', async () => {
+      execSync.mockReturnValue(`feature/${'x'.repeat(92)}\n`);
+
+      const result = await generator.generateStackNameFromPattern(
+        '{org}-{project}-{stack-prefix}-{branch}',
+        { ...values, project: 'billing-reconciliation', 'ci-build-id': 'abcdefgh' },
+        true
+      );
+
+      expect(result.stackName).toHaveLength(128);
+      expect(result.stackName).toMatch(/^acme-billing-reconciliation-api-feature-x+-[0-9a-f]{8}-abcdefgh$/);
+      expect(result.stackName.startsWith(result.baseStackName)).toBe(true);
+    });
+
+    it('should keep the base name a prefix when the pattern ends with {ci-build-id} and the branch is long', async () => {
+      execSync.mockReturnValue(`feature/${'x'.repeat(92)}\n`);
+
+      const result = await generator.generateStackNameFromPattern(
+        '{org}-{project}-{stack-prefix}-{branch}-{ci-build-id}',
+        { ...values, project: 'billing-reconciliation', 'ci-build-id': 'abcdefgh' },
+        true
+      );
+
+      expect(`acme-billing-reconciliation-api-feature-${'x'.repeat(92)}-abcdefgh`.length).toBeGreaterThan(128);
+      expect(result.stackName).toHaveLength(128);
+      expect(result.stackName.startsWith(result.baseStackName)).toBe(true);
+      expect(result.stackName).toBe(`${result.baseStackName}-abcdefgh`);
+    });
+  });
+
+  describe('truncateStackName', () => {
+    const longBranch = `feature-${'a'.repeat(100)}`;
+
+    it('should return names within the limit unchanged', () => {
+      expect(generator.truncateStackName('myproject-api-main-abcdefgh', { segment: 'main', suffix: 'abcdefgh' }))
+        .toBe('myproject-api-main-abcdefgh');
+    });
+
+    it('should shorten the segment first and keep the prefix and suffix intact', () => {
+      const name = `myproject-api-${longBranch}-abcdefgh`;
+      const result = generator.truncateStackName(name, { segment: longBranch, suffix: 'abcdefgh' });
+
+      expect(result).toHaveLength(128);
+      expect(result).toMatch(/^myproject-api-feature-a+-[0-9a-f]{8}-abcdefgh$/);
+    });
+
+    it('should give different names to long branches sharing the same prefix', () => {
+      const first = generator.truncateStackName(`myproject-api-${longBranch}-one-abcdefgh`, { suffix: 'abcdefgh' });
+      const second = generator.truncateStackName(`myproject-api-${longBranch}-two-abcdefgh`, { suffix: 'abcdefgh' });
+
+      expect(first).not.toBe(second);
+      expect(first.endsWith('-abcdefgh')).toBe(true);
+      expect(second.endsWith('-abcdefgh')).toBe(true);
+    });
+
+    it('should be stable for the same name', () => {
+      const name = `myproject-api-${longBranch}-abcdefgh`;
+
+      expect(generator.truncateStackName(name, { suffix: 'abcdefgh' }))
+        .toBe(generator.truncateStackName(name, { suffix: 'abcdefgh' }));
+    });
+
+    it('should not leave a trailing hyphen before the hash', () => {
+      const segment = `${'b'.repeat(16)}-${'c'.repeat(20)}`;
+      const result = generator.truncateStackName(`project-${segment}`, { segment, maxLength: 34 });
+
+      expect(result).toMatch(/^project-b{16}-[0-9a-f]{8}$/);
+    });
+
+    it('should not start with a digit', () => {
+      const result = generator.truncateStackName(`123-${'d'.repeat(40)}`, { maxLength: 30 });
+
+      expect(result).toMatch(/^d+-[0-9a-f]{8}$/);
+      expect(result.length).toBeLessThanOrEqual(30);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { TagPolicyValidator } from '../../src/tag-policy-validator.js';
+
+describe('TagPolicyValidator', () => {
+  let validator;
+
+  const policy = {
+    tags: {
+      CostCenter: { required: true, pattern: '^CC-[0-9]{4}$' },
+      Owner: { required: true },
+      DataClassification: { required: true, 'allowed-values': ['public', 'internal', 'confidential'] }
+    },
+    environments: {
+      dev: { tags: { CostCenter: { required: false } } },
+      prod: { tags: { DataClassification: { 'allowed-values': ['internal', 'confidential'] } } }
+    }
+  };
+
+  beforeEach(() => {
+    validator = new TagPolicyValidator();
+  });
+
+  describe('findPolicyIssues', () => {
+    it('should accept a valid policy', () => {
+      expect(validator.findPolicyIssues(policy)).toEqual([]);
+      expect(validator.findPolicyIssues({})).toEqual([]);
+    });
+
+    it('should reject a policy that is not an object', () => {
+      expect(validator.findPolicyIssues([])).toEqual([{ keyPath: [], message: 'Tag policy must be a JSON object' }]);
+    });
+
+    it('should report every malformed rule with its key path', () => {
+      const issues = validator.findPolicyIssues({
+        tags: {
+          Owner: { required: 'yes', 'allowed-value': ['a'] },
+          Team: { 'allowed-values': [] },
+          CostCenter: { pattern: '[' },
+          Project: 'required'
+        },
+        environments: { prod: { tags: [] } },
+        rules: {}
+      });
+
+      expect(issues.map((issue) => issue.keyPath)).toEqual([
+        ['rules'],
+        ['tags', 'Owner', 'allowed-value'],
+        ['tags', 'Owner', 'required'],
+        ['tags', 'Team', 'allowed-values'],
+        ['tags', 'CostCenter', 'pattern'],
+        ['tags', 'Project'],
+        ['environments', 'prod', 'tags']
+      ]);
+      expect(issues[4].message).toContain("Tag policy rule for 'CostCenter': pattern is not a valid regular expression");
+    });
+  });
+
+  describe('resolveRules', () => {
+    it('should merge environment overrides field by field', () => {
+      const rules = validator.resolveRules(policy, 'prod');
+
+      expect(rules.DataClassification).toEqual({ required: true, 'allowed-values': ['internal', 'confidential'] });
+      expect(rules.CostCenter).toEqual(policy.tags.CostCenter);
+      expect(validator.resolveRules(policy, '')).toEqual(policy.tags);
+    });
+  });
+
+  describe('findViolations', () => {
+    it('should return no violations for compliant tags', () => {
+      const tags = { CostCenter: 'CC-1234', Owner: 'platform', DataClassification: 'internal', Extra: 'x' };
+
+      expect(validator.findViolations(tags, policy, 'prod')).toEqual([]);
+    });
+
+    it('should report every missing, disallowed and mismatched tag', () => {
+      const tags = { CostCenter: 'finance', DataClassification: 'secret', Owner: ' ' };
+
+      expect(validator.findViolations(tags, policy, 'staging')).toEqual([
+        { key: 'CostCenter', message: "Tag 'CostCenter' has value 'finance', which does not match pattern ^CC-[0-9]{4}$" },
+        { key: 'Owner', message: "Required tag 'Owner' is missing" },
+        { key: 'DataClassification', message: "Tag 'DataClassification' has value 'secret', which is not allowed. Allowed values: public, internal, confidential" }
+      ]);
+    });
+
+    it('should apply environment overrides', () => {
+      const tags = { Owner: 'platform', DataClassification: 'public' };
+
+      expect(validator.findViolations(tags, policy, 'dev')).toEqual([]);
+      expect(validator.findViolations(tags, policy, 'prod').map((violation) => violation.key))
+        .toEqual(['CostCenter', 'DataClassification']);
+    });
+  });
+});
@@ -0,0 +1,254 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TemplateValidator } from '../../src/template-validator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('TemplateValidator', () => {
+  let validator;
+  let testDir;
+
+  beforeEach(async () => {
+    validator = new TemplateValidator();
+    testDir = path.join(__dirname, '../fixtures/test-template');
+    await fs.mkdir(testDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('readTemplate', () => {
+    it('should read a JSON template', async () => {
+      const templatePath = path.join(testDir, 'template.json');
+      await fs.writeFile(templatePath, JSON.stringify({
+        Parameters: { Environment: { Type: 'String' } }
+      }));
+
+      const result = await validator.readTemplate(templatePath);
+      expect(result.Parameters.Environment.Type).toBe('String');
+    });
+
+    it('should read a YAML template with short-form intrinsic functions', async () => {
+      const templatePath = path.join(testDir, 'template.yaml');
+      await fs.writeFile(templatePath, [
+        'Parameters:',
+        '  BucketName:',
+        '    Type: String',
+        'Resources:',
+        '  Bucket:',
+        '    Type: AWS::S3::Bucket',
+        '    Properties:',
+        '      BucketName: !Sub "${BucketName}-logs"',
+        '      Tags:',
+        '        - Key: Name',
+        '          Value: !Ref BucketName',
+        '        - Key: Arn',
+        '          Value: !GetAtt Bucket.Arn',
+        '        - Key: Joined',
+        '          Value: !Join [",", [a, b]]'
+      ].join('\n'));
+
+      const result = await validator.readTemplate(templatePath);
+      const properties = result.Resources.Bucket.Properties;
+
+      expect(result.Parameters.BucketName.Type).toBe('String');
+      expect(properties.BucketName).toEqual({ 'Fn::Sub': '${BucketName}-logs' });
+      expect(properties.Tags[0].Value).toEqual({ Ref: 'BucketName' });
+      expect(properties.Tags[1].Value).toEqual({ 'Fn::GetAtt': ['Bucket', 'Arn'] });
+      expect(properties.Tags[2].Value).toEqual({ 'Fn::Join': [',', ['a', 'b']] });
+    });
+
+    it('should return null when the template does not exist', async () => {
+      const result = await validator.readTemplate(path.join(testDir, 'missing.yaml'));
+      expect(result).toBeNull();
+    });
+
+    it('should throw error for invalid folder path input', async () => {
+      await expect(validator.readTemplate(null))
+        .rejects.toThrow('Template path must be a valid string');
+    });
+
+    it('should throw error for invalid JSON templates', async () => {
+      const templatePath = path.join(testDir, 'template.json');
+      await fs.writeFile(templatePath, '{ invalid json }');
+
+      await expect(validator.readTemplate(templatePath))
+        .rejects.toThrow('Invalid JSON format in CloudFormation template');
+    });
+
+    it('should throw error for invalid YAML templates', async () => {
+      const templatePath = path.join(testDir, 'template.yaml');
+      await fs.writeFile(templatePath, 'Parameters:\n  - a\n b: [');
+
+      await expect(validator.readTemplate(templatePath))
+        .rejects.toThrow('Invalid YAML format in CloudFormation template');
+    });
+
+    it('should throw error for empty templates', async () => {
+      const templatePath = path.join(testDir, 'template.yaml');
+      await fs.writeFile(templatePath, '  \n');
+
+      await expect(validator.readTemplate(templatePath))
+        .rejects.toThrow('CloudFormation template is empty');
+    });
+  });
+
+  describe('validateParameters', () => {
+    const template = {
+      Parameters: {
+        Environment: { Type: 'String', AllowedValues: ['dev', 'prod'] },
+        InstanceType: { Type: 'String', Default: 't3.micro' },
+        BucketName: { Type: 'String', AllowedPattern: '[a-z0-9-]+', MinLength: 3, MaxLength: 10 },
+        DesiredCount: { Type: 'Number', MinValue: 1, MaxValue: 5, Default: 1 },
+        Subnets: { Type: 'CommaDelimitedList', AllowedValues: ['a', 'b', 'c'], Default: 'a' }
+      }
+    };
+
+    it('should pass for parameters that satisfy the template', () => {
+      expect(() => validator.validateParameters({
+        Environment: 'dev',
+        BucketName: 'my-bucket',
+        DesiredCount: 3,
+        Subnets: 'a, c'
+      }, template)).not.toThrow();
+    });
+
+    it('should return each issue with the parameter it concerns', () => {
+      expect(validator.findParameterIssues({ Environment: 'qa', Extra: 'x', BucketName: 'ok-name' }, template)).toEqual([
+        { key: 'Extra', message: "Parameter 'Extra' is not declared in the template" },
+        { key: 'Environment', message: expect.stringContaining("Parameter 'Environment'") }
+      ]);
+    });
+
+    it('should fail for parameters not declared in the template', () => {
+      expect(() => validator.validateParameters({
+        Environment: 'dev',
+        BucketName: 'my-bucket',
+        InstanceTyp: 't3.large'
+      }, template)).toThrow("Parameter 'InstanceTyp' is not declared in the template");
+    });
+
+    it('should fail for required parameters without a value', () => {
+      expect(() => validator.validateParameters({ Environment: 'dev' }, template))
+        .toThrow("Parameter 'BucketName' is required by the template but has no value and no Default");
+    });
+
+    it('should fail for values outside AllowedValues', () => {
+      expect(() => validator.validateParameters({
+        Environment: 'qa',
+        BucketName: 'my-bucket',
+        Subnets: 'a,d'
+      }, template)).toThrow(/'qa' is not one of the allowed values: dev, prod[\s\S]*'d' is not one of the allowed values/);
+    });
+
+    it('should check each item of an array value against a List type', () => {
+      const listTemplate = {
+        Parameters: {
+          Subnets: { Type: 'CommaDelimitedList', AllowedValues: ['a', 'b', 'c'] },
+          Zones: { Type: 'List<AWS::EC2::AvailabilityZone::Name>', AllowedPattern: 'us-east-1[a-f]' },
+          Ports: { Type: 'List<Number>', MaxValue: 1024 }
+        }
+      };
+
+      expect(validator.findParameterIssues({
+        Subnets: ['a', 'c'],
+        Zones: ['us-east-1a', 'us-east-1b'],
+        Ports: [80, 443]
+      }, listTemplate)).toEqual([]);
+      expect(validator.findParameterIssues({
+        Subnets: ['a', 'd'],
+        Zones: ['us-east-1a'],
+        Ports: [80, 8080]
+      }, listTemplate)).toEqual([
+        { key: 'Subnets', message: "Parameter 'Subnets' value 'd' is not one of the allowed values: a, b, c" },
+        { key: 'Ports', message: "Parameter 'Ports' value 8080 is greater than the maximum value 1024" }
+      ]);
+    });
+
+    it('should reject objects for List types with a single issue', () => {
+      expect(validator.findParameterIssues({ Environment: 'dev', BucketName: 'abc', Subnets: { primary: 'a' } }, template)).toEqual([
+        { key: 'Subnets', message: "Parameter 'Subnets' of type CommaDelimitedList must be a string or a list of values, got an object" }
+      ]);
+    });
+
+    it('should join array values of List types for CloudFormation', () => {
+      expect(validator.joinListValues({ Subnets: ['a', 'b'], Tags: ['x'], Environment: 'dev' }, template))
+        .toEqual({ Subnets: 'a,b', Tags: ['x'], Environment: 'dev' });
+    });
+
+    it('should fail for values not matching AllowedPattern', () => {
+      expect(() => validator.validateParameters({ Environment: 'dev', BucketName: 'My_Bucket' }, template))
+        .toThrow("Parameter 'BucketName' value 'My_Bucket' does not match the allowed pattern: [a-z0-9-]+");
+    });
+
+    it('should leave the values of sensitive parameters out of the messages', () => {
+      const issues = validator.findParameterIssues({
+        Environment: 'qa-secret',
+        BucketName: 'My_Secret',
+        DesiredCount: 'secret',
+        Subnets: 'a,secret'
+      }, template, { sensitive: ['Environment', 'BucketName', 'DesiredCount', 'Subnets'] });
+
+      expect(issues.map((issue) => issue.message)).toEqual([
+        "Parameter 'Environment' value is not one of the allowed values: dev, prod",
+        "Parameter 'BucketName' value does not match the allowed pattern: [a-z0-9-]+",
+        "Parameter 'DesiredCount' value is not a valid number",
+        "Parameter 'Subnets' value is not one of the allowed values: a, b, c"
+      ]);
+      expect(validator.findParameterIssues({ Environment: 'dev', BucketName: 'abc', DesiredCount: 9 }, template, { sensitive: ['DesiredCount'] }))
+        .toEqual([{ key: 'DesiredCount', message: "Parameter 'DesiredCount' value is greater than the maximum value 5" }]);
+    });
+
+    it('should skip value constraints for dynamic references', () => {
+      expect(validator.findParameterIssues({
+        Environment: '{{resolve:ssm:/shared/environment}}',
+        BucketName: '{{resolve:secretsmanager:buckets:SecretString:name}}'
+      }, template)).toEqual([]);
+    });
+
+    it('should fail for values violating MinLength and MaxLength', () => {
+      expect(() => validator.validateParameters({ Environment: 'dev', BucketName: 'ab' }, template))
+        .toThrow("Parameter 'BucketName' value is too short (2 characters). Minimum length is 3 characters.");
+
+      expect(() => validator.validateParameters({ Environment: 'dev', BucketName: 'a-very-long-name' }, template))
+        .toThrow("Parameter 'BucketName' value is too long (16 characters). Maximum length is 10 characters.");
+    });
+
+    it('should fail for values violating MinValue and MaxValue', () => {
+      expect(() => validator.validateParameters({ Environment: 'dev', BucketName: 'abc', DesiredCount: 0 }, template))
+        .toThrow("Parameter 'DesiredCount' value 0 is less than the minimum value 1");
+
+      expect(() => validator.validateParameters({ Environment: 'dev', BucketName: 'abc', DesiredCount: '9' }, template))
+        .toThrow("Parameter 'DesiredCount' value 9 is greater than the maximum value 5");
+
+      expect(() => validator.validateParameters({ Environment: 'dev', BucketName: 'abc', DesiredCount: 'many' }, template))
+        .toThrow("Parameter 'DesiredCount' value 'many' is not a valid number");
+    });
+
+    it('should report every violation in a single error', () => {
+      expect(() => validator.validateParameters({ Environment: 'qa', Unknown: 'x' }, template))
+        .toThrow(/Template parameter validation failed:\n {2}- Parameter 'Unknown'[\s\S]*'qa'[\s\S]*'BucketName' is required/);
+    });
+
+    it('should treat templates without a Parameters section as declaring none', () => {
+      expect(() => validator.validateParameters({}, { Resources: {} })).not.toThrow();
+      expect(() => validator.validateParameters({ Extra: 'x' }, { Resources: {} }))
+        .toThrow("Parameter 'Extra' is not declared in the template");
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => validator.validateParameters(null, template))
+        .toThrow('Merged parameters must be a valid object (not an array)');
+      expect(() => validator.validateParameters({}, null))
+        .toThrow('Template must be a valid object');
+    });
+  });
+});
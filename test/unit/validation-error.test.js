@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { ValidationError } from '../../src/validation-error.js';
+
+describe('ValidationError', () => {
+  it('should use the single issue as the message', () => {
+    const error = new ValidationError([{ file: 'cfn/params/prod.json', message: 'bad value' }]);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('ValidationError');
+    expect(error.message).toBe('cfn/params/prod.json: bad value');
+  });
+
+  it('should list every issue in the message', () => {
+    const error = new ValidationError([
+      { file: 'cfn/params/prod.json', message: 'first' },
+      { file: null, message: 'second' }
+    ]);
+
+    expect(error.message).toBe('Validation failed with 2 issues:\n  - cfn/params/prod.json: first\n  - second');
+    expect(error.issues).toHaveLength(2);
+  });
+
+  it('should convert errors to issues', () => {
+    const validationError = new ValidationError([{ file: 'a.json', message: 'first' }]);
+
+    expect(ValidationError.toIssues(validationError, 'other.json')).toEqual([{ file: 'a.json', message: 'first' }]);
+    expect(ValidationError.toIssues(new Error('boom'), 'b.json')).toEqual([{ file: 'b.json', message: 'boom' }]);
+  });
+
+  it('should carry the position of parse errors into issues', () => {
+    const parseError = Object.assign(new Error('Invalid JSON format'), { file: 'cfn/params/prod.json', line: 3, column: 5 });
+
+    expect(ValidationError.toIssues(parseError, 'cfn/params')).toEqual([
+      { file: 'cfn/params/prod.json', message: 'Invalid JSON format', line: 3, column: 5 }
+    ]);
+  });
+
+  it('should build annotation properties from an issue', () => {
+    expect(ValidationError.toAnnotation({ file: 'a.json', message: 'x', line: 2, column: 4 }))
+      .toEqual({ file: 'a.json', startLine: 2, startColumn: 4 });
+    expect(ValidationError.toAnnotation({ file: 'a.json', message: 'x' })).toEqual({ file: 'a.json' });
+    expect(ValidationError.toAnnotation({ file: null, message: 'x' })).toBeUndefined();
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import path from 'path';
+import fs from 'fs/promises';
+import { ValueSourceResolver } from '../../src/value-source-resolver.js';
+
+/**
+ * In-memory stand-in for the SSM parameter store and Secrets Manager
+ */
+function createMemoryStore(values) {
+  const read = async (name) => {
+    if (!Object.prototype.hasOwnProperty.call(values, name)) {
+      throw new Error(`${name} not found`);
+    }
+    return values[name];
+  };
+  return {
+    getParameter: async (name) => ({ value: await read(name), type: name.includes('secure') ? 'SecureString' : 'String' }),
+    getSecretValue: read
+  };
+}
+
+describe('ValueSourceResolver', () => {
+  const tempDir = path.join('test', 'temp-value-sources');
+  let store;
+  let resolver;
+
+  beforeEach(async () => {
+    await fs.mkdir(path.join(tempDir, 'certs'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'certs', 'ca.pem'), '-----BEGIN CERTIFICATE-----\nabc\n');
+    store = createMemoryStore({
+      '/shared/vpc-id': 'vpc-123',
+      '/secure/db-password': 'ssm-pass',
+      'db/password': JSON.stringify({ username: 'admin', password: 's3cret', port: 5432 }),
+      'api/token': 'token-value',
+      'arn:aws:secretsmanager:us-east-1:123456789012:secret:db-AbCdEf': JSON.stringify({ password: 'from-arn' })
+    });
+    resolver = new ValueSourceResolver({ baseDir: tempDir, parameterStore: store, secretStore: store });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should reject an unknown mode', () => {
+    expect(() => new ValueSourceResolver({ mode: 'fetch' })).toThrow('Invalid value source mode: fetch');
+  });
+
+  describe('resolveValues', () => {
+    it('should resolve SSM parameters, secrets and files, leaving other values untouched', async () => {
+      const result = await resolver.resolveValues({
+        VpcId: { $ssm: '/shared/vpc-id' },
+        SsmPassword: { $ssm: '/secure/db-password' },
+        DbPassword: { $secretsmanager: 'db/password:password' },
+        DbPort: { $secretsmanager: 'db/password:port' },
+        ApiToken: { $secretsmanager: 'api/token' },
+        CaCertificate: { $file: 'certs/ca.pem' },
+        InstanceType: 't3.micro',
+        Config: { vpc: { $ssm: '/shared/vpc-id' }, subnets: ['a', { $ssm: '/shared/vpc-id' }] }
+      });
+
+      expect(result.issues).toEqual([]);
+      expect(result.values).toEqual({
+        VpcId: 'vpc-123',
+        SsmPassword: 'ssm-pass',
+        DbPassword: 's3cret',
+        DbPort: '5432',
+        ApiToken: 'token-value',
+        CaCertificate: '-----BEGIN CERTIFICATE-----\nabc\n',
+        InstanceType: 't3.micro',
+        Config: { vpc: 'vpc-123', subnets: ['a', 'vpc-123'] }
+      });
+      expect(result.secrets).toEqual([
+        { key: 'SsmPassword', value: 'ssm-pass' },
+        { key: 'DbPassword', value: 's3cret' },
+        { key: 'DbPort', value: '5432' },
+        { key: 'ApiToken', value: 'token-value' }
+      ]);
+    });
+
+    it('should read the JSON key after a secret ARN', async () => {
+      const result = await resolver.resolveValues({
+        DbPassword: { $secretsmanager: 'arn:aws:secretsmanager:us-east-1:123456789012:secret:db-AbCdEf:password' }
+      });
+
+      expect(result.values.DbPassword).toBe('from-arn');
+    });
+
+    it('should emit dynamic references instead of resolving in dynamic-reference mode', async () => {
+      const dynamic = new ValueSourceResolver({
+        mode: 'dynamic-reference',
+        baseDir: tempDir,
+        parameterStore: createMemoryStore({}),
+        secretStore: createMemoryStore({})
+      });
+
+      const result = await dynamic.resolveValues({
+        VpcId: { $ssm: '/shared/vpc-id' },
+        DbPassword: { $secretsmanager: 'db/password:password' },
+        ApiToken: { $secretsmanager: 'api/token' },
+        CaCertificate: { $file: 'certs/ca.pem' }
+      });
+
+      expect(result.values).toEqual({
+        VpcId: '{{resolve:ssm:/shared/vpc-id}}',
+        DbPassword: '{{resolve:secretsmanager:db/password:SecretString:password}}',
+        ApiToken: '{{resolve:secretsmanager:api/token}}',
+        CaCertificate: '-----BEGIN CERTIFICATE-----\nabc\n'
+      });
+      expect(result.secrets).toEqual([]);
+    });
+
+    it('should report every value that cannot be resolved', async () => {
+      const result = await resolver.resolveValues({
+        Missing: { $ssm: '/shared/missing' },
+        NoKey: { $secretsmanager: 'db/password:host' },
+        NotJson: { $secretsmanager: 'api/token:value' },
+        Escape: { $file: '../outside.pem' },
+        Absent: { $file: 'certs/missing.pem' },
+        Mixed: { $ssm: '/shared/vpc-id', $file: 'certs/ca.pem' },
+        Empty: { $ssm: '' },
+        Nested: { list: [{ $ssm: '/shared/missing' }] }
+      });
+
+      expect(result.issues.map((issue) => issue.key)).toEqual(['Missing', 'NoKey', 'NotJson', 'Escape', 'Absent', 'Mixed', 'Empty', 'Nested']);
+      expect(result.issues[0].message).toBe("Parameter 'Missing' could not be resolved: failed to read SSM parameter /shared/missing: /shared/missing not found");
+      expect(result.issues[1].message).toContain("secret db/password has no key 'host'");
+      expect(result.issues[2].message).toContain("secret api/token is not a JSON object, so key 'value' cannot be read");
+      expect(result.issues[3].message).toContain('must be a relative path inside the configuration folder');
+      expect(result.issues[5].message).toContain('a value source must have exactly one key');
+      expect(result.issues[6].message).toContain('$ssm must be a non-empty string');
+      expect(result.issues[7].message).toMatch(/^Parameter 'Nested\.list\[0\]' could not be resolved/);
+    });
+  });
+});